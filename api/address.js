@@ -0,0 +1,37 @@
+/**
+ * Vercel Serverless Function: GET /api/address
+ *
+ * Backs the mini app's shipping step: returns the countries we ship to
+ * (with their region and postal-code rules, see lib/address.js) and the
+ * address the signed-in Telegram user last checked out with, if any.
+ *
+ * Required environment variables:
+ *   TELEGRAM_BOT_TOKEN
+ */
+
+import { applyCors, authenticate } from "../lib/auth.js";
+import { SHIPPING_COUNTRIES, getSavedAddress } from "../lib/address.js";
+
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "GET")) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Only signed requests from the Telegram mini app (see lib/auth.js)
+  const auth = authenticate(req);
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error });
+  }
+
+  try {
+    const address = auth.user ? await getSavedAddress(auth.user.id) : null;
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({ countries: SHIPPING_COUNTRIES, address });
+  } catch (err) {
+    console.error("[Address] Error:", err);
+    return res.status(500).json({ error: err.message || "Could not load address" });
+  }
+}
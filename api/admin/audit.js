@@ -0,0 +1,57 @@
+/**
+ * Vercel Serverless Function: /api/admin/audit
+ *
+ * Staff review of assistant exchanges blocked by the research-use-only
+ * guardrails (lib/guardrails.js). Authenticate with
+ * `Authorization: Bearer <ADMIN_API_KEY>`.
+ *
+ *   GET  ?since=2026-01-01&category=dosing&reviewed=false&format=csv
+ *        list entries, newest first; format=csv downloads a spreadsheet
+ *   POST { id, note? }
+ *        mark an entry reviewed
+ *
+ * Required environment variables:
+ *   ADMIN_API_KEY
+ */
+
+import { authenticateAdmin } from "../../lib/auth.js";
+import { auditCsv, listAudit, markReviewed } from "../../lib/guardrails.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const admin = authenticateAdmin(req);
+  if (admin.error) {
+    return res.status(admin.status).json({ error: admin.error });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const { since, category, reviewed, format } = req.query || {};
+      const entries = (await listAudit({ since })).filter(
+        (e) => (!category || e.category === category) && (reviewed == null || String(e.reviewed) === reviewed)
+      );
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="guardrail-audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+        return res.status(200).send(auditCsv(entries));
+      }
+      return res.status(200).json({ entries });
+    }
+
+    const { id, note } = req.body || {};
+    if (!id) {
+      return res.status(400).json({ error: "id is required" });
+    }
+    const entry = await markReviewed(id, { reviewedBy: admin.actor, note });
+    if (!entry) {
+      return res.status(404).json({ error: `No audit entry ${id}` });
+    }
+    return res.status(200).json({ entry });
+  } catch (err) {
+    console.error("[Admin] Audit error:", err);
+    return res.status(500).json({ error: err.message || "Admin request failed" });
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Vercel Serverless Function: /api/admin/orders
+ *
+ * Staff-only order management. Authenticate with
+ * `Authorization: Bearer <ADMIN_API_KEY>`.
+ *
+ *   GET  ?status=processing         list orders, newest first
+ *   POST { orderId, status, carrier?, trackingNumber?, note? }
+ *        move an order along processing → shipped → in_transit → delivered;
+ *        the customer gets a Telegram DM and the staff group an update
+ *
+ * Required environment variables:
+ *   ADMIN_API_KEY
+ *   TELEGRAM_BOT_TOKEN
+ *   TELEGRAM_GROUP_CHAT_ID
+ */
+
+import { authenticateAdmin } from "../../lib/auth.js";
+import { listOrders } from "../../lib/orders.js";
+import { FulfillmentError, transitionOrder } from "../../lib/fulfillment.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const admin = authenticateAdmin(req);
+  if (admin.error) {
+    return res.status(admin.status).json({ error: admin.error });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const { status } = req.query || {};
+      const orders = await listOrders();
+      return res.status(200).json({ orders: status ? orders.filter((o) => o.status === status) : orders });
+    }
+
+    const { orderId, status, carrier, trackingNumber, note } = req.body || {};
+    if (!orderId || !status) {
+      return res.status(400).json({ error: "orderId and status are required" });
+    }
+
+    const order = await transitionOrder(orderId, status, { carrier, trackingNumber, note, actor: admin.actor });
+    return res.status(200).json({ order });
+  } catch (err) {
+    if (err instanceof FulfillmentError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("[Admin] Error:", err);
+    return res.status(500).json({ error: err.message || "Admin request failed" });
+  }
+}
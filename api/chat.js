@@ -1,145 +1,262 @@
 /**
- * Vercel Serverless Function: POST /api/chat
+ * Vercel Serverless Function: /api/chat
  *
- * Streams AI responses for the in-app chat widget. Uses OpenAI GPT-4o
- * with a system prompt tuned for Rapid Research Co peptide products.
+ *   POST    send a message, streamed reply (below)
+ *   GET     the user's conversation so far, for the chat panel
+ *   DELETE  forget the conversation ("Clear" in the chat panel)
+ *
+ * Streams AI responses for the in-app chat widget, through the provider
+ * configured in lib/llm.js, with a system prompt tuned for Rapid Research Co
+ * peptide products.
+ *
+ * The model can call the tools in lib/tools.js (catalog search, stock,
+ * the user's orders, cart actions). The stream uses the AI SDK line format:
+ *   0:"text"                 a text delta
+ *   2:[{ type, ... }]        actions for the client to apply
+ *                            (add_to_cart, apply_promo, handoff)
+ * The request body is { message, cart, promoCode, currency, language }
+ * where `cart` is the client's current [{ id, qty }] and `promoCode` its
+ * applied code, so tools can check limits and promo eligibility. The
+ * assistant quotes prices in `currency` (lib/currency.js) and replies in
+ * `language` (lib/i18n.js), both picked in the mini app.
+ *
+ * History comes from lib/conversations.js, shared with the Telegram bot.
+ * Anonymous sessions (ALLOW_ANONYMOUS) have no stored history and may send
+ * { messages } instead.
+ *
+ * Messages and replies pass through lib/guardrails.js: research-use-only
+ * violations get the standard refusal (a blocked reply already partly shown
+ * is swapped out with 2:[{ type: "replace_text", text }]) and are logged
+ * for staff review. Besides catalog prices, replies may quote the amounts
+ * of the cart's quote and of any tool result (order totals, for instance).
+ *
+ * While the user has an open support ticket (lib/handoff.js) messages go to
+ * staff instead of the model: the reply is a single 2:[{ type: "forwarded" }]
+ * line, and staff answers arrive through GET /api/handoff.
+ *
+ * Requests must carry verified Telegram initData (lib/auth.js); the
+ * Telegram user id identifies the chat session.
  *
  * Required environment variables:
- *   OPENAI_API_KEY
+ *   OPENAI_API_KEY   (or another LLM_* provider setup, see lib/llm.js)
+ *   TELEGRAM_BOT_TOKEN
  */
 
-const CORS_HEADERS = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "POST, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
-};
-
-const PRODUCTS = [
-  { name: "Semaglutide", dosages: ["5mg", "10mg", "15mg"], purity: "≥98%", category: "GLP-1", prices: [85, 125, 165] },
-  { name: "Tirzepatide", dosages: ["5mg", "10mg", "15mg"], purity: "≥98%", category: "GLP-1", prices: [75, 115, 155] },
-  { name: "Retatrutide", dosages: ["5mg", "10mg", "15mg"], purity: "≥97%", category: "GLP-1", prices: [90, 130, 170] },
-  { name: "Copper (GHK-Cu)", dosages: ["50mg", "100mg"], purity: "≥99%", category: "Peptides", prices: [45, 75] },
-  { name: "Mots-C", dosages: ["10mg"], purity: "≥98%", category: "Peptides", prices: [55] },
-  { name: "Selank", dosages: ["10mg"], purity: "≥98%", category: "Peptides", prices: [55] },
-  { name: "5-Amino-1MQ", dosages: ["10mg"], purity: "≥98%", category: "Peptides", prices: [75] },
-  { name: "NAD+", dosages: ["500mg"], purity: "≥99%", category: "Other", prices: [150] },
-  { name: "Bacteriostatic Water", dosages: ["10ml"], purity: "USP grade", category: "Other", prices: [38] },
-];
-
-const SYSTEM_PROMPT = `You are the AI customer support assistant for Rapid Research Co, a premium peptide research supply company.
+import { catalogPromptLines } from "../lib/catalog.js";
+import { CartError, priceOrder } from "../lib/cart.js";
+import { shippingRates } from "../lib/shipping.js";
+import { DEFAULT_CURRENCY, formatMoney, normalizeCurrency } from "../lib/currency.js";
+import { languageName, resolveLanguage } from "../lib/i18n.js";
+import { availabilityPromptLines } from "../lib/inventory.js";
+import { applyCors, authenticate } from "../lib/auth.js";
+import { TOOL_DEFINITIONS, runTool } from "../lib/tools.js";
+import { getProvider } from "../lib/llm.js";
+import { appendTurns, clearConversation, getConversation, modelHistory } from "../lib/conversations.js";
+import { forwardCustomerMessage, openTicketFor } from "../lib/handoff.js";
+import { amountsIn, createOutputGuard, recordBlock, refusalFor, screenInput } from "../lib/guardrails.js";
+
+// Tool round trips per message before the model must answer in text
+const MAX_TOOL_ROUNDS = 4;
+
+// Catalog and shipping lines are priced in the customer's currency
+function basePrompt(currency) {
+  const { flatRate, freeShippingThreshold } = shippingRates(currency);
+  const money = (amount) => formatMoney(amount, currency, "en-US");
+  return `You are the AI customer support assistant for Rapid Research Co, a premium peptide research supply company.
 
 PRODUCT CATALOG:
-${PRODUCTS.map((p) =>
-  `- ${p.name} (${p.category}): ${p.dosages.map((d, i) => `${d} = $${p.prices[i]}`).join(", ")} | Purity: ${p.purity}`
-).join("\n")}
+${catalogPromptLines(currency)}
 
 KEY POLICIES:
 - All products are for LABORATORY AND RESEARCH PURPOSES ONLY — not for human consumption
 - Minimum purity: ≥97–99% on all peptides, independently HPLC verified with COA
 - Same-day dispatch on orders placed before 2PM CST
-- Free shipping on orders over $150, otherwise $9.95 flat rate
+- Free shipping on orders over ${money(freeShippingThreshold)}, otherwise ${money(flatRate)} flat rate
 - Temperature-controlled packaging included on all orders
 
 YOUR ROLE:
 - Answer questions about products, purity, dosage concentrations, pricing, and availability
 - Explain shipping policies and COA details
-- Guide customers on how to add products to cart and checkout in the mini app
+- Look things up with your tools rather than guessing: search_catalog and get_product for variants and prices, check_stock for availability, order_status for the customer's orders
+- When the customer asks you to add something, call add_to_cart; if more than one size fits, ask which one first. Use apply_promo for codes they give you
+- After an action, confirm it in one short sentence — the app shows the cart update
+- For order problems you can't solve (missing, damaged or wrong items, refunds, payment issues) or when asked for a person, call escalate_to_human
 - Be warm, professional, and concise — this is a mobile chat interface
 
 IMPORTANT LIMITS:
 - Never provide dosing instructions, administration advice, or anything resembling medical guidance
 - If asked about human use, dosing protocols, or medical advice, politely decline and remind them products are for research use only
 - Do not make up products or prices not listed above
+- Quote prices in ${currency.toUpperCase()} exactly as written above (symbol first, e.g. ${money(10)})
+- Answer stock questions only from CURRENT AVAILABILITY below; never promise a SOLD OUT item
 
 Keep responses concise and mobile-friendly. Use short paragraphs.`;
+}
 
-export default async function handler(req, res) {
-  // Handle CORS preflight
-  if (req.method === "OPTIONS") {
-    return res.status(204).set(CORS_HEADERS).end();
+// Stock changes between requests, so it's appended per call
+async function systemPrompt({ currency, lang }) {
+  return [
+    basePrompt(currency),
+    `Reply in ${languageName(lang)}.`,
+    `CURRENT AVAILABILITY (live):\n${await availabilityPromptLines()}`,
+  ].join("\n\n");
+}
+
+// Adds the cart's subtotal, discount, shipping and total to `amounts`; an
+// empty or unpriceable cart adds nothing
+async function addCartAmounts(amounts, { cart, promoCode, currency }) {
+  try {
+    amountsIn(await priceOrder({ items: cart, promoCode, currency }), amounts);
+  } catch (err) {
+    if (!(err instanceof CartError)) throw err;
   }
+}
 
-  Object.entries(CORS_HEADERS).forEach(([k, v]) => res.setHeader(k, v));
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "GET, POST, DELETE")) return;
 
-  if (req.method !== "POST") {
+  if (!["GET", "POST", "DELETE"].includes(req.method)) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
+  // Only signed requests from the Telegram mini app (see lib/auth.js)
+  const auth = authenticate(req);
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error });
+  }
+
+  if (req.method === "GET") {
+    const record = auth.user ? await getConversation(auth.user.id) : null;
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({
+      messages: (record?.messages || []).map(({ role, content, source }) => ({ role, content, source })),
+      summarized: Boolean(record?.summary),
+    });
+  }
+
+  if (req.method === "DELETE") {
+    if (auth.user) await clearConversation(auth.user.id);
+    return res.status(200).json({ ok: true });
+  }
+
+  const llm = getProvider();
+  if (!llm) {
     return res.status(500).json({ error: "AI not configured" });
   }
 
   try {
-    const { messages } = req.body;
+    const message = typeof req.body.message === "string" ? req.body.message.trim() : "";
+    let history;
+    if (auth.user) {
+      if (!message) {
+        return res.status(400).json({ error: "message is required" });
+      }
+
+      // Staff have this conversation; pass the message on instead of answering
+      const ticket = await openTicketFor(auth.user.id);
+      if (ticket) {
+        await forwardCustomerMessage(ticket, message, "app");
+        res.setHeader("Content-Type", "text/event-stream");
+        res.write(`2:${JSON.stringify([{ type: "forwarded", ticketId: ticket.id }])}\n`);
+        return res.end();
+      }
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "messages array is required" });
+      history = [...modelHistory(await getConversation(auth.user.id)), { role: "user", content: message }];
+    } else {
+      // Anonymous: no stored history, the client sends its own (last 20)
+      const { messages } = req.body;
+      history = Array.isArray(messages) ? messages.slice(-20) : message ? [{ role: "user", content: message }] : [];
+      if (!history.length) {
+        return res.status(400).json({ error: "message is required" });
+      }
     }
 
-    // Keep last 20 messages to avoid token overflow
-    const recentMessages = messages.slice(-20);
-
-    // Call OpenAI with streaming
-    const openaiRes = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-4o",
-        messages: [
-          { role: "system", content: SYSTEM_PROMPT },
-          ...recentMessages,
-        ],
-        stream: true,
-        max_tokens: 500,
-        temperature: 0.7,
-      }),
-    });
+    const sessionId = auth.user ? `tg:${auth.user.id}` : "anonymous";
+    console.log(`[Chat] Session ${sessionId}: ${history.length} message(s)`);
 
-    if (!openaiRes.ok) {
-      const err = await openaiRes.json().catch(() => ({}));
-      throw new Error(err.error?.message || "OpenAI request failed");
-    }
+    // Client cart as of this message; add_to_cart keeps it current between tool calls
+    const cart = (Array.isArray(req.body.cart) ? req.body.cart : [])
+      .map((l) => ({ id: Number(l?.id), qty: Number(l?.qty) }))
+      .filter((l) => Number.isInteger(l.id) && Number.isInteger(l.qty) && l.qty > 0)
+      .slice(0, 20);
+
+    const currency = normalizeCurrency(req.body.currency) || DEFAULT_CURRENCY;
+    const lang = resolveLanguage(req.body.language || auth.user?.language_code);
+    const refusal = refusalFor(lang);
 
-    // Stream the response back to the client
+    // Amounts the reply may quote on top of catalog prices, grown by tool results
+    let promoCode = typeof req.body.promoCode === "string" ? req.body.promoCode : undefined;
+    const amounts = new Set();
+
+    const userText = message || [...history].reverse().find((m) => m.role === "user")?.content || "";
+    const conversation = [{ role: "system", content: await systemPrompt({ currency, lang }) }, ...history];
+    let reply = "";
+
+    // Stream the response back to the client (nothing is sent until the first write)
     res.setHeader("Content-Type", "text/event-stream");
     res.setHeader("Cache-Control", "no-cache");
     res.setHeader("Connection", "keep-alive");
 
-    const reader = openaiRes.body.getReader();
-    const decoder = new TextDecoder();
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value, { stream: true });
-      const lines = chunk.split("\n");
-
-      for (const line of lines) {
-        if (line.startsWith("data: ")) {
-          const data = line.slice(6);
-          if (data === "[DONE]") {
-            res.write("data: [DONE]\n\n");
-            continue;
-          }
-          try {
-            const parsed = JSON.parse(data);
-            const content = parsed.choices?.[0]?.delta?.content;
-            if (content) {
-              // Send in AI SDK compatible format: 0:"text"
-              res.write(`0:${JSON.stringify(content)}\n`);
-            }
-          } catch (e) {
-            // Skip malformed chunks
-          }
-        }
+    // Research-use-only questions never reach the model
+    const screened = screenInput(userText);
+    if (screened.blocked) {
+      await recordBlock({ surface: "chat", stage: "input", userId: auth.user?.id, ...screened, message: userText });
+      res.write(`0:${JSON.stringify(refusal)}\n`);
+      reply = refusal;
+    }
+
+    for (let round = 0; !screened.blocked && round <= MAX_TOOL_ROUNDS; round++) {
+      // add_to_cart and apply_promo change the quote between rounds
+      await addCartAmounts(amounts, { cart, promoCode, currency });
+
+      // Send in AI SDK compatible format: 0:"text", a sentence at a time once it passes the guard
+      const guard = createOutputGuard((safe) => res.write(`0:${JSON.stringify(safe)}\n`), { amounts, language: lang });
+
+      // The last round gets no tools so the model has to answer
+      const { toolCalls } = await llm.stream(
+        {
+          messages: conversation,
+          tools: round < MAX_TOOL_ROUNDS ? TOOL_DEFINITIONS : undefined,
+          user: sessionId,
+        },
+        (delta) => guard.push(delta)
+      );
+      const { text, verdict } = guard.finish();
+      if (verdict.blocked) {
+        await recordBlock({ surface: "chat", stage: "output", userId: auth.user?.id, ...verdict, message: userText, reply: reply + text });
+        res.write(`2:${JSON.stringify([{ type: "replace_text", text: refusal }])}\n`);
+        reply = refusal;
+        break;
+      }
+      reply += text;
+      if (!toolCalls.length) break;
+
+      conversation.push({ role: "assistant", content: text || null, tool_calls: toolCalls });
+      for (const call of toolCalls) {
+        const { content, action } = await runTool(call.function.name, call.function.arguments, {
+          user: auth.user,
+          cart,
+          currency,
+          language: lang,
+        });
+        console.log(`[Chat] Session ${sessionId}: tool ${call.function.name}${action ? ` → ${action.type}` : ""}`);
+        if (action) res.write(`2:${JSON.stringify([action])}\n`);
+        if (action?.type === "apply_promo") promoCode = action.code;
+        amountsIn(content, amounts);
+        conversation.push({ role: "tool", tool_call_id: call.id, content });
       }
     }
 
+    // Saved before the stream closes; the function may be frozen right after
+    if (auth.user) {
+      await appendTurns(auth.user.id, [{ role: "user", content: message }, { role: "assistant", content: reply }], {
+        source: "app",
+        llm,
+      }).catch((err) => console.error("[Chat] Could not save conversation:", err));
+    }
+
+    res.write("data: [DONE]\n\n");
     res.end();
   } catch (err) {
     console.error("[Chat] Error:", err);
@@ -1,9 +1,35 @@
 /**
  * Vercel Serverless Function: POST /api/checkout
  *
- * Receives cart items from the Telegram Mini App, creates a Stripe Checkout
- * session, and returns the payment URL. On completion, the Stripe webhook
- * (handled by /api/webhook) fires the Telegram group notification.
+ * Receives cart items ({ id, qty }) from the Telegram Mini App, prices them
+ * against the catalog (client-sent prices and names are ignored), creates a
+ * Stripe Checkout session, and returns the payment URL. On completion, the
+ * Stripe webhook (handled by /api/webhook) fires the Telegram group
+ * notification.
+ *
+ * Out-of-stock items are rejected, and the session's quantities are held
+ * until it completes or expires (lib/inventory.js).
+ *
+ * The shipping address from the mini app's shipping step is validated
+ * (lib/address.js), passed to Stripe as the payment's shipping details and
+ * remembered for the user's next order. Clients that don't send one get
+ * Stripe's own address collection instead.
+ *
+ * `shopView` ({ q, sort, form, price, cat, view }) is the shop's search and
+ * filter state; it's added to the success and cancel URLs so the customer
+ * comes back from Stripe to the same view.
+ *
+ * `referral` is the tag from the deep link the customer arrived through
+ * (lib/deeplinks.js); it's kept in the session metadata and on the order.
+ *
+ * `currency` ("usd", "eur", "gbp"; default usd) picks the price list
+ * (lib/currency.js), and the whole session — lines, promo coupon and
+ * shipping — is charged in it. `language` is the customer's mini app
+ * language, kept so follow-up bot messages use it.
+ *
+ * Requests must carry verified Telegram initData (lib/auth.js); the
+ * Telegram user id is stored on the session so the order is tied to a real
+ * account.
  *
  * Required environment variables (set in Vercel dashboard):
  *   STRIPE_SECRET_KEY
@@ -12,26 +38,48 @@
  */
 
 import Stripe from "stripe";
+import { CartError, priceOrder, reserveLines } from "../lib/cart.js";
+import { stripeShippingOption } from "../lib/shipping.js";
+import { encodeCart, orderIdForSession } from "../lib/orders.js";
+import {
+  SHIPPING_COUNTRIES,
+  addressMetadata,
+  saveAddress,
+  stripeShipping,
+  validateShippingAddress,
+} from "../lib/address.js";
+import { normalizeReferral } from "../lib/deeplinks.js";
+import { resolveLanguage, t } from "../lib/i18n.js";
+import { applyCors, authenticate, telegramName } from "../lib/auth.js";
 
-const CORS_HEADERS = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "POST, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
-};
+// Shop URL parameters carried through the Stripe redirect
+const SHOP_VIEW_PARAMS = ["q", "sort", "form", "price", "cat", "view"];
 
-export default async function handler(req, res) {
-  // Handle CORS preflight
-  if (req.method === "OPTIONS") {
-    return res.status(204).set(CORS_HEADERS).end();
+/** "q=ghk&sort=price-asc&" (or "") for the front of the return URLs' query */
+function shopViewQuery(view) {
+  const params = new URLSearchParams();
+  for (const key of SHOP_VIEW_PARAMS) {
+    const value = typeof view?.[key] === "string" ? view[key].trim().slice(0, 60) : "";
+    if (value) params.set(key, value);
   }
+  const query = params.toString();
+  return query ? `${query}&` : "";
+}
 
-  // Set CORS headers on all responses
-  Object.entries(CORS_HEADERS).forEach(([k, v]) => res.setHeader(k, v));
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "POST")) return;
 
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
+  // Only signed requests from the Telegram mini app (see lib/auth.js)
+  const auth = authenticate(req);
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error });
+  }
+
   const stripeKey = process.env.STRIPE_SECRET_KEY;
   if (!stripeKey) {
     return res.status(500).json({ error: "Stripe not configured" });
@@ -40,71 +88,124 @@ export default async function handler(req, res) {
   const stripe = new Stripe(stripeKey);
 
   try {
-    const { items, customerName, customerEmail, shippingAddress, promoCode } = req.body;
+    const { items, customerName, customerEmail, shippingAddress, promoCode, shopView, referral, currency, language } =
+      req.body;
+    const lang = resolveLanguage(language || auth.user?.language_code);
 
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: "items array is required" });
+    // Resolve every line against the catalog and price shipping (throws CartError → 400)
+    const priced = await priceOrder({ items, promoCode, currency, language: lang });
+    const { lines, subtotal, discount, shipping, total, promo } = priced;
+    if (promo && !promo.valid) {
+      return res.status(400).json({ error: promo.message });
+    }
+
+    // Validate the address from the shipping step (field errors → 400)
+    let address = null;
+    if (shippingAddress && Object.values(shippingAddress).some(Boolean)) {
+      const result = validateShippingAddress(shippingAddress, { language: lang });
+      if (result.errors) {
+        return res.status(400).json({ error: t(lang, "app.ship.errCheck"), fields: result.errors });
+      }
+      address = result.address;
     }
 
     // Build Stripe line items
-    const lineItems = items.map((item) => ({
+    const lineItems = lines.map((line) => ({
       price_data: {
-        currency: "usd",
+        currency: priced.currency,
         product_data: {
-          name: `${item.name} (${item.conc})`,
+          name: `${line.name} (${line.conc})`,
           description: "Research use only — <99% purity",
-          metadata: { productId: String(item.id) },
+          metadata: { productId: String(line.id) },
         },
-        unit_amount: Math.round(item.price * 100),
+        unit_amount: Math.round(line.price * 100),
       },
-      quantity: item.qty,
+      quantity: line.qty,
     }));
 
     // Determine origin for redirect URLs
     const origin =
       req.headers.origin ||
-      req.headers.referer?.replace(/\/$/, "") ||
+      req.headers.referer?.replace(/[?#].*$/, "").replace(/\/$/, "") ||
       "https://rapid-research-miniapp.vercel.app";
 
-    // Format shipping address for metadata
-    const shipAddr = shippingAddress || {};
-    const shippingLine = [
-      shipAddr.address,
-      shipAddr.city,
-      shipAddr.state,
-      shipAddr.zip,
-      shipAddr.country || "US",
-    ]
-      .filter(Boolean)
-      .join(", ");
+    const email = address?.email || customerEmail || undefined;
+
+    // Promo discounts are priced by lib/promo.js and applied as a one-off coupon
+    let discounts;
+    if (discount > 0) {
+      const coupon = await stripe.coupons.create({
+        amount_off: Math.round(discount * 100),
+        currency: priced.currency,
+        duration: "once",
+        max_redemptions: 1,
+        name: promo.code,
+        metadata: { promo_code: promo.code },
+      });
+      discounts = [{ coupon: coupon.id }];
+    }
+
+    // Stripe's minimum session lifetime; stock is held for the same window
+    const expiresAt = Math.floor(Date.now() / 1000) + 30 * 60;
 
     // Create Stripe Checkout session
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ["card"],
       line_items: lineItems,
+      shipping_options: [stripeShippingOption(shipping)],
+      ...(address
+        ? { payment_intent_data: { shipping: stripeShipping(address) } }
+        : { shipping_address_collection: { allowed_countries: Object.keys(SHIPPING_COUNTRIES) } }),
       mode: "payment",
-      success_url: `${origin}?payment=success&session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${origin}?payment=cancelled`,
-      customer_email: customerEmail || shipAddr.email || undefined,
-      allow_promotion_codes: true,
+      expires_at: expiresAt,
+      success_url: `${origin}?${shopViewQuery(shopView)}payment=success&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${origin}?${shopViewQuery(shopView)}payment=cancelled`,
+      customer_email: email,
+      discounts,
       metadata: {
-        customer_name: customerName || shipAddr.name || "Guest",
-        customer_email: customerEmail || shipAddr.email || "",
-        shipping_address: shippingLine,
-        items_summary: items
-          .map((i) => `${i.name} (${i.conc}) x${i.qty}`)
+        customer_name: address?.name || customerName || telegramName(auth.user) || "Guest",
+        customer_email: email || "",
+        ...(address ? addressMetadata(address) : {}),
+        items_summary: lines
+          .map((l) => `${l.name} (${l.conc}) x${l.qty}`)
           .join(", ")
           .slice(0, 500),
-        total_usd: items
-          .reduce((s, i) => s + i.price * i.qty, 0)
-          .toFixed(2),
-        promo_code: promoCode || "none",
+        cart: encodeCart(lines),
+        currency: priced.currency,
+        subtotal: subtotal.toFixed(2),
+        discount: discount.toFixed(2),
+        shipping: shipping.fee.toFixed(2),
+        total: total.toFixed(2),
+        promo_code: promo?.valid ? promo.code : "none",
         source: "telegram_mini_app",
+        telegram_user_id: auth.user ? String(auth.user.id) : "",
+        telegram_username: auth.user?.username || "",
+        telegram_language: lang,
+        referral: normalizeReferral(referral) || "",
       },
     });
 
-    return res.status(200).json({ url: session.url, sessionId: session.id });
+    // Another checkout may have taken the last units since priceOrder()
+    try {
+      await reserveLines(session.id, lines, expiresAt * 1000, { language: lang });
+    } catch (err) {
+      await stripe.checkout.sessions
+        .expire(session.id)
+        .catch((expireErr) => console.error("[Checkout] Could not expire session:", expireErr));
+      throw err;
+    }
+
+    if (address && auth.user) {
+      await saveAddress(auth.user.id, address).catch((err) =>
+        console.error("[Checkout] Could not remember address:", err)
+      );
+    }
+
+    return res.status(200).json({ url: session.url, sessionId: session.id, orderId: orderIdForSession(session.id) });
   } catch (err) {
+    if (err instanceof CartError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("[Checkout] Error:", err);
     return res.status(500).json({ error: err.message || "Checkout failed" });
   }
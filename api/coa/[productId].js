@@ -0,0 +1,46 @@
+/**
+ * Vercel Serverless Function: GET /api/coa/:productId
+ *
+ * Serves the certificate of analysis for a product's current lot
+ * (lib/lots.js), as linked from the mini app's product sheet and sent by the
+ * bot's /coa command.
+ *
+ *   /api/coa/glp-3r?variant=8   the COA for that size
+ *   /api/coa/glp-3r             the first size that has one
+ *
+ * Redirects to the lot's COA URL. 404 when the lot has no COA on file.
+ */
+
+import { ITEMS } from "../../lib/catalog.js";
+import { coaUrl, lotMap } from "../../lib/lots.js";
+import { applyCors } from "../../lib/auth.js";
+
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "GET")) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { productId, variant } = req.query || {};
+  const variants = ITEMS.filter((i) => i.productId === productId && (!variant || i.id === Number(variant)));
+  if (!variants.length) {
+    return res.status(404).json({ error: "No such product" });
+  }
+
+  try {
+    const lots = await lotMap();
+    const item = variants.find((i) => coaUrl(lots.get(i.id)));
+    if (!item) {
+      return res.status(404).json({ error: "No COA on file for the current lot yet" });
+    }
+
+    res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate=300");
+    res.setHeader("Location", coaUrl(lots.get(item.id)));
+    return res.status(302).end();
+  } catch (err) {
+    console.error("[COA] Error:", err);
+    return res.status(500).json({ error: err.message || "Could not load the COA" });
+  }
+}
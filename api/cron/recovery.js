@@ -0,0 +1,33 @@
+/**
+ * Vercel Cron: GET /api/cron/recovery
+ *
+ * Sends the abandoned-cart reminders that are due (lib/recovery.js). Runs on
+ * the schedule in vercel.json; Vercel authenticates it with
+ * `Authorization: Bearer <CRON_SECRET>`.
+ *
+ * Required environment variables:
+ *   CRON_SECRET
+ *   TELEGRAM_BOT_TOKEN
+ */
+
+import { authenticateCron } from "../../lib/auth.js";
+import { sendDueReminders } from "../../lib/recovery.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const cron = authenticateCron(req);
+  if (cron.error) {
+    return res.status(cron.status).json({ error: cron.error });
+  }
+
+  try {
+    const result = await sendDueReminders();
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error("[Recovery] Cron error:", err);
+    return res.status(500).json({ error: err.message || "Reminder run failed" });
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Vercel Serverless Function: /api/handoff
+ *
+ *   POST { reason?, language? }  "Talk to a human" in the mini app chat: opens
+ *                     a support ticket and forwards the conversation to the
+ *                     staff group; `language` is the mini app's, used for
+ *                     the bot's DMs about the ticket
+ *   GET               the user's current (or last) ticket with staff replies;
+ *                     the chat panel polls this while a ticket is open
+ *
+ * See lib/handoff.js for the workflow.
+ *
+ * Required environment variables:
+ *   TELEGRAM_BOT_TOKEN
+ *   TELEGRAM_GROUP_CHAT_ID
+ */
+
+import { applyCors, authenticate } from "../lib/auth.js";
+import { HandoffError, latestTicketFor, openTicket, publicTicket } from "../lib/handoff.js";
+
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "GET, POST")) return;
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Only signed requests from the Telegram mini app (see lib/auth.js)
+  const auth = authenticate(req);
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error });
+  }
+  if (!auth.user) {
+    return res.status(403).json({ error: "Open the shop from Telegram to reach our team" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).json({ ticket: publicTicket(await latestTicketFor(auth.user.id)) });
+    }
+
+    const { ticket, created } = await openTicket(auth.user, {
+      via: "app",
+      reason: req.body?.reason || "",
+      language: req.body?.language,
+    });
+    return res.status(created ? 201 : 200).json({ ticket: publicTicket(ticket), created });
+  } catch (err) {
+    if (err instanceof HandoffError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("[Handoff] Error:", err);
+    return res.status(500).json({ error: err.message || "Could not reach support" });
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Vercel Serverless Function: GET /api/i18n?lang=de
+ *
+ * Returns the mini app's UI strings for a language from lib/locales/, with
+ * English filled in for anything not yet translated, plus the languages the
+ * selector offers and the currency that language defaults to
+ * (lib/currency.js). An unknown `lang` gets English.
+ */
+
+import { LANGUAGES, appStrings, resolveLanguage } from "../lib/i18n.js";
+import { currencyForLanguage } from "../lib/currency.js";
+import { applyCors } from "../lib/auth.js";
+
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "GET")) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const lang = resolveLanguage(req.query?.lang);
+  res.setHeader("Cache-Control", "s-maxage=3600, stale-while-revalidate=86400");
+  return res.status(200).json({
+    lang,
+    // From the full code, so "en-GB" still defaults to pounds
+    currency: currencyForLanguage(req.query?.lang),
+    languages: Object.entries(LANGUAGES).map(([code, { native }]) => ({ code, name: native })),
+    strings: appStrings(lang),
+  });
+}
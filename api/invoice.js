@@ -0,0 +1,81 @@
+/**
+ * Vercel Serverless Function: POST /api/invoice
+ *
+ * The Telegram Payments alternative to /api/checkout, offered when
+ * PAYMENT_METHODS includes "telegram" (lib/payments.js). Takes the same body
+ * ({ items, shippingAddress, promoCode, referral, currency, language }), prices and
+ * validates it the same way, and returns a Bot API invoice link that the mini app opens in-app
+ * with WebApp.openInvoice. /api/telegram confirms the charge and records the
+ * order.
+ *
+ * The shipping address is required here: Telegram doesn't collect it.
+ *
+ * Requests must carry verified Telegram initData (lib/auth.js); anonymous
+ * sessions can't pay in Telegram.
+ *
+ * Required environment variables:
+ *   TELEGRAM_BOT_TOKEN
+ *   TELEGRAM_PAYMENT_PROVIDER_TOKEN
+ */
+
+import { CartError, priceOrder } from "../lib/cart.js";
+import { orderIdForSession } from "../lib/orders.js";
+import { saveAddress, validateShippingAddress } from "../lib/address.js";
+import { PaymentError, createInvoice } from "../lib/payments.js";
+import { normalizeReferral } from "../lib/deeplinks.js";
+import { resolveLanguage, t } from "../lib/i18n.js";
+import { applyCors, authenticate } from "../lib/auth.js";
+
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "POST")) return;
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Only signed requests from the Telegram mini app (see lib/auth.js)
+  const auth = authenticate(req);
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error });
+  }
+  if (!auth.user) {
+    return res.status(400).json({ error: "Open the shop in Telegram to pay with Telegram" });
+  }
+
+  try {
+    const { items, shippingAddress, promoCode, referral, currency, language } = req.body || {};
+    const lang = resolveLanguage(language || auth.user.language_code);
+
+    // Resolve every line against the catalog and price shipping (throws CartError → 400)
+    const priced = await priceOrder({ items, promoCode, currency, language: lang });
+    if (priced.promo && !priced.promo.valid) {
+      return res.status(400).json({ error: priced.promo.message });
+    }
+
+    const { address, errors } = validateShippingAddress(shippingAddress || {}, { language: lang });
+    if (errors) {
+      return res.status(400).json({ error: t(lang, "app.ship.errCheck"), fields: errors });
+    }
+
+    const { invoice, url } = await createInvoice({
+      user: auth.user,
+      priced,
+      address,
+      referral: normalizeReferral(referral),
+      language: lang,
+    });
+
+    await saveAddress(auth.user.id, address).catch((err) =>
+      console.error("[Invoice] Could not remember address:", err)
+    );
+
+    return res.status(200).json({ url, orderId: orderIdForSession(invoice.id), total: invoice.total, currency: invoice.currency });
+  } catch (err) {
+    if (err instanceof CartError || err instanceof PaymentError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("[Invoice] Error:", err);
+    return res.status(500).json({ error: err.message || "Checkout failed" });
+  }
+}
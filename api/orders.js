@@ -0,0 +1,48 @@
+/**
+ * Vercel Serverless Function: GET /api/orders
+ *
+ * Returns the signed-in Telegram user's order history for the mini app's
+ * Orders tab, newest first. Orders are written by /api/webhook when Stripe
+ * confirms payment (see lib/orders.js). That runs in another function
+ * instance, so this only sees them through a shared store (Vercel KV, see
+ * lib/store.js); the mini app polls here for a few seconds after payment.
+ *
+ * `?session_id=cs_…` (Stripe's return parameter) adds `orderId`, the id the
+ * session's order is recorded under, so the mini app knows which order to
+ * wait for.
+ *
+ * Required environment variables:
+ *   TELEGRAM_BOT_TOKEN
+ */
+
+import { applyCors, authenticate } from "../lib/auth.js";
+import { listOrdersForUser, orderIdForSession, publicOrder } from "../lib/orders.js";
+
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "GET")) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Only signed requests from the Telegram mini app (see lib/auth.js)
+  const auth = authenticate(req);
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error });
+  }
+
+  try {
+    // Anonymous browser sessions have no order history
+    const orders = auth.user ? await listOrdersForUser(auth.user.id) : [];
+    const sessionId = typeof req.query?.session_id === "string" ? req.query.session_id : "";
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({
+      orders: orders.map(publicOrder),
+      ...(sessionId && { orderId: orderIdForSession(sessionId) }),
+    });
+  } catch (err) {
+    console.error("[Orders] Error:", err);
+    return res.status(500).json({ error: err.message || "Could not load orders" });
+  }
+}
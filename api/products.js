@@ -0,0 +1,72 @@
+/**
+ * Vercel Serverless Function: GET /api/products
+ *
+ * Returns the product catalog the mini app renders. Prices and variants come
+ * from lib/catalog.js, the same module /api/checkout and the assistants use;
+ * each item also carries its live stock state from lib/inventory.js and its
+ * current lot (number, tested purity, whether a COA is on file) from
+ * lib/lots.js for the product sheet.
+ *
+ * `popularity` ranks variants by units sold over the last POPULARITY_DAYS
+ * (1 = best seller, null = no recent sales) for the shop's "Popular" sort,
+ * from the sales counters in lib/orders.js; the counts themselves stay
+ * private.
+ *
+ * `?currency=eur` prices the catalog in another currency (lib/currency.js);
+ * `price` is always in the returned `currency`. The response also lists the
+ * currencies the shop's selector offers.
+ */
+
+import { CATEGORIES, ITEMS, itemPrice } from "../lib/catalog.js";
+import { CURRENCIES, DEFAULT_CURRENCY, normalizeCurrency } from "../lib/currency.js";
+import { availabilityMap } from "../lib/inventory.js";
+import { lotMap, publicLot } from "../lib/lots.js";
+import { unitsSold } from "../lib/orders.js";
+import { applyCors } from "../lib/auth.js";
+
+const POPULARITY_DAYS = 30;
+
+// Exact counts are only shown once stock runs low
+function availabilityFields({ state, available }) {
+  return { stock: state, available: state === "in_stock" ? null : available };
+}
+
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "GET")) return;
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const currency = req.query?.currency ? normalizeCurrency(req.query.currency) : DEFAULT_CURRENCY;
+  if (!currency) {
+    return res.status(400).json({ error: "Unsupported currency" });
+  }
+
+  try {
+    const [availability, lots, sold] = await Promise.all([
+      availabilityMap(),
+      lotMap(),
+      unitsSold({ since: new Date(Date.now() - POPULARITY_DAYS * 86400000) }),
+    ]);
+    const ranked = [...sold.entries()].filter(([, units]) => units > 0).sort((a, b) => b[1] - a[1]);
+    const popularity = new Map(ranked.map(([id], i) => [id, i + 1]));
+    res.setHeader("Cache-Control", "s-maxage=15, stale-while-revalidate=60");
+    return res.status(200).json({
+      currency,
+      currencies: Object.values(CURRENCIES).map(({ code, label, locale }) => ({ code, label, locale })),
+      categories: CATEGORIES.map(({ id, name }) => ({ id, name })),
+      products: ITEMS.map(({ prices, ...item }) => ({
+        ...item,
+        price: itemPrice({ prices }, currency),
+        ...availabilityFields(availability.get(item.id)),
+        lot: publicLot(lots.get(item.id)),
+        popularity: popularity.get(item.id) ?? null,
+      })),
+    });
+  } catch (err) {
+    console.error("[Products] Error:", err);
+    return res.status(500).json({ error: err.message || "Could not load products" });
+  }
+}
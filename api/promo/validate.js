@@ -0,0 +1,51 @@
+/**
+ * Vercel Serverless Function: POST /api/promo/validate
+ *
+ * Checks a promo code against the customer's cart and returns the discount
+ * it would give. Rules (expiry, minimum subtotal, product/category scope,
+ * usage limits) live in lib/promo.js; this endpoint never trusts the client.
+ *
+ * Body: { code: string, items: [{ id, qty }], currency?: string, language?: string }
+ *
+ * Messages are in `language` (lib/i18n.js).
+ */
+
+import { CartError, priceOrder } from "../../lib/cart.js";
+import { applyCors, authenticate } from "../../lib/auth.js";
+import { resolveLanguage } from "../../lib/i18n.js";
+
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "POST")) return;
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Only signed requests from the Telegram mini app (see lib/auth.js)
+  const auth = authenticate(req);
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error });
+  }
+
+  try {
+    const { code, items, currency, language } = req.body || {};
+    if (!code || typeof code !== "string") {
+      return res.status(400).json({ error: "code is required" });
+    }
+
+    const quote = await priceOrder({
+      items,
+      promoCode: code,
+      currency,
+      language: resolveLanguage(language || auth.user?.language_code),
+    });
+    return res.status(200).json({ ...quote.promo, quote });
+  } catch (err) {
+    if (err instanceof CartError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("[Promo] Error:", err);
+    return res.status(500).json({ error: err.message || "Promo validation failed" });
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Vercel Serverless Function: POST /api/quote
+ *
+ * Prices the mini app's cart exactly as /api/checkout will charge it:
+ * catalog prices, promo discount and shipping. The cart sheet
+ * renders this quote instead of doing its own math.
+ *
+ * Body: { items: [{ id, qty }], promoCode?: string, currency?: string, language?: string }
+ *
+ * Everything is priced in `currency` (lib/currency.js, default usd); errors,
+ * promo messages and the shipping label are in `language` (lib/i18n.js).
+ *
+ * The quote also lists the payment paths to offer (`paymentMethods`, see
+ * lib/payments.js).
+ */
+
+import { CartError, priceOrder } from "../lib/cart.js";
+import { applyCors, authenticate } from "../lib/auth.js";
+import { paymentMethods } from "../lib/payments.js";
+import { resolveLanguage } from "../lib/i18n.js";
+
+export default async function handler(req, res) {
+  // CORS for the mini app origin(s); answers preflights
+  if (applyCors(req, res, "POST")) return;
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Only signed requests from the Telegram mini app (see lib/auth.js)
+  const auth = authenticate(req);
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error });
+  }
+
+  try {
+    const { items, promoCode, currency, language } = req.body || {};
+    const priced = await priceOrder({
+      items,
+      promoCode,
+      currency,
+      language: resolveLanguage(language || auth.user?.language_code),
+    });
+    return res.status(200).json({ ...priced, paymentMethods: paymentMethods() });
+  } catch (err) {
+    if (err instanceof CartError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("[Quote] Error:", err);
+    return res.status(500).json({ error: err.message || "Quote failed" });
+  }
+}
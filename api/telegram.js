@@ -4,112 +4,257 @@
  * Handles incoming messages to @RapidLabsSupportBot via Telegram webhook.
  * Responds with AI-generated answers about Rapid Research Co products.
  *
+ * Staff listed in ADMIN_USER_IDS can also run the order, refund, sales and
+ * stock commands in lib/admin.js, in a private chat with the bot or in the
+ * staff group. Those are intercepted before the AI and refused for everyone
+ * else and anywhere else.
+ *
+ * Telegram Payments (lib/payments.js): pre_checkout_query gets a final
+ * stock and price check, and successful_payment is recorded as an order.
+ * Both are handled before the update is acknowledged, and a payment that
+ * can't be recorded answers 500 so Telegram redelivers it.
+ *
+ * /coa <product> sends the certificate of analysis for the current lot
+ * (lib/lots.js).
+ *
+ * /stop opts the customer out of abandoned-cart reminders (lib/recovery.js).
+ *
+ * "/start <param>" (from a t.me/<bot>?start= link) answers with a button that
+ * opens the mini app on that product, category or promo code, and inline
+ * queries ("@RapidLabsSupportBot ghk" in any chat) return product cards with
+ * an "Open in shop" link carrying the sharer's referral tag
+ * (lib/deeplinks.js). Inline mode has to be enabled in BotFather (/setinline).
+ *
+ * Conversation history is kept per Telegram user in lib/conversations.js and
+ * shared with the mini app chat; /reset clears it.
+ *
+ * Replies come from the translation bundles in lib/i18n.js and prices from
+ * the currency's price list (lib/currency.js), both picked from the sender's
+ * Telegram language_code; the assistant is told to answer in that language.
+ *
+ * AI replies pass through the research-use-only guardrails in
+ * lib/guardrails.js; blocked exchanges get the standard refusal and are
+ * logged for staff review.
+ *
+ * /human (or the model's escalate_to_human tool) hands the customer to staff
+ * in TELEGRAM_GROUP_CHAT_ID (lib/handoff.js). Messages in that group are
+ * never answered by the AI; replies to forwarded messages are relayed to the
+ * customer instead.
+ *
  * Required environment variables:
  *   TELEGRAM_BOT_TOKEN
- *   OPENAI_API_KEY
+ *   OPENAI_API_KEY      (or another LLM_* provider setup, see lib/llm.js)
+ *   ADMIN_USER_IDS
+ *   TELEGRAM_GROUP_CHAT_ID   (for /human handoff)
+ *   TELEGRAM_PAYMENT_PROVIDER_TOKEN   (for Telegram Payments, see lib/payments.js)
+ *   STRIPE_SECRET_KEY   (for /refund, /order and /sales)
  *
  * Setup: After deploying, register the webhook once:
  *   curl -X POST "https://api.telegram.org/bot<TOKEN>/setWebhook" \
  *        -d "url=https://rapid-research-miniapp.vercel.app/api/telegram"
  */
 
-const TELEGRAM_API = "https://api.telegram.org";
-
-const PRODUCTS = [
-  { name: "Semaglutide", dosages: ["5mg", "10mg", "15mg"], purity: "≥98%", category: "GLP-1", prices: [85, 125, 165] },
-  { name: "Tirzepatide", dosages: ["5mg", "10mg", "15mg"], purity: "≥98%", category: "GLP-1", prices: [75, 115, 155] },
-  { name: "Retatrutide", dosages: ["5mg", "10mg", "15mg"], purity: "≥97%", category: "GLP-1", prices: [90, 130, 170] },
-  { name: "Copper (GHK-Cu)", dosages: ["50mg", "100mg"], purity: "≥99%", category: "Peptides", prices: [45, 75] },
-  { name: "Mots-C", dosages: ["10mg"], purity: "≥98%", category: "Peptides", prices: [55] },
-  { name: "Selank", dosages: ["10mg"], purity: "≥98%", category: "Peptides", prices: [55] },
-  { name: "5-Amino-1MQ", dosages: ["10mg"], purity: "≥98%", category: "Peptides", prices: [75] },
-  { name: "NAD+", dosages: ["500mg"], purity: "≥99%", category: "Other", prices: [150] },
-  { name: "Bacteriostatic Water", dosages: ["10ml"], purity: "USP grade", category: "Other", prices: [38] },
-];
-
-const SYSTEM_PROMPT = `You are the customer support assistant for Rapid Research Co, a premium peptide research supply company. You communicate via Telegram, so keep responses concise and conversational.
+import { CATEGORIES, PRODUCTS, catalogPromptLines, findItem, itemPrice, matchItems } from "../lib/catalog.js";
+import { shippingRates } from "../lib/shipping.js";
+import { currencyForLanguage, formatMoney } from "../lib/currency.js";
+import { languageName, resolveLanguage, t } from "../lib/i18n.js";
+import { availabilityMap, availabilityPromptLines } from "../lib/inventory.js";
+import { coaUrl, lotMap } from "../lib/lots.js";
+import { MINI_APP_URL, callTelegram, sendTelegramMessage } from "../lib/telegram.js";
+import { isAdminUser } from "../lib/auth.js";
+import { adminHelp, runAdminCommand } from "../lib/admin.js";
+import { getProvider } from "../lib/llm.js";
+import { appendTurns, clearConversation, getConversation, modelHistory } from "../lib/conversations.js";
+import { HandoffError, forwardCustomerMessage, handleStaffMessage, isStaffGroup, openTicket, openTicketFor } from "../lib/handoff.js";
+import { ESCALATE_TOOL } from "../lib/tools.js";
+import { recordBlock, refusalFor, screenInput, screenOutput } from "../lib/guardrails.js";
+import { answerPreCheckout, completeTelegramPayment } from "../lib/payments.js";
+import { optOut } from "../lib/recovery.js";
+import { parseStartParam, shopLink, webAppUrl } from "../lib/deeplinks.js";
+
+// Catalog and shipping lines are priced in the customer's currency
+function basePrompt(currency) {
+  const { flatRate, freeShippingThreshold } = shippingRates(currency);
+  const money = (amount) => formatMoney(amount, currency, "en-US");
+  return `You are the customer support assistant for Rapid Research Co, a premium peptide research supply company. You communicate via Telegram, so keep responses concise and conversational.
 
 PRODUCT CATALOG:
-${PRODUCTS.map((p) =>
-  `- ${p.name} (${p.category}): ${p.dosages.map((d, i) => `${d} = $${p.prices[i]}`).join(", ")} | Purity: ${p.purity}`
-).join("\n")}
+${catalogPromptLines(currency)}
 
 KEY POLICIES:
 - All products are for LABORATORY AND RESEARCH PURPOSES ONLY
 - Purity: ≥97–99%, HPLC verified with COA provided
 - Same-day dispatch on orders placed before 2PM CST
-- Free shipping on orders over $150, otherwise $9.95 flat rate
+- Free shipping on orders over ${money(freeShippingThreshold)}, otherwise ${money(flatRate)} flat rate
 - Customers can place orders through the Telegram Mini App
 
 YOUR ROLE:
 - Answer questions about products, purity, pricing, availability, shipping
-- Direct customers to the mini app to place orders: https://rapid-research-miniapp.vercel.app
+- Direct customers to the mini app to place orders: ${MINI_APP_URL}
 - Be warm, helpful, and professional
+- For order problems you can't solve (missing, damaged or wrong items, refunds, payment issues) or when asked for a person, call escalate_to_human
 
 IMPORTANT LIMITS:
 - Never provide dosing instructions, administration advice, or medical guidance
 - If asked about human use or medical advice, politely decline and remind them products are for research only
 - Do not make up products or prices not listed above
+- Quote prices in ${currency.toUpperCase()} exactly as written above (symbol first, e.g. ${money(10)})
+- Answer stock questions only from CURRENT AVAILABILITY below; never promise a SOLD OUT item
 
 Keep responses short and mobile-friendly. Use plain text (no markdown unless needed).`;
+}
+
+// Stock changes between requests, so it's appended per call
+async function systemPrompt({ currency, lang }) {
+  return [
+    basePrompt(currency),
+    `Reply in ${languageName(lang)}.`,
+    `CURRENT AVAILABILITY (live):\n${await availabilityPromptLines()}`,
+  ].join("\n\n");
+}
+
+/** The sender's language and currency, from their Telegram language_code. */
+function localeFor(user) {
+  return { lang: resolveLanguage(user?.language_code), currency: currencyForLanguage(user?.language_code) };
+}
 
-// Simple in-memory conversation store (resets on cold start — acceptable for serverless)
-const conversations = new Map();
-const CONVERSATION_TTL = 30 * 60 * 1000; // 30 minutes
+/** @returns {Promise<{ text: string, escalation: string|null }>} escalation is the model's reason, if it asked for a human */
+async function getAIResponse(llm, messages, chatId, locale) {
+  const { text, toolCalls } = await llm.complete({
+    messages: [{ role: "system", content: await systemPrompt(locale) }, ...messages],
+    tools: [ESCALATE_TOOL],
+    user: `tg:${chatId}`,
+  });
+  const call = toolCalls.find((c) => c.function?.name === "escalate_to_human");
+  let escalation = null;
+  if (call) {
+    try {
+      escalation = JSON.parse(call.function.arguments || "{}").reason || "Customer needs help";
+    } catch {
+      escalation = "Customer needs help";
+    }
+  }
+  return { text: text || (escalation ? "" : "Sorry, I couldn't generate a response. Please try again."), escalation };
+}
 
-function getConversation(chatId) {
-  const entry = conversations.get(chatId);
-  if (!entry) return [];
-  if (Date.now() - entry.lastActivity > CONVERSATION_TTL) {
-    conversations.delete(chatId);
-    return [];
+async function startHandoff(chatId, from, via, reason) {
+  const { lang } = localeFor(from);
+  try {
+    const { created } = await openTicket(from, { via, reason, language: lang });
+    await sendTelegramMessage(chatId, t(lang, created ? "bot.handoff.opened" : "bot.handoff.alreadyOpen"));
+  } catch (err) {
+    if (!(err instanceof HandoffError)) throw err;
+    await sendTelegramMessage(chatId, t(lang, "bot.handoff.failed", { error: err.message }));
   }
-  return entry.messages;
 }
 
-function updateConversation(chatId, messages) {
-  conversations.set(chatId, { messages: messages.slice(-20), lastActivity: Date.now() });
+// COAs sent per /coa, when a product name matches several sizes
+const MAX_COAS_PER_REQUEST = 3;
+
+async function sendCoa(chatId, query, lang) {
+  if (!query) return sendTelegramMessage(chatId, t(lang, "bot.coa.which"));
+
+  const items = matchItems(query);
+  if (!items.length) return sendTelegramMessage(chatId, t(lang, "bot.coa.noMatch", { query }));
+
+  const lots = await lotMap();
+  const withCoa = items.filter((i) => coaUrl(lots.get(i.id)));
+  if (!withCoa.length) return sendTelegramMessage(chatId, t(lang, "bot.coa.none", { product: items[0].name }));
+
+  for (const item of withCoa.slice(0, MAX_COAS_PER_REQUEST)) {
+    const lot = lots.get(item.id);
+    const link = coaUrl(lot);
+    const caption = t(lang, "bot.coa.caption", {
+      item: `${item.name} ${item.size}`,
+      lot: lot.lot,
+      purity: lot.purity,
+      method: lot.method,
+    });
+    const sent = await callTelegram("sendDocument", { chat_id: chatId, document: link, caption });
+    // Telegram only fetches some documents by URL; fall back to the link
+    if (!sent.ok) await sendTelegramMessage(chatId, `${caption}\n${link}`);
+  }
 }
 
-async function sendTelegramMessage(token, chatId, text) {
-  const res = await fetch(`${TELEGRAM_API}/bot${token}/sendMessage`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ chat_id: chatId, text }),
-  });
-  return res.json();
+async function sendWelcome(message, startParam) {
+  const link = parseStartParam(startParam);
+  const item = link.variant ? findItem(link.variant) : null;
+  const product = link.product ? PRODUCTS.find((p) => p.id === link.product) : null;
+  const { lang } = localeFor(message.from);
+  const text = [
+    t(lang, "bot.welcome.greeting", { name: message.from?.first_name || "there" }),
+    "",
+    t(lang, "bot.welcome.intro"),
+    "",
+    product
+      ? t(lang, "bot.welcome.product", { product: `${product.name}${item ? ` ${item.size}` : ""}` })
+      : t(lang, "bot.welcome.shop"),
+    link.promo ? t(lang, "bot.welcome.promo", { code: link.promo }) : null,
+    "",
+    t(lang, "bot.welcome.ask"),
+  ].filter((line) => line !== null).join("\n");
+
+  // web_app buttons only work in private chats
+  const target = { ...link, product: link.variant ?? link.product };
+  const label = product ? t(lang, "bot.button.product", { product: product.name }) : t(lang, "bot.button.shop");
+  const button = message.chat.type === "private"
+    ? { text: label, web_app: { url: webAppUrl(target) } }
+    : { text: label, url: shopLink(target) };
+  await sendTelegramMessage(message.chat.id, text, { reply_markup: { inline_keyboard: [[button]] } });
 }
 
-async function sendTypingAction(token, chatId) {
-  await fetch(`${TELEGRAM_API}/bot${token}/sendChatAction`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ chat_id: chatId, action: "typing" }),
-  });
+// Inline results per query; Telegram allows up to 50
+const MAX_INLINE_RESULTS = 20;
+
+/** Shares made through inline mode are tagged with the sharer, so their referrals can be counted. */
+function referralFor(user) {
+  return user?.id ? `tg${user.id}` : null;
 }
 
-async function getAIResponse(messages, apiKey) {
-  const res = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-4o",
-      messages: [{ role: "system", content: SYSTEM_PROMPT }, ...messages],
-      max_tokens: 400,
-      temperature: 0.7,
-    }),
+async function answerInlineQuery(query) {
+  const norm = (s) => String(s).toLowerCase().replace(/[^a-z0-9+]/g, "");
+  const q = norm(query.query || "");
+  const products = PRODUCTS.filter(
+    (p) => !q || [p.id, p.name, ...(p.aliases || [])].some((name) => norm(name).includes(q))
+  ).slice(0, MAX_INLINE_RESULTS);
+  const availability = await availabilityMap();
+  const ref = referralFor(query.from);
+  const { lang, currency } = localeFor(query.from);
+  const soldOut = ` (${t(lang, "bot.inline.soldOut")})`;
+
+  const results = products.map((p) => {
+    const sizes = p.variants.map((v) => {
+      const price = formatMoney(itemPrice(findItem(v.id), currency), currency);
+      return `${v.size} ${price}${availability.get(v.id)?.state === "sold_out" ? soldOut : ""}`;
+    });
+    return {
+      type: "article",
+      id: p.id,
+      title: p.name,
+      description: sizes.join(" · "),
+      thumbnail_url: `${MINI_APP_URL}/${p.image}`,
+      input_message_content: {
+        message_text: [
+          `${p.icon} ${p.name} — Rapid Research Co`,
+          "",
+          p.description,
+          "",
+          ...sizes.map((s) => `• ${s}`),
+          "",
+          t(lang, "bot.inline.researchOnly"),
+        ].join("\n"),
+      },
+      reply_markup: { inline_keyboard: [[{ text: t(lang, "bot.button.inline"), url: shopLink({ product: p.id, ref }) }]] },
+    };
   });
 
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err.error?.message || "OpenAI request failed");
-  }
-
-  const data = await res.json();
-  return data.choices?.[0]?.message?.content || "Sorry, I couldn't generate a response. Please try again.";
+  await callTelegram("answerInlineQuery", {
+    inline_query_id: query.id,
+    results,
+    // Links carry the sharer's referral tag
+    is_personal: true,
+    cache_time: 300,
+  });
 }
 
 export default async function handler(req, res) {
@@ -118,17 +263,37 @@ export default async function handler(req, res) {
   }
 
   const token = process.env.TELEGRAM_BOT_TOKEN;
-  const apiKey = process.env.OPENAI_API_KEY;
+  const llm = getProvider();
 
   if (!token) {
     return res.status(500).json({ error: "Telegram not configured" });
   }
 
+  const update = req.body || {};
+
+  // Telegram Payments are handled before the acknowledgement: the pre-checkout
+  // answer has a 10-second deadline, and a payment we couldn't record gets a
+  // 500 so Telegram delivers it again
+  if (update.pre_checkout_query || update.message?.successful_payment) {
+    try {
+      if (update.pre_checkout_query) await answerPreCheckout(update.pre_checkout_query);
+      else await completeTelegramPayment(update.message);
+      return res.status(200).json({ ok: true });
+    } catch (err) {
+      console.error("[Telegram] Payment update failed:", err);
+      return res.status(500).json({ error: "Could not process the payment" });
+    }
+  }
+
   // Acknowledge Telegram immediately (must respond within 5s)
   res.status(200).json({ ok: true });
 
   try {
-    const update = req.body;
+    // "@RapidLabsSupportBot ghk" in any chat: shareable product cards
+    if (update.inline_query) {
+      await answerInlineQuery(update.inline_query);
+      return;
+    }
 
     // Only handle regular text messages
     const message = update.message;
@@ -136,78 +301,119 @@ export default async function handler(req, res) {
 
     const chatId = message.chat.id;
     const text = message.text.trim();
-    const firstName = message.from?.first_name || "there";
+    const locale = localeFor(message.from);
+    const { lang, currency } = locale;
+
+    // Staff commands — handled (or refused) here, never forwarded to the AI
+    const adminReply = await runAdminCommand(text, message.from, message.chat);
+    if (adminReply) {
+      await sendTelegramMessage(chatId, adminReply);
+      return;
+    }
+
+    // Staff group: only ticket replies are handled, the AI never answers here
+    if (isStaffGroup(chatId)) {
+      const reply = await handleStaffMessage(message);
+      if (reply) await sendTelegramMessage(chatId, reply, { reply_to_message_id: message.message_id });
+      return;
+    }
 
     // Handle commands
-    if (text === "/start") {
-      await sendTelegramMessage(
-        token,
-        chatId,
-        `👋 Hi ${firstName}! Welcome to Rapid Research Co.\n\nI'm your AI assistant. I can help you with:\n• Product information & pricing\n• Purity specs & COA details\n• Shipping & order questions\n\nYou can also browse and order directly through our mini app 🧪\n\nWhat can I help you with today?`
-      );
+    if (text === "/start" || text.startsWith("/start ")) {
+      await sendWelcome(message, text.slice(6).trim());
       return;
     }
 
     if (text === "/products") {
-      const glp1 = PRODUCTS.filter((p) => p.category === "GLP-1");
-      const peptides = PRODUCTS.filter((p) => p.category === "Peptides");
-      const other = PRODUCTS.filter((p) => p.category === "Other");
-
-      const formatProduct = (p) =>
-        `• ${p.name}: ${p.dosages.map((d, i) => `${d}/$${p.prices[i]}`).join(", ")}`;
+      const price = (v) => formatMoney(itemPrice(findItem(v.id), currency), currency);
+      const formatProduct = (p) => `• ${p.name}: ${p.variants.map((v) => `${v.size}/${price(v)}`).join(", ")}`;
 
       const productList = [
-        "🧬 GLP-1 Peptides:",
-        ...glp1.map(formatProduct),
-        "",
-        "🔬 Research Peptides:",
-        ...peptides.map(formatProduct),
-        "",
-        "💊 Other:",
-        ...other.map(formatProduct),
-        "",
-        "All products ≥97–99% purity with COA.",
-        "Order via the mini app: https://rapid-research-miniapp.vercel.app",
+        ...CATEGORIES.flatMap((c) => [
+          `${c.label}:`,
+          ...PRODUCTS.filter((p) => p.category === c.id).map(formatProduct),
+          "",
+        ]),
+        t(lang, "bot.products.footer"),
+        t(lang, "bot.products.order", { url: shopLink() }),
       ].join("\n");
 
-      await sendTelegramMessage(token, chatId, productList);
+      await sendTelegramMessage(chatId, productList);
+      return;
+    }
+
+    if (text === "/coa" || text.startsWith("/coa ")) {
+      await sendCoa(chatId, text.slice(4).trim(), lang);
+      return;
+    }
+
+    if (text === "/reset") {
+      if (message.from?.id) await clearConversation(message.from.id);
+      await sendTelegramMessage(chatId, t(lang, "bot.reset"));
+      return;
+    }
+
+    if (text === "/stop") {
+      if (message.from?.id) await optOut(message.from.id);
+      await sendTelegramMessage(chatId, t(lang, "bot.stop"));
+      return;
+    }
+
+    if (text === "/human" || text.startsWith("/human ")) {
+      await startHandoff(chatId, message.from, "bot", text.slice(6).trim());
       return;
     }
 
     if (text === "/help") {
-      await sendTelegramMessage(
-        token,
-        chatId,
-        `ℹ️ Available commands:\n\n/start — Welcome message\n/products — Full product catalog with pricing\n/help — This help message\n\nOr just ask me anything about our products, shipping, or COA details!`
-      );
+      await sendTelegramMessage(chatId, t(lang, "bot.help") + (isAdminUser(message.from?.id) ? `\n\n${adminHelp()}` : ""));
+      return;
+    }
+
+    // While staff have the conversation, messages go to them instead of the AI
+    const ticket = message.from?.id ? await openTicketFor(message.from.id) : null;
+    if (ticket) {
+      await forwardCustomerMessage(ticket, text, "bot");
       return;
     }
 
     // AI-powered response for all other messages
-    if (!apiKey) {
-      await sendTelegramMessage(
-        token,
-        chatId,
-        "I'm sorry, the AI assistant is temporarily unavailable. Please visit our mini app or try again later."
-      );
+    if (!llm) {
+      await sendTelegramMessage(chatId, t(lang, "bot.aiUnavailable"));
       return;
     }
 
     // Show typing indicator
-    await sendTypingAction(token, chatId);
-
-    // Get conversation history and add new message
-    const history = getConversation(chatId);
-    const updatedHistory = [...history, { role: "user", content: text }];
-
-    // Get AI response
-    const aiReply = await getAIResponse(updatedHistory, apiKey);
+    await callTelegram("sendChatAction", { chat_id: chatId, action: "typing" });
+
+    // Conversation history is per user (shared with the mini app chat)
+    const userId = message.from?.id || chatId;
+    const history = modelHistory(await getConversation(userId));
+
+    // Research-use-only questions never reach the model; replies are screened too
+    let aiReply;
+    let escalation = null;
+    const screened = screenInput(text);
+    if (screened.blocked) {
+      await recordBlock({ surface: "bot", stage: "input", userId, ...screened, message: text });
+      aiReply = refusalFor(lang);
+    } else {
+      ({ text: aiReply, escalation } = await getAIResponse(llm, [...history, { role: "user", content: text }], chatId, locale));
+      const verdict = screenOutput(aiReply, { language: lang });
+      if (verdict.blocked) {
+        await recordBlock({ surface: "bot", stage: "output", userId, ...verdict, message: text, reply: aiReply });
+        aiReply = refusalFor(lang);
+      }
+    }
 
-    // Save conversation with AI response
-    updateConversation(chatId, [...updatedHistory, { role: "assistant", content: aiReply }]);
+    // Save conversation with AI response (before a handoff, so staff see this turn)
+    await appendTurns(userId, [{ role: "user", content: text }, { role: "assistant", content: aiReply }], {
+      source: "bot",
+      llm,
+    });
 
     // Send response to user
-    await sendTelegramMessage(token, chatId, aiReply);
+    if (aiReply) await sendTelegramMessage(chatId, aiReply);
+    if (escalation && message.from) await startHandoff(chatId, message.from, "assistant", escalation);
   } catch (err) {
     console.error("[Telegram Webhook] Error:", err);
     // Don't re-send error to user — Telegram already got 200 OK
@@ -1,8 +1,34 @@
 /**
  * Vercel Serverless Function: POST /api/webhook
  *
- * Handles Stripe webhook events. On checkout.session.completed, sends a
- * formatted order notification to the configured Telegram group.
+ * Handles Stripe webhook events, keeps the order store (lib/orders.js) in
+ * sync and posts a formatted alert for each to the configured Telegram group:
+ *
+ *   checkout.session.completed               new order (or awaiting payment)
+ *   checkout.session.async_payment_succeeded delayed payment cleared
+ *   checkout.session.async_payment_failed    delayed payment failed
+ *   checkout.session.expired                 customer never paid
+ *   charge.refunded                          full or partial refund
+ *   charge.dispute.created                   chargeback opened
+ *
+ * Paid sessions take their quantities off the shelf and count their promo
+ * redemption (lib/payments.js); sessions awaiting a delayed payment keep
+ * holding their stock until it clears, and give it back if it fails. Expired
+ * ones release the stock their checkout was holding (lib/inventory.js) and,
+ * for Telegram customers, queue a cart reminder (lib/recovery.js). Paid
+ * orders record the current lot of each line (lib/lots.js).
+ *
+ * Each event is claimed in the store before anything happens, so a
+ * redelivery that arrives while it's being handled is turned away (409,
+ * Stripe tries again later) and one that arrives after is a no-op. A
+ * delivery that fails part-way gives the claim up for Stripe's retry, but
+ * the staff alert it already sent is remembered and isn't sent twice.
+ * Orders and event ids go through the shared store (lib/store.js), so
+ * /api/orders and later deliveries see them whichever instance handles the
+ * request.
+ *
+ * Test-mode events (livemode: false) are processed like live ones, but
+ * their orders are flagged and their alerts are labelled TEST MODE.
  *
  * Required environment variables:
  *   STRIPE_SECRET_KEY
@@ -16,6 +42,22 @@
 
 import Stripe from "stripe";
 import { buffer } from "micro";
+import {
+  findOrderByPaymentIntent,
+  getOrder,
+  orderFromSession,
+  orderIdForSession,
+  saveOrder,
+  updateOrder,
+  withStatus,
+} from "../lib/orders.js";
+import { getStore } from "../lib/store.js";
+import { releaseHold } from "../lib/inventory.js";
+import { withLots } from "../lib/lots.js";
+import { announceOrder, releaseOrder, settleOrder } from "../lib/payments.js";
+import { markRecovered, recordAbandoned } from "../lib/recovery.js";
+import { escapeMarkdown, notifyGroup } from "../lib/telegram.js";
+import { formatMoney } from "../lib/currency.js";
 
 // Disable Vercel's default body parsing so Stripe can verify the signature
 export const config = {
@@ -24,34 +66,210 @@ export const config = {
   },
 };
 
-const TELEGRAM_API = "https://api.telegram.org";
+const EVENTS_COLLECTION = "stripe_events";
 
-async function sendTelegramMessage(token, chatId, text) {
-  try {
-    const res = await fetch(`${TELEGRAM_API}/bot${token}/sendMessage`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text,
-        parse_mode: "Markdown",
-      }),
-    });
-    const data = await res.json();
-    if (!data.ok) {
-      console.error("[Webhook] Telegram send failed:", data);
+// A claim outlives any delivery still running (the default function timeout
+// is well under this); after that a retry may take the event over
+const CLAIM_MS = 5 * 60 * 1000;
+
+// Stripe amounts are in cents of the object's currency
+function money(cents, currency) {
+  return formatMoney(Number(cents || 0) / 100, currency);
+}
+
+// Prefix for alerts about Stripe test-mode events
+function modeTag(event) {
+  return event.livemode ? "" : "🧪 *TEST MODE*\n";
+}
+
+function orderLine(order, fallbackId) {
+  return order ? `🧾 *Order:* \`${order.id}\`` : `🆔 \`${escapeMarkdown(fallbackId)}\` _(no matching order)_`;
+}
+
+// Builds and stores the order for a session; paid ones note which lot each line comes from
+async function recordOrder(session, status) {
+  const order = orderFromSession(session, status);
+  return saveOrder(status === "processing" ? { ...order, items: await withLots(order.items) } : order);
+}
+
+/**
+ * Claims an event for this delivery.
+ *
+ * @returns {Promise<{ state: "claimed"|"processed"|"in_progress", record: object }>}
+ */
+async function claimEvent(event) {
+  let state = "claimed";
+  const record = await getStore().update(EVENTS_COLLECTION, event.id, (current) => {
+    if (current?.processedAt) {
+      state = "processed";
+      return undefined;
     }
-    return data.ok;
-  } catch (err) {
-    console.error("[Webhook] Telegram error:", err);
-    return false;
+    if (current?.claimedUntil && Date.parse(current.claimedUntil) > Date.now()) {
+      state = "in_progress";
+      return undefined;
+    }
+    return {
+      id: event.id,
+      type: event.type,
+      livemode: Boolean(event.livemode),
+      claimedUntil: new Date(Date.now() + CLAIM_MS).toISOString(),
+      processedAt: null,
+      sent: current?.sent || [],
+    };
+  });
+  return { state, record };
+}
+
+async function finishEvent(event, fields) {
+  return getStore().update(EVENTS_COLLECTION, event.id, (current) => ({ ...current, claimedUntil: null, ...fields }));
+}
+
+/**
+ * Side effects that mustn't repeat when Stripe retries an event that failed
+ * part-way: `once(step, fn)` runs fn unless an earlier delivery of this
+ * event already got through that step.
+ */
+function eventEffects(event, record) {
+  const sent = new Set(record?.sent || []);
+  return {
+    async once(step, fn) {
+      if (sent.has(step)) return null;
+      const result = await fn();
+      sent.add(step);
+      await getStore().update(EVENTS_COLLECTION, event.id, (current) => ({ ...current, sent: [...sent] }));
+      return result;
+    },
+  };
+}
+
+async function handleCheckoutCompleted(event, effects) {
+  const session = event.data.object;
+  const paid = session.payment_status !== "unpaid";
+
+  // Persist the order; keep the record if an earlier event already wrote it
+  let order = await getOrder(orderIdForSession(session.id));
+  if (!order) {
+    order = await recordOrder(session, paid ? "processing" : "awaiting_payment");
+  }
+
+  // Stock, promo redemption and the staff alert, shared with Telegram Payments
+  await announceOrder(order, {
+    holdId: session.id,
+    paid,
+    testMode: !event.livemode,
+    via: "Stripe",
+    reference: `🆔 Session: \`${session.id.slice(-12)}\``,
+    notify: (text) => effects.once("alert", () => notifyGroup(text)),
+  });
+}
+
+async function handleAsyncPayment(event, effects, succeeded) {
+  const session = event.data.object;
+  const id = orderIdForSession(session.id);
+  let order = await updateOrder(id, async (o) =>
+    succeeded ? withStatus({ ...o, items: await withLots(o.items) }, "processing") : withStatus(o, "payment_failed")
+  );
+  if (!order) {
+    order = await recordOrder(session, succeeded ? "processing" : "payment_failed");
+  }
+  if (succeeded) {
+    order = await settleOrder(order, session.id);
+    await markRecovered(order).catch((err) => console.error("[Webhook] Could not mark cart recovered:", err));
+  } else {
+    order = await releaseOrder(order, session.id);
   }
+
+  await effects.once("alert", () => notifyGroup([
+    `${modeTag(event)}${succeeded ? "✅ *Delayed Payment Cleared*" : "❌ *Payment Failed*"}`,
+    orderLine(order),
+    `👤 *Customer:* ${escapeMarkdown(order.customer?.name || "Guest")}`,
+    `💰 *Amount:* ${money(session.amount_total, session.currency)}`,
+    succeeded ? `📦 Ready to ship.` : `🚫 Do not ship — the customer's payment did not go through.`,
+  ].join("\n")));
 }
 
-function escapeMarkdown(text) {
-  return String(text || "").replace(/[_*[\]()~`>#+\-=|{}.!]/g, "\\$&");
+async function handleCheckoutExpired(event, effects) {
+  const session = event.data.object;
+  const id = orderIdForSession(session.id);
+  await releaseHold(session.id);
+
+  // Recorded (hidden from the customer's Orders tab) so abandoned carts can be followed up
+  const order = (await getOrder(id))
+    ? await updateOrder(id, (o) => (o.status === "awaiting_payment" ? withStatus(o, "expired") : o))
+    : await recordOrder(session, "expired");
+
+  // Signed-in customers get one reminder later on (lib/recovery.js)
+  if (order?.status === "expired") {
+    await recordAbandoned(order, session.id).catch((err) =>
+      console.error("[Webhook] Could not record abandoned checkout:", err)
+    );
+  }
+
+  const meta = session.metadata || {};
+  await effects.once("alert", () => notifyGroup([
+    `${modeTag(event)}⌛ *Checkout Expired*`,
+    `👤 *Customer:* ${escapeMarkdown(meta.customer_name || "Guest")}`,
+    meta.items_summary ? `📦 ${escapeMarkdown(meta.items_summary)}` : null,
+    `💰 *Cart:* ${money(session.amount_total, session.currency)}`,
+    `🆔 Session: \`${session.id.slice(-12)}\``,
+    order?.telegramUserId ? `💬 Telegram user: \`${order.telegramUserId}\`` : null,
+  ].filter(Boolean).join("\n")));
 }
 
+async function handleChargeRefunded(event, effects) {
+  const charge = event.data.object;
+  const full = charge.refunded || charge.amount_refunded >= charge.amount;
+  const status = full ? "refunded" : "partially_refunded";
+
+  const existing = await findOrderByPaymentIntent(charge.payment_intent);
+  const order = existing
+    ? await updateOrder(existing.id, (o) => ({
+        ...withStatus(o, status, { amount: charge.amount_refunded / 100 }),
+        refundedAmount: charge.amount_refunded / 100,
+      }))
+    : null;
+
+  await effects.once("alert", () => notifyGroup([
+    `${modeTag(event)}↩️ *${full ? "Order Refunded" : "Partial Refund"}*`,
+    orderLine(order, charge.payment_intent || charge.id),
+    order ? `👤 *Customer:* ${escapeMarkdown(order.customer?.name || "Guest")}` : null,
+    `💸 *Refunded:* ${money(charge.amount_refunded, charge.currency)} of ${money(charge.amount, charge.currency)}`,
+  ].filter(Boolean).join("\n")));
+}
+
+async function handleDisputeCreated(event, effects) {
+  const dispute = event.data.object;
+  const existing = await findOrderByPaymentIntent(dispute.payment_intent);
+  const order = existing
+    ? await updateOrder(existing.id, (o) => ({
+        ...withStatus(o, "disputed", { reason: dispute.reason }),
+        dispute: { id: dispute.id, reason: dispute.reason, amount: dispute.amount / 100, status: dispute.status },
+      }))
+    : null;
+
+  const dueBy = dispute.evidence_details?.due_by
+    ? new Date(dispute.evidence_details.due_by * 1000).toISOString().slice(0, 10)
+    : null;
+
+  await effects.once("alert", () => notifyGroup([
+    `${modeTag(event)}🚨 *Chargeback Opened*`,
+    orderLine(order, dispute.payment_intent || dispute.charge),
+    order ? `👤 *Customer:* ${escapeMarkdown(order.customer?.name || "Guest")}` : null,
+    `💰 *Amount:* ${money(dispute.amount, dispute.currency)}`,
+    `📝 *Reason:* ${escapeMarkdown(dispute.reason || "unspecified")}`,
+    dueBy ? `⏰ *Evidence due:* ${escapeMarkdown(dueBy)}` : null,
+  ].filter(Boolean).join("\n")));
+}
+
+const HANDLERS = {
+  "checkout.session.completed": handleCheckoutCompleted,
+  "checkout.session.async_payment_succeeded": (event, effects) => handleAsyncPayment(event, effects, true),
+  "checkout.session.async_payment_failed": (event, effects) => handleAsyncPayment(event, effects, false),
+  "checkout.session.expired": handleCheckoutExpired,
+  "charge.refunded": handleChargeRefunded,
+  "charge.dispute.created": handleDisputeCreated,
+};
+
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
@@ -59,8 +277,6 @@ export default async function handler(req, res) {
 
   const stripeKey = process.env.STRIPE_SECRET_KEY;
   const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
-  const groupChatId = process.env.TELEGRAM_GROUP_CHAT_ID;
 
   if (!stripeKey || !webhookSecret) {
     console.error("[Webhook] Stripe not configured");
@@ -87,56 +303,38 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: `Webhook Error: ${err.message}` });
   }
 
-  // Handle test events
-  if (event.id.startsWith("evt_test_")) {
-    return res.json({ verified: true });
+  console.log(`[Webhook] Event: ${event.type} (${event.id})${event.livemode ? "" : " [test mode]"}`);
+
+  const handle = HANDLERS[event.type];
+  if (!handle) {
+    return res.status(200).json({ received: true, ignored: true });
   }
 
-  console.log(`[Webhook] Event: ${event.type} (${event.id})`);
-
-  if (event.type === "checkout.session.completed") {
-    const session = event.data.object;
-    const meta = session.metadata || {};
-
-    const customerName = escapeMarkdown(meta.customer_name || "Guest");
-    const customerEmail = escapeMarkdown(meta.customer_email || session.customer_email || "N/A");
-    const shippingAddress = escapeMarkdown(meta.shipping_address || "Not provided");
-    const promoCode = meta.promo_code && meta.promo_code !== "none" ? `🏷️ *Promo Code:* \`${escapeMarkdown(meta.promo_code)}\`` : null;
-    const itemsSummary = meta.items_summary || "See Stripe dashboard";
-    const total = meta.total_usd
-      ? `$${meta.total_usd}`
-      : session.amount_total
-      ? `$${(session.amount_total / 100).toFixed(2)}`
-      : "N/A";
-
-    // Format item lines for Telegram
-    const itemLines = itemsSummary
-      .split(", ")
-      .map((line) => `  • ${escapeMarkdown(line)}`)
-      .join("\n");
-
-    const message = [
-      `🛒 *New Order Received\\!*`,
-      ``,
-      `👤 *Customer:* ${customerName}`,
-      `📧 *Email:* ${customerEmail}`,
-      `📍 *Ship To:* ${shippingAddress}`,
-      promoCode,
-      ``,
-      `📦 *Items:*`,
-      itemLines,
-      ``,
-      `💰 *Total:* ${total}`,
-      ``,
-      `✅ *Payment confirmed via Stripe*`,
-      `🆔 Session: \`${session.id.slice(-12)}\``,
-    ].filter(line => line !== null).join("\n");
-
-    if (botToken && groupChatId) {
-      await sendTelegramMessage(botToken, groupChatId, message);
-    } else {
-      console.warn("[Webhook] Telegram not configured — skipping notification");
-    }
+  // Stripe retries deliveries; each event id is handled once
+  let claim;
+  try {
+    claim = await claimEvent(event);
+  } catch (err) {
+    console.error(`[Webhook] Could not claim ${event.id}:`, err);
+    return res.status(500).json({ error: "Webhook handler failed" });
+  }
+  if (claim.state === "processed") {
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+  if (claim.state === "in_progress") {
+    return res.status(409).json({ error: "Event is already being handled" });
+  }
+
+  try {
+    await handle(event, eventEffects(event, claim.record));
+    await finishEvent(event, { processedAt: new Date().toISOString() });
+  } catch (err) {
+    // The claim is given up, so Stripe's retry gets another go
+    console.error(`[Webhook] Failed to handle ${event.type}:`, err);
+    await finishEvent(event, { failedAt: new Date().toISOString() }).catch((e) =>
+      console.error(`[Webhook] Could not release ${event.id}:`, e)
+    );
+    return res.status(500).json({ error: "Webhook handler failed" });
   }
 
   return res.status(200).json({ received: true });
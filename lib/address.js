@@ -0,0 +1,205 @@
+/**
+ * Shipping address rules, validation and the conversions between the mini
+ * app's form, Stripe's shipping details and the stored order.
+ *
+ * The country rules are served to the client (GET /api/address) so the
+ * form and the server validate against the same table.
+ *
+ * Addresses are remembered per Telegram user (the "addresses" collection in
+ * lib/store.js) so repeat buyers get the form prefilled.
+ */
+
+import { t } from "./i18n.js";
+import { getStore } from "./store.js";
+
+const COLLECTION = "addresses";
+
+const US_STATES = [
+  "AL", "AK", "AZ", "AR", "CA", "CO", "CT", "DE", "DC", "FL", "GA", "HI", "ID", "IL", "IN", "IA", "KS",
+  "KY", "LA", "ME", "MD", "MA", "MI", "MN", "MS", "MO", "MT", "NE", "NV", "NH", "NJ", "NM", "NY", "NC",
+  "ND", "OH", "OK", "OR", "PA", "PR", "RI", "SC", "SD", "TN", "TX", "UT", "VT", "VA", "WA", "WV", "WI", "WY",
+];
+
+/**
+ * Countries we ship to. `postal` is a source string (not a RegExp) so the
+ * table survives JSON; `regions` is null where no state/province is needed.
+ */
+export const SHIPPING_COUNTRIES = {
+  US: { label: "United States", regionLabel: "State", regions: US_STATES, postalLabel: "ZIP code", postal: "^\\d{5}(-\\d{4})?$" },
+  CA: {
+    label: "Canada",
+    regionLabel: "Province",
+    regions: ["AB", "BC", "MB", "NB", "NL", "NS", "NT", "NU", "ON", "PE", "QC", "SK", "YT"],
+    postalLabel: "Postal code",
+    postal: "^[A-Za-z]\\d[A-Za-z] ?\\d[A-Za-z]\\d$",
+  },
+  GB: {
+    label: "United Kingdom",
+    regionLabel: "County",
+    regions: null,
+    postalLabel: "Postcode",
+    postal: "^[A-Za-z]{1,2}\\d[A-Za-z\\d]? ?\\d[A-Za-z]{2}$",
+  },
+  AU: {
+    label: "Australia",
+    regionLabel: "State",
+    regions: ["ACT", "NSW", "NT", "QLD", "SA", "TAS", "VIC", "WA"],
+    postalLabel: "Postcode",
+    postal: "^\\d{4}$",
+  },
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const clean = (v, max = 200) => String(v ?? "").trim().replace(/\s+/g, " ").slice(0, max);
+
+/**
+ * Normalizes and validates an address from the mini app.
+ *
+ * Accepts the form's field names ({ name, email, address, address2, city,
+ * state, zip, country }).
+ *
+ * @param {object} input
+ * @param {{ language?: string }} [options]   language for the error messages
+ *   (the mini app's "app.ship.err*" strings, lib/i18n.js)
+ * @returns {{ address: object, errors: Record<string, string> | null }}
+ *   `errors` maps field name → message, or is null when the address is valid.
+ */
+export function validateShippingAddress(input = {}, { language } = {}) {
+  const countryCode = clean(input.country, 2).toUpperCase() || "US";
+  const country = SHIPPING_COUNTRIES[countryCode];
+  const address = {
+    name: clean(input.name, 100),
+    email: clean(input.email, 254).toLowerCase(),
+    line1: clean(input.address ?? input.line1),
+    line2: clean(input.address2 ?? input.line2),
+    city: clean(input.city, 100),
+    state: clean(input.state, 50),
+    postalCode: clean(input.zip ?? input.postalCode, 12),
+    country: countryCode,
+  };
+
+  const errors = {};
+  if (!country) {
+    errors.country = t(language, "app.ship.errCountry");
+  }
+  if (address.name.length < 2) errors.name = t(language, "app.ship.errName");
+  if (!EMAIL_RE.test(address.email)) errors.email = t(language, "app.ship.errEmail");
+  if (address.line1.length < 3) errors.address = t(language, "app.ship.errAddress");
+  if (!address.city) errors.city = t(language, "app.ship.errCity");
+
+  if (country) {
+    if (country.regions) {
+      address.state = address.state.toUpperCase();
+      if (!country.regions.includes(address.state)) {
+        errors.state = t(language, "app.ship.errRegion", { region: country.regionLabel.toLowerCase() });
+      }
+    }
+    if (!new RegExp(country.postal).test(address.postalCode)) {
+      errors.zip = t(language, "app.ship.errPostal", { label: country.postalLabel });
+    } else {
+      address.postalCode = address.postalCode.toUpperCase();
+    }
+  }
+
+  return { address, errors: Object.keys(errors).length ? errors : null };
+}
+
+/** One-line address for staff messages and admin commands. */
+export function formatAddress(address) {
+  if (!address) return "";
+  if (typeof address === "string") return address; // orders saved before addresses were structured
+  return [address.name, address.line1, address.line2, address.city, [address.state, address.postalCode].filter(Boolean).join(" "), address.country]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/** Shape expected by Stripe's `payment_intent_data.shipping`. */
+export function stripeShipping(address) {
+  return {
+    name: address.name,
+    address: {
+      line1: address.line1,
+      line2: address.line2 || undefined,
+      city: address.city,
+      state: address.state || undefined,
+      postal_code: address.postalCode,
+      country: address.country,
+    },
+  };
+}
+
+/** Flat Checkout Session metadata keys for an address (metadata values are strings). */
+export function addressMetadata(address) {
+  return {
+    ship_name: address.name,
+    ship_line1: address.line1,
+    ship_line2: address.line2,
+    ship_city: address.city,
+    ship_state: address.state,
+    ship_postal_code: address.postalCode,
+    ship_country: address.country,
+  };
+}
+
+/**
+ * Structured shipping address for a completed Checkout Session: the address
+ * the customer entered in the mini app, or the one Stripe collected when the
+ * session fell back to `shipping_address_collection`.
+ *
+ * @returns {object|null}
+ */
+export function addressFromSession(session) {
+  const meta = session.metadata || {};
+  if (meta.ship_line1) {
+    return {
+      name: meta.ship_name || meta.customer_name || "",
+      line1: meta.ship_line1,
+      line2: meta.ship_line2 || "",
+      city: meta.ship_city || "",
+      state: meta.ship_state || "",
+      postalCode: meta.ship_postal_code || "",
+      country: meta.ship_country || "",
+    };
+  }
+
+  const details = session.collected_information?.shipping_details || session.shipping_details;
+  if (details?.address) {
+    const a = details.address;
+    return {
+      name: details.name || "",
+      line1: a.line1 || "",
+      line2: a.line2 || "",
+      city: a.city || "",
+      state: a.state || "",
+      postalCode: a.postal_code || "",
+      country: a.country || "",
+    };
+  }
+  return null;
+}
+
+/** Last address a Telegram user checked out with, in the form's field names. */
+export async function getSavedAddress(telegramUserId) {
+  const saved = await getStore().get(COLLECTION, String(telegramUserId));
+  if (!saved) return null;
+  const { address } = saved;
+  return {
+    name: address.name,
+    email: address.email,
+    address: address.line1,
+    address2: address.line2,
+    city: address.city,
+    state: address.state,
+    zip: address.postalCode,
+    country: address.country,
+  };
+}
+
+export async function saveAddress(telegramUserId, address) {
+  return getStore().set(COLLECTION, String(telegramUserId), {
+    telegramUserId: String(telegramUserId),
+    address,
+    updatedAt: new Date().toISOString(),
+  });
+}
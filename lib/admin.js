@@ -0,0 +1,362 @@
+/**
+ * Staff commands for @RapidLabsSupportBot.
+ *
+ * /api/telegram routes every message that starts with one of these commands
+ * here, before the AI sees it, and only runs it for Telegram user ids in the
+ * ADMIN_USER_IDS allowlist (lib/auth.js), in a private chat with the bot or
+ * in the staff group (TELEGRAM_GROUP_CHAT_ID). Everyone else, and any other
+ * chat, is refused, so order details never land in a customer-facing group.
+ *
+ *   /orders [today|yesterday|7d|30d|all]
+ *   /order <id>
+ *   /ship <id> <tracking> [carrier]   /transit <id>   /delivered <id>
+ *   /refund <id> [amount]
+ *   /sales [today|7d|30d|all]
+ *   /stock [product] [qty]
+ *   /lot <product> [lot purity% [coa URL]]
+ *   /recovery [7d|30d|all]
+ */
+
+import Stripe from "stripe";
+import { isAdminUser } from "./auth.js";
+import { isStaffGroup } from "./handoff.js";
+import { formatAddress } from "./address.js";
+import { matchItems, ITEMS } from "./catalog.js";
+import { formatMoney, formatTotals, sumByCurrency } from "./currency.js";
+import { FulfillmentError, STATUS_LABELS, transitionOrder } from "./fulfillment.js";
+import { getStock, listStock, setStock } from "./inventory.js";
+import { coaUrl, getLot, setLot } from "./lots.js";
+import { getOrder, listOrders } from "./orders.js";
+import { recoveryStats } from "./recovery.js";
+
+const LABELS = {
+  ...STATUS_LABELS,
+  awaiting_payment: "Awaiting Payment",
+  payment_failed: "Payment Failed",
+  expired: "Expired",
+  refunded: "Refunded",
+  partially_refunded: "Partially Refunded",
+  disputed: "Disputed",
+};
+
+// Orders that represent money actually taken
+const PAID_STATUSES = ["processing", "shipped", "in_transit", "delivered", "refunded", "partially_refunded", "disputed"];
+const REFUNDABLE_STATUSES = ["processing", "shipped", "in_transit", "delivered", "partially_refunded"];
+
+export const ADMIN_COMMANDS = {
+  orders: { usage: "/orders [today|yesterday|7d|30d|all]", run: listOrdersCommand },
+  order: { usage: "/order <order id>", run: orderCommand },
+  ship: { usage: "/ship <order id> <tracking number> [carrier]", run: (args, actor) => fulfillCommand("shipped", args, actor) },
+  transit: { usage: "/transit <order id>", run: (args, actor) => fulfillCommand("in_transit", args, actor) },
+  delivered: { usage: "/delivered <order id>", run: (args, actor) => fulfillCommand("delivered", args, actor) },
+  refund: { usage: "/refund <order id> [amount]", run: refundCommand },
+  sales: { usage: "/sales [today|7d|30d|all]", run: salesCommand },
+  stock: { usage: "/stock [product] [qty]", run: stockCommand },
+  lot: { usage: "/lot <product> [lot purity% [coa https URL]]", run: lotCommand },
+  recovery: { usage: "/recovery [7d|30d|all]", run: recoveryCommand },
+};
+
+const COMMAND_PATTERN = new RegExp(`^/(${Object.keys(ADMIN_COMMANDS).join("|")})(?:@\\w+)?(?:\\s+(.*))?$`, "is");
+
+/** @returns {{ command: string, args: string[] } | null} */
+export function parseAdminCommand(text) {
+  const match = COMMAND_PATTERN.exec(String(text || "").trim());
+  if (!match) return null;
+  return { command: match[1].toLowerCase(), args: (match[2] || "").split(/\s+/).filter(Boolean) };
+}
+
+export function adminHelp() {
+  return ["🛠 Staff commands:", ...Object.values(ADMIN_COMMANDS).map((c) => c.usage)].join("\n");
+}
+
+/**
+ * Runs a staff command for a Telegram user and returns the reply text.
+ * Non-staff, and staff outside a private chat or the staff group, get a
+ * refusal; the command is never passed on.
+ *
+ * @param {string} text
+ * @param {object} from   the message's sender
+ * @param {object} chat   the message's chat ({ id, type })
+ */
+export async function runAdminCommand(text, from, chat) {
+  const parsed = parseAdminCommand(text);
+  if (!parsed) return null;
+  if (!isAdminUser(from?.id)) {
+    console.warn(`[Admin] Refused /${parsed.command} from ${from?.id}`);
+    return "⛔ That command is for Rapid Research staff only.";
+  }
+  if (chat?.type !== "private" && !isStaffGroup(chat?.id)) {
+    console.warn(`[Admin] Refused /${parsed.command} from ${from.id} in chat ${chat?.id}`);
+    return "⛔ Staff commands only work in a private chat with the bot or in the staff group.";
+  }
+
+  const actor = from.username ? `@${from.username}` : `tg:${from.id}`;
+  try {
+    return await ADMIN_COMMANDS[parsed.command].run(parsed.args, actor);
+  } catch (err) {
+    if (err instanceof FulfillmentError) return `⚠️ ${err.message}`;
+    console.error(`[Admin] /${parsed.command} failed:`, err);
+    return `⚠️ /${parsed.command} failed: ${err.message}`;
+  }
+}
+
+function getStripe() {
+  return process.env.STRIPE_SECRET_KEY ? new Stripe(process.env.STRIPE_SECRET_KEY) : null;
+}
+
+function parsePeriod(arg, fallback) {
+  const value = (arg || fallback).toLowerCase();
+  const startOfToday = new Date();
+  startOfToday.setUTCHours(0, 0, 0, 0);
+
+  if (value === "all") return { label: "all time", since: null, until: null };
+  if (value === "today") return { label: "today (UTC)", since: startOfToday, until: null };
+  if (value === "yesterday") {
+    return { label: "yesterday (UTC)", since: new Date(startOfToday - 86400000), until: startOfToday };
+  }
+  const match = /^(\d+)([dh])$/.exec(value);
+  if (match) {
+    const ms = Number(match[1]) * (match[2] === "d" ? 86400000 : 3600000);
+    return { label: `last ${value}`, since: new Date(Date.now() - ms), until: null };
+  }
+  return null;
+}
+
+function inPeriod(order, period) {
+  const at = new Date(order.createdAt);
+  return (!period.since || at >= period.since) && (!period.until || at < period.until);
+}
+
+function shortDate(iso) {
+  return new Date(iso).toISOString().slice(5, 16).replace("T", " ");
+}
+
+async function listOrdersCommand(args) {
+  const period = parsePeriod(args[0], "today");
+  if (!period) return `Usage: ${ADMIN_COMMANDS.orders.usage}`;
+
+  const orders = (await listOrders()).filter((o) => o.status !== "expired" && inPeriod(o, period));
+  if (!orders.length) return `No orders ${period.label}.`;
+
+  const shown = orders.slice(0, 20).map(
+    (o) => `${o.id} · ${LABELS[o.status] || o.status} · ${formatMoney(o.total, o.currency)} · ${o.customer?.name || "Guest"} · ${shortDate(o.createdAt)}`
+  );
+  return [
+    `🧾 ${orders.length} order${orders.length === 1 ? "" : "s"} ${period.label}:`,
+    ...shown,
+    orders.length > shown.length ? `…and ${orders.length - shown.length} more` : null,
+  ].filter(Boolean).join("\n");
+}
+
+async function orderCommand(args) {
+  if (!args[0]) return `Usage: ${ADMIN_COMMANDS.order.usage}`;
+  const order = await getOrder(args[0]);
+  if (!order) return `Order ${args[0]} not found.`;
+
+  let payment = null;
+  const stripe = getStripe();
+  if (stripe && order.paymentIntentId) {
+    try {
+      const pi = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+      payment = `Stripe: ${pi.status}, ${formatMoney(pi.amount_received / 100, pi.currency)} received`;
+    } catch (err) {
+      payment = `Stripe: lookup failed (${err.message})`;
+    }
+  }
+
+  const money = (amount) => formatMoney(amount, order.currency);
+  return [
+    `🧾 ${order.id} — ${LABELS[order.status] || order.status}${order.livemode === false ? " (test mode)" : ""}`,
+    `Placed: ${shortDate(order.createdAt)} UTC`,
+    `Customer: ${order.customer?.name || "Guest"}${order.customer?.email ? ` <${order.customer.email}>` : ""}`,
+    order.telegramUserId ? `Telegram: ${order.telegramUsername ? `@${order.telegramUsername}` : order.telegramUserId}` : null,
+    `Ship to: ${formatAddress(order.shippingAddress) || "Not provided"}`,
+    "",
+    ...order.items.map((i) => `• ${i.name} (${i.conc}) x${i.qty} — ${money(i.price * i.qty)}${i.lot ? ` · lot ${i.lot}` : ""}`),
+    "",
+    `Subtotal ${money(order.subtotal)}` +
+      (order.discount ? ` · Discount −${money(order.discount)}${order.promo ? ` (${order.promo.code})` : ""}` : "") +
+      ` · Shipping ${order.shippingFee ? money(order.shippingFee) : "FREE"}`,
+    `Total ${money(order.total)}${order.refundedAmount ? ` · Refunded ${money(order.refundedAmount)}` : ""}`,
+    order.tracking ? `Tracking: ${order.tracking.carrier} ${order.tracking.number}` : null,
+    payment,
+    "",
+    "History:",
+    ...(order.history || []).map((h) => `${shortDate(h.at)} ${LABELS[h.status] || h.status}${h.actor ? ` by ${h.actor}` : ""}`),
+  ].filter((line) => line !== null).join("\n");
+}
+
+async function fulfillCommand(status, args, actor) {
+  const [orderId, trackingNumber, carrier] = args;
+  const usage = ADMIN_COMMANDS[{ shipped: "ship", in_transit: "transit", delivered: "delivered" }[status]].usage;
+  if (!orderId || (status === "shipped" && !trackingNumber)) return `Usage: ${usage}`;
+
+  const order = await transitionOrder(orderId, status, { trackingNumber, carrier, actor });
+  const t = order.tracking;
+  return [
+    `✅ ${order.id} → ${STATUS_LABELS[order.status]}`,
+    t && status === "shipped" ? `${t.carrier} ${t.number}` : null,
+    order.telegramUserId ? "Customer notified." : "No Telegram account on this order — customer not notified.",
+  ].filter(Boolean).join("\n");
+}
+
+async function refundCommand(args, actor) {
+  const [orderId, amountArg] = args;
+  if (!orderId) return `Usage: ${ADMIN_COMMANDS.refund.usage}`;
+
+  const order = await getOrder(orderId);
+  if (!order) return `Order ${orderId} not found.`;
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    return `⚠️ ${order.id} is ${LABELS[order.status] || order.status} — it can't be refunded from here.`;
+  }
+  if (!order.paymentIntentId) return `⚠️ ${order.id} has no Stripe payment to refund.`;
+
+  const remaining = Math.round((order.total - (order.refundedAmount || 0)) * 100);
+  const amount = amountArg ? Math.round(Number(amountArg.replace(/^[$€£]/, "")) * 100) : remaining;
+  if (!Number.isFinite(amount) || amount <= 0 || amount > remaining) {
+    return `⚠️ Refund amount must be between ${formatMoney(0.01, order.currency)} and ${formatMoney(remaining / 100, order.currency)}.`;
+  }
+
+  const stripe = getStripe();
+  if (!stripe) return "⚠️ Stripe is not configured.";
+
+  const refund = await stripe.refunds.create({
+    payment_intent: order.paymentIntentId,
+    amount,
+    reason: "requested_by_customer",
+    metadata: { order_id: order.id, requested_by: actor },
+  });
+  return `↩️ Refund of ${formatMoney(amount / 100, order.currency)} for ${order.id} is ${refund.status} (${refund.id}). The order updates when Stripe confirms it.`;
+}
+
+async function salesCommand(args) {
+  const period = parsePeriod(args[0], "7d");
+  if (!period) return `Usage: ${ADMIN_COMMANDS.sales.usage}`;
+
+  const orders = (await listOrders()).filter(
+    (o) => o.livemode !== false && PAID_STATUSES.includes(o.status) && inPeriod(o, period)
+  );
+  // Totals are kept per currency; nothing is converted
+  const refundedAmount = (o) => o.refundedAmount || (o.status === "refunded" ? o.total : 0);
+  const gross = sumByCurrency(orders, (o) => o.total);
+  const refunded = sumByCurrency(orders, refundedAmount);
+  const net = sumByCurrency(orders, (o) => o.total - refundedAmount(o));
+  const discounts = sumByCurrency(orders, (o) => o.discount);
+  // Only meaningful when every order is in one currency
+  const [[currency, total] = []] = gross;
+  const avg = gross.size === 1 ? formatMoney(total / orders.length, currency) : null;
+
+  const units = new Map();
+  for (const o of orders) {
+    for (const i of o.items) {
+      const key = `${i.name} ${i.conc}`.trim();
+      units.set(key, (units.get(key) || 0) + i.qty);
+    }
+  }
+  const top = [...units.entries()].sort((a, b) => b[1] - a[1]).slice(0, 3);
+
+  let balance = null;
+  const stripe = getStripe();
+  if (stripe) {
+    try {
+      const b = await stripe.balance.retrieve();
+      const sum = (list) => sumByCurrency(list, (x) => x.amount / 100);
+      balance = `Stripe balance: ${formatTotals(sum(b.available))} available · ${formatTotals(sum(b.pending))} pending`;
+    } catch (err) {
+      balance = `Stripe balance: unavailable (${err.message})`;
+    }
+  }
+
+  return [
+    `📈 Sales ${period.label}`,
+    `Orders: ${orders.length}`,
+    `Gross: ${formatTotals(gross)}`,
+    `Refunded: ${formatTotals(refunded)}`,
+    `Net: ${formatTotals(net)}`,
+    `Discounts given: ${formatTotals(discounts)}`,
+    avg ? `Avg order: ${avg}` : null,
+    top.length ? `Top sellers: ${top.map(([name, qty]) => `${name} ×${qty}`).join(", ")}` : null,
+    balance,
+  ].filter(Boolean).join("\n");
+}
+
+async function stockCommand(args, actor) {
+  if (!args.length) {
+    const stock = await listStock();
+    if (!stock.length) return "No stock levels set yet — every item is untracked. Use /stock <product> <qty>.";
+    return [
+      "📦 Stock on hand:",
+      ...stock
+        .map((s) => ({ s, item: ITEMS.find((i) => i.id === s.variantId) }))
+        .filter(({ item }) => item)
+        .map(({ s, item }) => `#${item.id} ${item.name} ${item.size}: ${s.onHand}`),
+    ].join("\n");
+  }
+
+  const last = args[args.length - 1];
+  const setting = args.length > 1 && /^\d+$/.test(last);
+  const query = (setting ? args.slice(0, -1) : args).join(" ");
+  const matches = matchItems(query);
+  if (!matches.length) return `No product matches "${query}".`;
+  if (matches.length > 1) {
+    return [`"${query}" matches several variants — add the size or use the id:`, ...matches.map((i) => `#${i.id} ${i.name} ${i.size}`)].join("\n");
+  }
+
+  const item = matches[0];
+  if (!setting) {
+    const stock = await getStock(item.id);
+    return `#${item.id} ${item.name} ${item.size}: ${stock ? `${stock.onHand} on hand` : "untracked"}`;
+  }
+
+  const stock = await setStock(item.id, Number(last), { actor });
+  return `✅ #${item.id} ${item.name} ${item.size} set to ${stock.onHand} on hand.`;
+}
+
+async function lotCommand(args, actor) {
+  // "/lot ghk-cu 100mg GC2609A 99.1% https://…/GC2609A.pdf": the purity% splits product from lot
+  const purityAt = args.findIndex((a) => /^\d{1,3}(?:\.\d+)?%$/.test(a));
+  const setting = purityAt >= 2;
+  const query = (setting ? args.slice(0, purityAt - 1) : args).join(" ");
+  if (!query || (purityAt !== -1 && !setting)) return `Usage: ${ADMIN_COMMANDS.lot.usage}`;
+
+  const matches = matchItems(query);
+  if (!matches.length) return `No product matches "${query}".`;
+  if (matches.length > 1) {
+    return [`"${query}" matches several variants — add the size or use the id:`, ...matches.map((i) => `#${i.id} ${i.name} ${i.size}`)].join("\n");
+  }
+
+  const item = matches[0];
+  if (!setting) {
+    const lot = await getLot(item.id);
+    if (!lot) return `#${item.id} ${item.name} ${item.size}: no lot recorded.`;
+    return [
+      `#${item.id} ${item.name} ${item.size}: lot ${lot.lot}`,
+      `Purity ${lot.purity}% (${lot.method}) · set ${shortDate(lot.updatedAt)} UTC${lot.updatedBy ? ` by ${lot.updatedBy}` : ""}`,
+      `COA: ${coaUrl(lot) || "none on file"}`,
+    ].join("\n");
+  }
+
+  const lot = await setLot(
+    item.id,
+    { lot: args[purityAt - 1], purity: Number(args[purityAt].slice(0, -1)), coa: args[purityAt + 1] },
+    { actor }
+  );
+  return `✅ #${item.id} ${item.name} ${item.size} now ships from lot ${lot.lot} (${lot.purity}%)${coaUrl(lot) ? "" : " — no COA on file yet"}.`;
+}
+
+async function recoveryCommand(args) {
+  const period = parsePeriod(args[0], "30d");
+  if (!period) return `Usage: ${ADMIN_COMMANDS.recovery.usage}`;
+
+  const stats = await recoveryStats({ since: period.since });
+  if (!stats.abandoned) return `No abandoned checkouts ${period.label}.`;
+  const rate = Math.round((stats.recovered / stats.abandoned) * 100);
+  return [
+    `🛒 Abandoned checkouts ${period.label}`,
+    `Abandoned: ${stats.abandoned} (${formatTotals(stats.abandonedValue)})`,
+    `Recovered: ${stats.recovered} (${formatTotals(stats.recoveredValue)}) · ${rate}%`,
+    `Reminders sent: ${stats.reminded} · recovered after one: ${stats.recoveredAfterReminder}`,
+    stats.pending ? `Reminders still due: ${stats.pending}` : null,
+    `Opted out: ${stats.optedOut} · couldn't be messaged: ${stats.undeliverable}`,
+  ].filter(Boolean).join("\n");
+}
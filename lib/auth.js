@@ -0,0 +1,160 @@
+/**
+ * Telegram WebApp initData verification.
+ *
+ * The mini app sends `Telegram.WebApp.initData` in the X-Telegram-Init-Data
+ * header on every API call. We check its HMAC against TELEGRAM_BOT_TOKEN
+ * (https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app),
+ * reject stale `auth_date`s and hand back the verified Telegram user.
+ *
+ * Environment variables:
+ *   TELEGRAM_BOT_TOKEN   required to verify anything
+ *   INIT_DATA_MAX_AGE    seconds an initData payload stays valid (default 86400)
+ *   ALLOW_ANONYMOUS      "1" lets requests without initData through as
+ *                        anonymous — for testing in a plain browser only
+ *   ALLOWED_ORIGINS      comma-separated origins allowed by CORS
+ *                        (default https://rapid-research-miniapp.vercel.app)
+ *
+ * Staff access is checked here too:
+ *   ADMIN_USER_IDS       comma-separated Telegram user ids allowed to run
+ *                        admin bot commands
+ *   ADMIN_API_KEY        bearer token for the /api/admin/* endpoints
+ *   CRON_SECRET          bearer token Vercel Cron sends to /api/cron/*
+ */
+
+import crypto from "crypto";
+
+export const INIT_DATA_HEADER = "x-telegram-init-data";
+
+const DEFAULT_ORIGIN = "https://rapid-research-miniapp.vercel.app";
+
+/**
+ * Verifies a raw initData query string.
+ *
+ * @returns {{ user: object, authDate: number } | { error: string }}
+ */
+export function verifyInitData(initData, botToken, { maxAgeSeconds = 86400, now = Date.now() } = {}) {
+  if (!initData || typeof initData !== "string") return { error: "Missing Telegram init data" };
+  if (!botToken) return { error: "Telegram not configured" };
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get("hash");
+  if (!hash) return { error: "Init data is not signed" };
+  params.delete("hash");
+
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("\n");
+
+  const secretKey = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
+  const expected = crypto.createHmac("sha256", secretKey).update(dataCheckString).digest("hex");
+
+  const a = Buffer.from(expected, "hex");
+  const b = Buffer.from(hash, "hex");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { error: "Invalid init data signature" };
+  }
+
+  const authDate = Number(params.get("auth_date"));
+  if (!authDate || now / 1000 - authDate > maxAgeSeconds) {
+    return { error: "Init data has expired — please reopen the mini app" };
+  }
+
+  let user;
+  try {
+    user = JSON.parse(params.get("user") || "null");
+  } catch {
+    user = null;
+  }
+  if (!user?.id) return { error: "Init data has no user" };
+
+  return { user, authDate };
+}
+
+/**
+ * Authenticates a mini-app request.
+ *
+ * @returns {{ user: object|null, anonymous: boolean } | { error: string }}
+ *   `user` is the verified Telegram user; `anonymous` is only ever true when
+ *   ALLOW_ANONYMOUS is on and the request carried no initData at all.
+ */
+export function authenticate(req) {
+  const initData = req.headers[INIT_DATA_HEADER];
+  if (!initData) {
+    if (process.env.ALLOW_ANONYMOUS === "1") return { user: null, anonymous: true };
+    return { error: "Please open the shop from Telegram" };
+  }
+
+  const result = verifyInitData(initData, process.env.TELEGRAM_BOT_TOKEN, {
+    maxAgeSeconds: Number(process.env.INIT_DATA_MAX_AGE) || 86400,
+  });
+  if (result.error) return result;
+  return { user: result.user, anonymous: false };
+}
+
+/** Display name for a verified Telegram user. */
+export function telegramName(user) {
+  if (!user) return "";
+  return [user.first_name, user.last_name].filter(Boolean).join(" ") || (user.username ? `@${user.username}` : "");
+}
+
+/**
+ * Sets CORS headers for the mini app's origin(s) and answers preflights.
+ *
+ * @returns {boolean} true when the request was a preflight and has been ended
+ */
+export function applyCors(req, res, methods) {
+  const allowed = (process.env.ALLOWED_ORIGINS || DEFAULT_ORIGIN).split(",").map((o) => o.trim());
+  const origin = req.headers.origin;
+  if (origin && allowed.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  }
+  res.setHeader("Access-Control-Allow-Methods", `${methods}, OPTIONS`);
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Telegram-Init-Data");
+
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return true;
+  }
+  return false;
+}
+
+/** Staff Telegram user ids from the ADMIN_USER_IDS allowlist (comma-separated). */
+export function isAdminUser(telegramUserId) {
+  if (!telegramUserId) return false;
+  const ids = (process.env.ADMIN_USER_IDS || "").split(",").map((id) => id.trim()).filter(Boolean);
+  return ids.includes(String(telegramUserId));
+}
+
+/**
+ * Authenticates a staff API call by `Authorization: Bearer <ADMIN_API_KEY>`.
+ *
+ * @returns {{ actor: string } | { error: string, status: number }}
+ */
+export function authenticateAdmin(req) {
+  const key = process.env.ADMIN_API_KEY;
+  if (!key) return { error: "Admin API not configured", status: 500 };
+  if (!bearerMatches(req, key)) return { error: "Unauthorized", status: 401 };
+  return { actor: "admin-api" };
+}
+
+/**
+ * Authenticates a Vercel Cron invocation, which sends
+ * `Authorization: Bearer <CRON_SECRET>`.
+ *
+ * @returns {{ actor: string } | { error: string, status: number }}
+ */
+export function authenticateCron(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return { error: "Cron not configured", status: 500 };
+  if (!bearerMatches(req, secret)) return { error: "Unauthorized", status: 401 };
+  return { actor: "cron" };
+}
+
+function bearerMatches(req, key) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  const given = Buffer.from(match?.[1] || "");
+  const expected = Buffer.from(key);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
@@ -0,0 +1,157 @@
+/**
+ * Server-side cart validation.
+ *
+ * The mini app only tells us which variant ids it wants and how many. Names
+ * and prices always come from lib/catalog.js — anything else the client sends
+ * (price, name, conc) is ignored. Prices are in the customer's currency
+ * (lib/currency.js); CartError messages are shown to the customer, in their
+ * `language` (lib/i18n.js).
+ */
+
+import { findItem, itemPrice } from "./catalog.js";
+import { DEFAULT_CURRENCY, normalizeCurrency } from "./currency.js";
+import { t } from "./i18n.js";
+import { evaluatePromo, normalizeCode } from "./promo.js";
+import { reserveStock, unavailableLines } from "./inventory.js";
+import { quoteShipping } from "./shipping.js";
+
+export const MAX_LINES = 20;
+export const MAX_QTY_PER_LINE = 25;
+
+export class CartError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CartError";
+    this.status = 400;
+  }
+}
+
+/**
+ * Resolves client cart items against the catalog.
+ *
+ * @param {Array<{id: number|string, qty: number}>} items
+ * @param {{ currency?: string, language?: string }} [options]
+ * @returns {{ lines: Array<{id, productId, cat, name, conc, price, qty, amount}>, subtotal: number }}
+ *   `price` and `amount` are in `currency`; `subtotal` is rounded to cents.
+ * @throws {CartError} on an empty/oversized cart, unknown id, bad quantity or currency.
+ */
+export function validateCart(items, { currency = DEFAULT_CURRENCY, language } = {}) {
+  if (!normalizeCurrency(currency)) {
+    throw new CartError(t(language, "cart.currency", { currency: String(currency).slice(0, 10).toUpperCase() }));
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new CartError(t(language, "cart.empty"));
+  }
+  if (items.length > MAX_LINES) {
+    throw new CartError(t(language, "cart.tooManyLines", { max: MAX_LINES }));
+  }
+  const quantityError = (entry) =>
+    new CartError(t(language, "cart.quantity", { item: `${entry.name} (${entry.conc})`, max: MAX_QTY_PER_LINE }));
+
+  // Merge duplicate ids so the per-line limit can't be sidestepped
+  const byId = new Map();
+  for (const item of items) {
+    const entry = findItem(item?.id);
+    if (!entry) {
+      throw new CartError(t(language, "cart.unknownProduct", { id: String(item?.id).slice(0, 40) }));
+    }
+    const qty = item.qty;
+    if (!Number.isInteger(qty) || qty < 1 || qty > MAX_QTY_PER_LINE) {
+      throw quantityError(entry);
+    }
+    byId.set(entry.id, { entry, qty: (byId.get(entry.id)?.qty || 0) + qty });
+  }
+
+  const lines = [];
+  for (const { entry, qty } of byId.values()) {
+    if (qty > MAX_QTY_PER_LINE) {
+      throw quantityError(entry);
+    }
+    const price = itemPrice(entry, currency);
+    if (price == null) {
+      throw new CartError(t(language, "cart.notInCurrency", { item: `${entry.name} (${entry.conc})`, currency: currency.toUpperCase() }));
+    }
+    lines.push({
+      id: entry.id,
+      productId: entry.productId,
+      cat: entry.cat,
+      name: entry.name,
+      conc: entry.conc,
+      price,
+      qty,
+      amount: Math.round(price * 100) * qty / 100,
+    });
+  }
+
+  const subtotalCents = lines.reduce((s, l) => s + Math.round(l.price * 100) * l.qty, 0);
+  return { lines, subtotal: subtotalCents / 100 };
+}
+
+/**
+ * Rejects lines the shelf can't fill, counting stock held by open checkouts.
+ *
+ * @throws {CartError}
+ */
+export async function assertInStock(lines, { excludeHold, language } = {}) {
+  const short = await unavailableLines(lines, { excludeHold });
+  if (short.length) throw stockError(short[0], language);
+}
+
+/**
+ * Holds a checkout's lines until `expiresAt` (reserveStock in
+ * lib/inventory.js), so the last units go to one customer only.
+ *
+ * @throws {CartError} when another checkout got the stock first; nothing is held
+ */
+export async function reserveLines(holdId, lines, expiresAt, { language } = {}) {
+  const short = await reserveStock(holdId, lines, expiresAt);
+  if (short.length) throw stockError(short[0], language);
+}
+
+function stockError({ line, available }, language) {
+  const item = `${line.name} (${line.conc})`;
+  return new CartError(
+    available === 0 ? t(language, "cart.soldOut", { item }) : t(language, "cart.onlyLeft", { item, available })
+  );
+}
+
+/**
+ * Validates the cart and prices the whole order: lines, promo discount,
+ * shipping and total. Used by /api/quote and /api/promo/validate for the
+ * cart sheet and by /api/checkout and /api/invoice when the customer pays,
+ * so they always agree. `excludeHold` re-prices an open checkout without
+ * counting the stock it already holds against it.
+ *
+ * Out-of-stock lines fail it with a CartError. An invalid promo code never
+ * fails the quote — it comes back with `promo.valid === false` and a
+ * customer-facing `promo.message`.
+ *
+ * @param {{ items: Array, promoCode?: string|null, excludeHold?: string, currency?: string, language?: string }} input
+ *   `currency` defaults to USD; every amount in the result is in it.
+ *   `language` is for the errors, promo messages and shipping label.
+ */
+export async function priceOrder({ items, promoCode, excludeHold, currency = DEFAULT_CURRENCY, language }) {
+  currency = normalizeCurrency(currency || DEFAULT_CURRENCY) || currency;
+  const { lines, subtotal } = validateCart(items, { currency, language });
+  await assertInStock(lines, { excludeHold, language });
+
+  const code = normalizeCode(promoCode);
+  const promo = code ? await evaluatePromo(code, lines, { currency, language }) : null;
+  const discount = promo?.valid ? promo.discount : 0;
+  const discounted = Math.round((subtotal - discount) * 100) / 100;
+  const shipping = quoteShipping(discounted, {
+    freeShipping: Boolean(promo?.valid && promo.freeShipping),
+    currency,
+    language,
+  });
+
+  return {
+    currency,
+    lines,
+    subtotal,
+    discount,
+    shipping,
+    total: Math.round((discounted + shipping.fee) * 100) / 100,
+    promo,
+  };
+}
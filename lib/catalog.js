@@ -0,0 +1,191 @@
+/**
+ * Rapid Research Co product catalog.
+ *
+ * The single source of truth for what we sell and at what price. The mini
+ * app loads it through GET /api/products, /api/checkout resolves cart lines
+ * against it, and the /api/chat and /api/telegram assistants build their
+ * system prompts and /products listing from it. Change prices here only.
+ *
+ * Each product has one or more variants. Variant ids are the cart/SKU ids
+ * used by the mini app and Stripe line-item metadata, so never reuse one;
+ * new variants get the next id, which the shop's "Newest" sort relies on.
+ * `aliases` are other names customers search for. `price` is in USD and
+ * `prices` lists the other currencies in lib/currency.js; every variant needs
+ * all of them.
+ */
+
+import { DEFAULT_CURRENCY, formatMoney, normalizeCurrency } from "./currency.js";
+
+export const CATEGORIES = [
+  { id: "glp", name: "GLP", label: "🧬 GLP Peptides" },
+  { id: "peptides", name: "Peptides", label: "🔬 Research Peptides" },
+  { id: "support", name: "Support", label: "💧 Support & Blends" },
+];
+
+export const PRODUCTS = [
+  {
+    id: "glp-1s", name: "GLP-1S", category: "glp", icon: "💉", form: "Vial", purity: "Research", image: "images/glp1s.png",
+    aliases: ["GLP1S", "GLP-1"],
+    description: "Lyophilized GLP-1 receptor agonist analog, supplied as a powder for reconstitution in laboratory studies of incretin signalling.",
+    variants: [
+      { id: 1, size: "5mg", price: 44.99, prices: { eur: 41.99, gbp: 35.99 }, badge: "hot" },
+      { id: 2, size: "10mg", price: 69.99, prices: { eur: 64.99, gbp: 55.99 } },
+      { id: 3, size: "15mg", price: 79.99, prices: { eur: 74.99, gbp: 63.99 } },
+    ],
+  },
+  {
+    id: "glp-tr", name: "GLP-TR", category: "glp", icon: "💉", form: "Vial", purity: "Research", image: "images/glp2t.png",
+    aliases: ["GLPTR"],
+    description: "Lyophilized dual GIP/GLP-1 receptor agonist analog for in-vitro research into incretin receptor pharmacology.",
+    variants: [
+      { id: 4, size: "5mg", price: 54.99, prices: { eur: 50.99, gbp: 43.99 } },
+    ],
+  },
+  {
+    id: "glp-2r", name: "GLP-2R", category: "glp", icon: "💉", form: "Vial", purity: "Research", image: "images/glp2t.png",
+    aliases: ["GLP2R"],
+    description: "Lyophilized incretin-class peptide analog for laboratory research on receptor signalling.",
+    variants: [
+      { id: 5, size: "10mg", price: 74.99, prices: { eur: 69.99, gbp: 59.99 } },
+      { id: 6, size: "15mg", price: 109.99, prices: { eur: 101.99, gbp: 87.99 } },
+    ],
+  },
+  {
+    id: "glp-3r", name: "GLP-3R", category: "glp", icon: "💉", form: "Vial", purity: "Research", image: "images/glp3r.png",
+    aliases: ["GLP3R", "GLP-3", "Triple agonist"],
+    description: "Lyophilized triple-agonist analog (GLP-1, GIP and glucagon receptors) for comparative receptor-binding research.",
+    variants: [
+      { id: 7, size: "5mg", price: 79.99, prices: { eur: 74.99, gbp: 63.99 } },
+      { id: 8, size: "10mg", price: 84.99, prices: { eur: 78.99, gbp: 67.99 } },
+      { id: 9, size: "15mg", price: 109.99, prices: { eur: 101.99, gbp: 87.99 } },
+    ],
+  },
+  {
+    id: "ghk-cu", name: "GHK-Cu", category: "peptides", icon: "🧬", form: "Vial", purity: "Research", image: "images/ghk-cu.jpg",
+    aliases: ["GHK", "Copper peptide"],
+    description: "Copper-binding tripeptide (glycyl-histidyl-lysine copper complex) for cell-culture and tissue research.",
+    variants: [
+      { id: 10, size: "50mg", price: 39.99, prices: { eur: 36.99, gbp: 31.99 } },
+      { id: 11, size: "100mg", price: 59.99, prices: { eur: 55.99, gbp: 47.99 } },
+    ],
+  },
+  {
+    id: "mots-c", name: "MOTS-C", category: "peptides", icon: "🧬", form: "Vial", purity: "Research", image: "images/mots-c.jpg",
+    aliases: ["MOTSC", "MOTS"],
+    description: "Mitochondrial-derived 16-amino-acid peptide for research into cellular metabolism and mitochondrial signalling.",
+    variants: [
+      { id: 12, size: "10mg", price: 34.99, prices: { eur: 32.99, gbp: 27.99 } },
+    ],
+  },
+  {
+    id: "selank", name: "Selank", category: "peptides", icon: "🧬", form: "Vial", purity: "Research", image: "images/selank.jpg",
+    aliases: ["Selank acetate"],
+    description: "Synthetic heptapeptide analog of tuftsin for neuropeptide research.",
+    variants: [
+      { id: 13, size: "10mg", price: 29.99, prices: { eur: 27.99, gbp: 23.99 } },
+    ],
+  },
+  {
+    id: "5-amino-1mq", name: "5-Amino-1MQ", category: "peptides", icon: "🧬", form: "Vial", purity: "Research", image: "images/5-amino-1mq.jpg",
+    aliases: ["5-Amino", "NNMT inhibitor"],
+    description: "Small-molecule NNMT inhibitor for enzymology and cellular metabolism research.",
+    variants: [
+      { id: 14, size: "10mg", price: 49.99, prices: { eur: 46.99, gbp: 39.99 }, badge: "new" },
+    ],
+  },
+  {
+    id: "bac-water", name: "Bacteriostatic Water", category: "support", icon: "💧", form: "Liquid", purity: "Sterile", image: "images/bac-water.jpg",
+    aliases: ["Bac water", "BAC", "Reconstitution water"],
+    description: "Sterile water with 0.9% benzyl alcohol, for reconstituting lyophilized research peptides.",
+    variants: [
+      { id: 15, size: "10ml", price: 25.0, prices: { eur: 23.0, gbp: 20.0 } },
+    ],
+  },
+  {
+    id: "nad", name: "NAD+", category: "support", icon: "⚡", form: "Vial", purity: "Research", image: "images/rl-bundle.jpg",
+    aliases: ["NAD", "Nicotinamide adenine dinucleotide"],
+    description: "Nicotinamide adenine dinucleotide (oxidized form) for research into cellular energy metabolism and redox biology.",
+    variants: [
+      { id: 16, size: "500mg", price: 69.99, prices: { eur: 64.99, gbp: 55.99 } },
+    ],
+  },
+  {
+    id: "klow", name: "KLOW", category: "support", icon: "🚀", form: "Blend", purity: "Research", image: "images/klow.jpg", perVial: false,
+    aliases: ["KLOW blend"],
+    description: "Multi-peptide research blend of BP57, GHK-Cu, TB500 and KPV in a single vial.",
+    variants: [
+      { id: 17, size: "BP57 10mg + GHK-CU 50mg + TB500 10mg + KPV", price: 199.99, prices: { eur: 185.99, gbp: 159.99 }, badge: "hot" },
+    ],
+  },
+];
+
+/**
+ * One sellable line per variant, in the flat shape the mini app renders:
+ * { id, productId, cat, icon, name, aliases, size, conc, purity, form, price, prices, badge, image, description }
+ * `price` is USD; `prices` has every currency (use itemPrice).
+ */
+export const ITEMS = PRODUCTS.flatMap((p) =>
+  p.variants.map((v) => ({
+    id: v.id,
+    productId: p.id,
+    cat: p.category,
+    icon: p.icon,
+    name: p.name,
+    aliases: p.aliases || [],
+    size: v.size,
+    conc: p.perVial === false ? v.size : `${v.size} / vial`,
+    purity: p.purity,
+    form: p.form,
+    price: v.price,
+    prices: { usd: v.price, ...v.prices },
+    badge: v.badge || "",
+    image: p.image,
+    description: p.description,
+  }))
+);
+
+export function findItem(id) {
+  return ITEMS.find((i) => i.id === Number(id)) || null;
+}
+
+/** @returns {number|null} the item's price in `currency`, null if it has none */
+export function itemPrice(item, currency = DEFAULT_CURRENCY) {
+  return item?.prices?.[normalizeCurrency(currency) || DEFAULT_CURRENCY] ?? null;
+}
+
+/** Catalog block embedded in the assistants' system prompts, priced in `currency`. */
+export function catalogPromptLines(currency = DEFAULT_CURRENCY) {
+  return PRODUCTS.map((p) => {
+    const category = CATEGORIES.find((c) => c.id === p.category)?.name || p.category;
+    const variants = p.variants
+      .map((v) => `${v.size} = ${formatMoney(itemPrice(findItem(v.id), currency), currency, "en-US")}`)
+      .join(", ");
+    return `- ${p.name} (${category}, ${p.form}): ${variants}`;
+  }).join("\n");
+}
+
+/**
+ * Resolves a free-text product reference — a variant id ("8"), a product id
+ * or name with an optional size ("glp-3r 10mg", "GHK-Cu 100mg") — to catalog
+ * items. Returns every matching variant; one match means it's unambiguous.
+ */
+export function matchItems(query) {
+  const q = String(query || "").trim().toLowerCase();
+  if (!q) return [];
+  if (/^\d+$/.test(q)) return ITEMS.filter((i) => i.id === Number(q));
+
+  const norm = (s) => s.toLowerCase().replace(/[^a-z0-9+]/g, "");
+  const sizeMatch = /(\d+(?:\.\d+)?\s*(?:mg|ml|mcg|g))$/i.exec(q);
+  const size = sizeMatch ? norm(sizeMatch[1]) : null;
+  const name = norm(sizeMatch ? q.slice(0, sizeMatch.index) : q);
+
+  const products = PRODUCTS.filter(
+    (p) => norm(p.id) === name || norm(p.name) === name || (p.aliases || []).some((a) => norm(a) === name)
+  );
+  const candidates = products.length
+    ? products
+    : PRODUCTS.filter((p) => norm(p.name).includes(name) || norm(p.id).includes(name));
+  return ITEMS.filter(
+    (i) => candidates.some((p) => p.id === i.productId) && (!size || norm(i.size) === size)
+  );
+}
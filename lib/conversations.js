@@ -0,0 +1,120 @@
+/**
+ * Assistant conversation memory, persisted through lib/store.js.
+ *
+ * One conversation per verified Telegram user, shared by the support bot
+ * (/api/telegram) and the mini app chat (/api/chat), so a question started
+ * in one can be continued in the other. Conversations expire after a period
+ * of inactivity. Once one grows past the message window, the oldest turns
+ * are folded into a running summary by the LLM (lib/llm.js) instead of
+ * being dropped.
+ *
+ * Record shape:
+ *   { key, summary, messages: [{ role, content, source, at }], updatedAt }
+ *
+ * Optional environment variables:
+ *   CONVERSATION_TTL_MINUTES    inactivity before a conversation is forgotten
+ *                               (default 30)
+ *   CONVERSATION_MAX_MESSAGES   message window sent to the model (default 20)
+ */
+
+import { getStore } from "./store.js";
+
+const COLLECTION = "conversations";
+
+// Turns kept verbatim after a fold; everything older goes into the summary
+const KEEP_AFTER_SUMMARY = 10;
+const MAX_MESSAGE_CHARS = 4000;
+const MAX_SUMMARY_CHARS = 2000;
+
+function ttlMs() {
+  return (Number(process.env.CONVERSATION_TTL_MINUTES) || 30) * 60 * 1000;
+}
+
+function maxMessages() {
+  return Math.max(KEEP_AFTER_SUMMARY + 2, Number(process.env.CONVERSATION_MAX_MESSAGES) || 20);
+}
+
+const keyFor = (telegramUserId) => `tg:${telegramUserId}`;
+
+/** The user's live conversation, or null if there is none or it expired. */
+export async function getConversation(telegramUserId) {
+  const record = await getStore().get(COLLECTION, keyFor(telegramUserId));
+  if (!record) return null;
+  if (Date.now() - new Date(record.updatedAt).getTime() > ttlMs()) {
+    await getStore().delete(COLLECTION, keyFor(telegramUserId));
+    return null;
+  }
+  return record;
+}
+
+/** Messages to put after the system prompt: the summary (if any) then the window. */
+export function modelHistory(record) {
+  if (!record) return [];
+  return [
+    ...(record.summary
+      ? [{ role: "system", content: `Summary of the earlier conversation with this customer:\n${record.summary}` }]
+      : []),
+    ...record.messages.map(({ role, content }) => ({ role, content })),
+  ];
+}
+
+async function summarize(llm, previous, turns) {
+  const transcript = turns.map((m) => `${m.role === "user" ? "Customer" : "Assistant"}: ${m.content}`).join("\n");
+  const { text } = await llm.complete({
+    messages: [
+      {
+        role: "system",
+        content:
+          "Summarize this support conversation for the assistant's future reference in at most 5 short bullet points. " +
+          "Keep product names, sizes, order ids, promo codes and open questions. Do not add anything new.",
+      },
+      { role: "user", content: `${previous ? `Earlier summary:\n${previous}\n\n` : ""}New turns:\n${transcript}` },
+    ],
+  });
+  return text.trim().slice(0, MAX_SUMMARY_CHARS);
+}
+
+/**
+ * Appends turns and enforces the window. The append happens under the
+ * store lock, so the bot, the mini app and staff replies writing at once
+ * don't drop each other's turns; the overflow is summarized after the lock
+ * is released, as the LLM can take longer than a lock lasts.
+ *
+ * @param {string|number} telegramUserId
+ * @param {Array<{ role: "user"|"assistant", content: string }>} turns
+ * @param {{ source: "bot"|"app", llm?: object|null }} options
+ *   `llm` summarizes overflow; without it (or if it fails) old turns are dropped.
+ */
+export async function appendTurns(telegramUserId, turns, { source, llm } = {}) {
+  const now = new Date().toISOString();
+  const key = keyFor(telegramUserId);
+  const added = turns
+    .filter((t) => t.content)
+    .map((t) => ({ role: t.role, content: String(t.content).slice(0, MAX_MESSAGE_CHARS), source, at: now }));
+
+  let overflow = [];
+  const record = await getStore().update(COLLECTION, key, (current) => {
+    const live = current && Date.now() - new Date(current.updatedAt).getTime() <= ttlMs() ? current : null;
+    let messages = [...(live?.messages || []), ...added];
+    if (messages.length > maxMessages()) {
+      overflow = messages.slice(0, messages.length - KEEP_AFTER_SUMMARY);
+      messages = messages.slice(-KEEP_AFTER_SUMMARY);
+    }
+    return { key, summary: live?.summary || "", messages, updatedAt: now };
+  });
+  if (!overflow.length || !llm) return record;
+
+  const summary = await summarize(llm, record.summary, overflow).catch((err) => {
+    console.error("[Conversations] Could not summarize:", err.message);
+    return null;
+  });
+  if (!summary) return record;
+  // If another fold landed while we summarized, its summary is kept rather than overwritten
+  return getStore().update(COLLECTION, key, (current) =>
+    current && current.summary === record.summary ? { ...current, summary } : undefined
+  );
+}
+
+export async function clearConversation(telegramUserId) {
+  return getStore().delete(COLLECTION, keyFor(telegramUserId));
+}
@@ -0,0 +1,78 @@
+/**
+ * Currencies we sell in, and money formatting.
+ *
+ * Prices are listed per currency in lib/catalog.js (`price` is USD,
+ * `prices.eur`/`prices.gbp` the others) and shipping rates per currency
+ * here; nothing is converted at an exchange rate. The mini app picks the
+ * customer's currency from their Telegram language_code or its selector and
+ * sends it with every quote and checkout.
+ *
+ * Amounts are in major units (dollars, euros, pounds) everywhere except at
+ * the Stripe and Telegram Payments boundaries, which take cents.
+ */
+
+export const CURRENCIES = {
+  usd: { code: "usd", label: "US dollar", locale: "en-US", flatRate: 9.95, freeShippingThreshold: 150 },
+  eur: { code: "eur", label: "Euro", locale: "de-DE", flatRate: 9.95, freeShippingThreshold: 140 },
+  gbp: { code: "gbp", label: "Pound sterling", locale: "en-GB", flatRate: 7.95, freeShippingThreshold: 120 },
+};
+
+export const DEFAULT_CURRENCY = "usd";
+
+// Telegram language_code → currency; anything else gets DEFAULT_CURRENCY
+const LANGUAGE_CURRENCIES = {
+  de: "eur", fr: "eur", es: "eur", it: "eur", nl: "eur", pt: "eur", fi: "eur", el: "eur",
+  et: "eur", lv: "eur", lt: "eur", sk: "eur", sl: "eur", hr: "eur", ga: "eur",
+  "en-gb": "gbp", "pt-br": "usd",
+};
+
+/** @returns {string|null} the lowercase currency code, or null if we don't sell in it */
+export function normalizeCurrency(code) {
+  const value = typeof code === "string" ? code.trim().toLowerCase() : "";
+  return CURRENCIES[value] ? value : null;
+}
+
+/** Default currency for a Telegram `language_code` ("de", "en-GB", …). */
+export function currencyForLanguage(languageCode) {
+  const code = String(languageCode || "").toLowerCase();
+  return LANGUAGE_CURRENCIES[code] || LANGUAGE_CURRENCIES[code.split("-")[0]] || DEFAULT_CURRENCY;
+}
+
+const formatters = new Map();
+
+/**
+ * "$44.99", "41,99 €", "£35.99".
+ *
+ * @param {number} amount     in major units
+ * @param {string} [currency]
+ * @param {string} [locale]   defaults to the currency's home locale
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, locale) {
+  const code = normalizeCurrency(currency) || DEFAULT_CURRENCY;
+  const key = `${code}:${locale || ""}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale || CURRENCIES[code].locale, { style: "currency", currency: code.toUpperCase() }));
+  }
+  return formatters.get(key).format(Number(amount) || 0);
+}
+
+/**
+ * Amounts in several currencies, for staff totals: "$120.00 + €45.50".
+ *
+ * @param {Map<string, number>} totals   amount by currency
+ */
+export function formatTotals(totals) {
+  const entries = [...totals.entries()].filter(([, amount]) => amount);
+  if (!entries.length) return formatMoney(0);
+  return entries.map(([currency, amount]) => formatMoney(amount, currency)).join(" + ");
+}
+
+/** Sums `amount(record)` by `record.currency` (USD when unset). */
+export function sumByCurrency(records, amount) {
+  const totals = new Map();
+  for (const record of records) {
+    const currency = normalizeCurrency(record.currency) || DEFAULT_CURRENCY;
+    totals.set(currency, Math.round(((totals.get(currency) || 0) + (amount(record) || 0)) * 100) / 100);
+  }
+  return totals;
+}
@@ -0,0 +1,99 @@
+/**
+ * Deep links into the mini app.
+ *
+ * One start parameter format is shared by both kinds of Telegram link:
+ *
+ *   https://t.me/<bot>/<app>?startapp=<param>   opens the mini app directly
+ *   https://t.me/<bot>?start=<param>            "/start <param>" in the bot,
+ *                                               answered with a button into
+ *                                               the mini app (/api/telegram)
+ *
+ * and the mini app reads it on load (readStartParam in index.html). It's
+ * "__"-separated key_value pairs, since Telegram only allows A–Z, a–z, 0–9,
+ * "_" and "-" (64 characters for start, 512 for startapp):
+ *
+ *   p_glp-3r       open a product (p_8 for one size)
+ *   c_peptides     open a category
+ *   promo_RAPID10  pre-apply a promo code
+ *   ref_alice      referral tag, recorded on the checkout and the order
+ *
+ * e.g. "p_ghk-cu__promo_FREESHIP__ref_alice". Unknown keys and malformed
+ * values are ignored.
+ *
+ * Optional environment variables:
+ *   TELEGRAM_BOT_USERNAME   the bot's @username (default RapidLabsSupportBot)
+ *   MINI_APP_SHORT_NAME     the mini app's short name from BotFather /newapp
+ *                           (default shop)
+ */
+
+import { CATEGORIES, PRODUCTS, findItem } from "./catalog.js";
+import { MINI_APP_URL } from "./telegram.js";
+
+const REFERRAL_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{0,31}$/;
+const PROMO_PATTERN = /^[A-Z0-9][A-Z0-9-]{0,31}$/;
+
+function botUsername() {
+  return (process.env.TELEGRAM_BOT_USERNAME || "RapidLabsSupportBot").replace(/^@/, "");
+}
+
+/** @returns {string|null} the tag if it's a valid referral tag */
+export function normalizeReferral(tag) {
+  const value = typeof tag === "string" ? tag.trim() : "";
+  return REFERRAL_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * @param {{ product?: string|number, category?: string, promo?: string, ref?: string }} link
+ *   `product` is a product id or a variant id
+ * @returns {string} the start parameter ("" for a plain link)
+ */
+export function buildStartParam({ product, category, promo, ref } = {}) {
+  return [
+    product != null ? `p_${product}` : null,
+    category ? `c_${category}` : null,
+    promo ? `promo_${String(promo).toUpperCase()}` : null,
+    normalizeReferral(ref) ? `ref_${ref}` : null,
+  ].filter(Boolean).join("__");
+}
+
+/**
+ * @returns {{ product?: string, variant?: number, category?: string, promo?: string, ref?: string }}
+ *   only the parts that name something real
+ */
+export function parseStartParam(param) {
+  const link = {};
+  for (const pair of String(param || "").split("__")) {
+    const at = pair.indexOf("_");
+    if (at < 1) continue;
+    const key = pair.slice(0, at);
+    const value = pair.slice(at + 1);
+    if (key === "p") {
+      const item = /^\d+$/.test(value) ? findItem(value) : null;
+      if (item) {
+        link.product = item.productId;
+        link.variant = item.id;
+      } else if (PRODUCTS.some((p) => p.id === value)) {
+        link.product = value;
+      }
+    } else if (key === "c" && CATEGORIES.some((c) => c.id === value)) {
+      link.category = value;
+    } else if (key === "promo" && PROMO_PATTERN.test(value.toUpperCase())) {
+      link.promo = value.toUpperCase();
+    } else if (key === "ref" && normalizeReferral(value)) {
+      link.ref = value;
+    }
+  }
+  return link;
+}
+
+/** t.me link that opens the mini app straight from any chat. */
+export function shopLink(link = {}) {
+  const param = buildStartParam(link);
+  return `https://t.me/${botUsername()}/${process.env.MINI_APP_SHORT_NAME || "shop"}${param ? `?startapp=${param}` : ""}`;
+}
+
+/** URL for a web_app button; the mini app reads ?startapp= like a direct link. */
+export function webAppUrl(link = {}) {
+  const param = typeof link === "string" ? link : buildStartParam(link);
+  return `${MINI_APP_URL}${param ? `?startapp=${encodeURIComponent(param)}` : ""}`;
+}
@@ -0,0 +1,157 @@
+/**
+ * Order fulfillment workflow: processing → shipped → in_transit → delivered.
+ *
+ * Staff move orders forward from /api/admin/orders or the /ship, /transit and
+ * /delivered bot commands. Every change is appended to the order's history
+ * with a timestamp, the customer gets a DM from the bot, and the staff group
+ * gets an update. The DM is in the customer's language (`order.language`,
+ * lib/i18n.js). Shipping an order records the lot each line went out from
+ * (lib/lots.js).
+ */
+
+import { t } from "./i18n.js";
+import { getOrder, updateOrder } from "./orders.js";
+import { withLots } from "./lots.js";
+import { escapeMarkdown, notifyGroup, sendTelegramMessage } from "./telegram.js";
+
+// Allowed next statuses for each status
+export const TRANSITIONS = {
+  processing: ["shipped"],
+  shipped: ["in_transit", "delivered"],
+  in_transit: ["delivered"],
+};
+
+export const STATUS_LABELS = {
+  processing: "Processing",
+  shipped: "Shipped",
+  in_transit: "In Transit",
+  delivered: "Delivered",
+};
+
+const CARRIERS = {
+  usps: { name: "USPS", url: (n) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${n}` },
+  ups: { name: "UPS", url: (n) => `https://www.ups.com/track?tracknum=${n}` },
+  fedex: { name: "FedEx", url: (n) => `https://www.fedex.com/fedextrack/?trknbr=${n}` },
+  dhl: { name: "DHL", url: (n) => `https://www.dhl.com/en/express/tracking.html?AWB=${n}` },
+};
+
+export class FulfillmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "FulfillmentError";
+    this.status = status;
+  }
+}
+
+/** Best guess at the carrier from the tracking number's format. */
+export function detectCarrier(trackingNumber) {
+  const n = String(trackingNumber || "").replace(/\s+/g, "").toUpperCase();
+  if (/^1Z[0-9A-Z]{16}$/.test(n)) return "ups";
+  if (/^(94|93|92|95)\d{20}$/.test(n) || /^[A-Z]{2}\d{9}US$/.test(n)) return "usps";
+  if (/^\d{12}$|^\d{15}$/.test(n)) return "fedex";
+  if (/^\d{10}$/.test(n)) return "dhl";
+  return null;
+}
+
+export function trackingInfo(carrier, trackingNumber) {
+  const number = String(trackingNumber).replace(/\s+/g, "");
+  const key = String(carrier || detectCarrier(number) || "").toLowerCase();
+  const known = CARRIERS[key];
+  return {
+    carrier: known?.name || carrier || "Carrier",
+    number,
+    url: known ? known.url(encodeURIComponent(number)) : null,
+  };
+}
+
+/** The customer's DM about a status change, in the language they ordered in. */
+function customerMessage(order) {
+  const tracking = order.tracking;
+  const lang = order.language;
+  switch (order.status) {
+    case "shipped":
+      return [
+        t(lang, "bot.order.shipped", { id: order.id }),
+        tracking ? `\n${t(lang, "bot.order.tracking", { carrier: tracking.carrier, number: tracking.number })}` : null,
+        tracking?.url ? t(lang, "bot.order.trackLink", { url: tracking.url }) : null,
+      ].filter(Boolean).join("\n");
+    case "in_transit":
+      return tracking
+        ? t(lang, "bot.order.inTransitWith", { id: order.id, carrier: tracking.carrier, number: tracking.number })
+        : t(lang, "bot.order.inTransit", { id: order.id });
+    case "delivered":
+      return t(lang, "bot.order.delivered", { id: order.id });
+    default:
+      return null;
+  }
+}
+
+function groupMessage(order, actor) {
+  const t = order.tracking;
+  return [
+    `📬 *Order ${escapeMarkdown(STATUS_LABELS[order.status])}*`,
+    `🧾 *Order:* \`${order.id}\``,
+    `👤 *Customer:* ${escapeMarkdown(order.customer?.name || "Guest")}`,
+    t ? `🚚 *Tracking:* ${escapeMarkdown(t.carrier)} \`${t.number}\`` : null,
+    actor ? `🛠 *By:* ${escapeMarkdown(actor)}` : null,
+  ].filter(Boolean).join("\n");
+}
+
+function assertTransition(order, status) {
+  const allowed = TRANSITIONS[order.status] || [];
+  if (!allowed.includes(status)) {
+    throw new FulfillmentError(
+      `Can't move ${order.id} from ${order.status} to ${status}` + (allowed.length ? ` (allowed: ${allowed.join(", ")})` : "")
+    );
+  }
+}
+
+/**
+ * Moves an order to `status`, records it and notifies customer and staff.
+ *
+ * @param {string} orderId
+ * @param {"shipped"|"in_transit"|"delivered"} status
+ * @param {{ carrier?: string, trackingNumber?: string, note?: string, actor?: string }} [details]
+ * @returns {Promise<object>} the updated order
+ * @throws {FulfillmentError} unknown order (404) or a transition that isn't allowed (400)
+ */
+export async function transitionOrder(orderId, status, { carrier, trackingNumber, note, actor } = {}) {
+  const existing = await getOrder(orderId);
+  if (!existing) throw new FulfillmentError(`Order ${orderId} not found`, 404);
+
+  assertTransition(existing, status);
+  if (status === "shipped" && !trackingNumber) {
+    throw new FulfillmentError("A tracking number is required to mark an order shipped");
+  }
+
+  const at = new Date().toISOString();
+  // Checked again under the order's lock: a webhook or another staff member may have moved it since
+  const order = await updateOrder(existing.id, async (current) => {
+    assertTransition(current, status);
+    return {
+      ...current,
+      status,
+      items: status === "shipped" ? await withLots(current.items, { overwrite: true }) : current.items,
+      tracking: trackingNumber ? trackingInfo(carrier, trackingNumber) : current.tracking || null,
+      history: [
+        ...(current.history || []),
+        {
+          status,
+          at,
+          ...(actor ? { actor } : {}),
+          ...(trackingNumber ? { carrier: trackingInfo(carrier, trackingNumber).carrier, trackingNumber } : {}),
+          ...(note ? { note } : {}),
+        },
+      ],
+    };
+  });
+  if (!order) throw new FulfillmentError(`Order ${orderId} not found`, 404);
+
+  const dm = customerMessage(order);
+  if (dm && order.telegramUserId) {
+    await sendTelegramMessage(order.telegramUserId, dm);
+  }
+  await notifyGroup(groupMessage(order, actor));
+
+  return order;
+}
@@ -0,0 +1,292 @@
+/**
+ * Research-use-only guardrails around the assistants (/api/chat and the
+ * Telegram bot), so the policy doesn't rest on the system prompt alone.
+ *
+ *   screenInput(text)    before the model: questions about human dosing,
+ *                        administration or medical use get the standard
+ *                        refusal and never reach the model
+ *   screenOutput(text)   after the model: replies with dosing amounts,
+ *                        injection/administration instructions, prices that
+ *                        aren't ours or products we don't sell are replaced
+ *                        with the refusal
+ *
+ * Catalog prices and shipping rates are always allowed in replies; callers
+ * pass the amounts of the customer's own cart quote and looked-up orders
+ * (amountsIn) so totals, discounts and "away from free shipping" figures
+ * get through too.
+ *
+ * Every block is written to the "guardrail_audit" collection (lib/store.js)
+ * for staff to review and export through /api/admin/audit.
+ */
+
+import { getStore } from "./store.js";
+import { ITEMS, PRODUCTS } from "./catalog.js";
+import { MAX_QTY_PER_LINE } from "./cart.js";
+import { shippingRates } from "./shipping.js";
+import { CURRENCIES } from "./currency.js";
+import { resolveLanguage, t } from "./i18n.js";
+
+const AUDIT_COLLECTION = "guardrail_audit";
+
+export const REFUSAL = t("en", "assistant.refusal");
+
+/** The standard refusal in the customer's language (lib/i18n.js). */
+export function refusalFor(lang) {
+  return t(lang, "assistant.refusal");
+}
+
+const DOSE_UNIT = String.raw`(?:mg|mcg|µg|ug|iu|units?|ml|cc)`;
+
+// Incoming messages about using the products on people
+const INPUT_RULES = [
+  {
+    category: "dosing",
+    pattern: new RegExp(
+      String.raw`\b(?:how (?:much|many|often)|what(?:'s| is)? (?:the |a )?(?:right |best |starting |safe )?(?:dose|dosage))\b.{0,60}\b(?:take|inject|use|dose|run|start)\b` +
+        String.raw`|\b(?:dos(?:e|age|ing)|protocol|cycle|titrat\w*)\b.{0,40}\b(?:for (?:me|myself|humans?|people|weight loss|fat loss|my)|per (?:day|week)|i should)\b` +
+        String.raw`|\bshould i (?:take|inject|use|dose|start)\b`,
+      "i"
+    ),
+  },
+  {
+    category: "administration",
+    pattern: /\b(?:inject(?:ing)? (?:it|myself|this|into)|injection sites?|sub-?q|subcutaneous(?:ly)?|intramuscular(?:ly)?|\bIM\b shot|where (?:do|should) i inject|(?:take|swallow) (?:it )?orally|nasal spray for me)\b/i,
+  },
+  {
+    category: "medical",
+    pattern: /\b(?:is it safe (?:for me|to take|to inject)|side effects? (?:for me|if i)|(?:my|i have|treat(?:ing)?|cure)\s+(?:diabetes|obesity|cancer|depression|anxiety|injury|pain)|(?:with|on) my (?:medication|meds|prescription)|(?:i'?m|i am) (?:pregnant|breastfeeding)|lose weight with|for my (?:weight|health|condition))\b/i,
+  },
+];
+
+// Assistant replies that cross the line
+const OUTPUT_RULES = [
+  {
+    category: "dosing",
+    pattern: new RegExp(
+      // "5mg / vial" is a concentration; "5mg per week" is a dose
+      String.raw`\b\d+(?:\.\d+)?\s*${DOSE_UNIT}\s*(?:(?:\/|per|a|each|every)\s*(?:day|week|dose|kg|injection|shot)|once|twice|daily|weekly)\b` +
+        String.raw`|\b(?:starting|maintenance|typical|recommended)\s+dos(?:e|age)\b` +
+        String.raw`|\b(?:once|twice|three times) (?:a|per) (?:day|week)\b`,
+      "i"
+    ),
+  },
+  {
+    category: "administration",
+    // Instructions, not mentions: "I can't give injection advice" is fine
+    pattern: /\b(?:inject(?:ed|ing)?\s+(?:it|into|the|slowly|\d)|injection sites?|subcutaneous(?:ly)?|intramuscular(?:ly)?|sub-?q\b|administer(?:ed|ing)?\s+(?:it|the|\d|once|daily|weekly)|insulin syringe|pinch the skin|belly fat|take (?:it )?(?:orally|with food|on an empty stomach))/i,
+  },
+];
+
+// Compounds people ask about that we don't carry
+const NOT_STOCKED = /\b(?:semaglutide|tirzepatide|retatrutide|cagrilintide|liraglutide|ozempic|wegovy|mounjaro|zepbound|ipamorelin|sermorelin|tesamorelin|melanotan|kisspeptin|epithalon|epitalon|oxytocin|hgh|somatropin)\b/i;
+// Code-style peptide names (BPC-157, TB-500, CJC-1295, PT-141, MK-677 …)
+const CODE_NAME = /\b[A-Z]{2,5}-\d{2,4}[A-Z]?\b/g;
+
+const catalogNames = new Set(PRODUCTS.map((p) => p.name.toUpperCase()));
+// Generic class names the assistant may use when describing our products
+const GENERIC_NAMES = new Set(["GLP-1", "GLP-2", "GLP-3", "GIP-1"]);
+
+// Any price in any of our currencies; a reply quoting a euro price with a
+// dollar sign is rare enough not to check for
+const allowedCents = (() => {
+  const cents = new Set();
+  for (const currency of Object.keys(CURRENCIES)) {
+    const { flatRate, freeShippingThreshold } = shippingRates(currency);
+    cents.add(Math.round(flatRate * 100)).add(Math.round(freeShippingThreshold * 100));
+    for (const item of ITEMS) {
+      const price = item.prices[currency];
+      for (let qty = 1; qty <= MAX_QTY_PER_LINE; qty++) cents.add(Math.round(price * 100) * qty);
+    }
+  }
+  return cents;
+})();
+
+// Money fields of cart quotes (lib/cart.js priceOrder), shipping quotes and
+// orders (lib/orders.js publicOrder)
+const AMOUNT_KEYS = new Set(["price", "subtotal", "discount", "fee", "shippingFee", "amountToFree", "total"]);
+
+/**
+ * Collects the money amounts in a quote, an order or a tool result (nested
+ * objects, arrays and JSON strings are searched too), for screenOutput.
+ *
+ * @param {*} value
+ * @param {Set<number>} [into]   added to and returned
+ * @returns {Set<number>} amounts in major units
+ */
+export function amountsIn(value, into = new Set()) {
+  if (typeof value === "string") {
+    try {
+      return amountsIn(JSON.parse(value), into);
+    } catch {
+      return into;
+    }
+  }
+  if (Array.isArray(value)) {
+    for (const entry of value) amountsIn(entry, into);
+  } else if (value && typeof value === "object") {
+    for (const [key, entry] of Object.entries(value)) {
+      if (AMOUNT_KEYS.has(key) && typeof entry === "number") into.add(entry);
+      else amountsIn(entry, into);
+    }
+  }
+  return into;
+}
+
+function matchRules(text, rules) {
+  for (const { category, pattern } of rules) {
+    const match = pattern.exec(text);
+    if (match) return { blocked: true, category, match: match[0] };
+  }
+  return null;
+}
+
+/**
+ * @returns {{ blocked: boolean, category?: string, match?: string }}
+ */
+export function screenInput(text) {
+  return matchRules(String(text || ""), INPUT_RULES) || { blocked: false };
+}
+
+// "$44.99", "€41,99", "41,99 €", "1.234,50 €", "1 234,50 €" (grouped with a no-break space)
+const NUMBER = String.raw`\d{1,3}(?:[.,\u00a0\u202f]\d{3})*(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?`;
+const PRICE = new RegExp(String.raw`[$€£]\s?(${NUMBER})(?!\d)|(?<![\d.,])(${NUMBER})\s?[$€£]`, "g");
+
+const decimalSeparators = new Map();
+
+function decimalSeparator(language) {
+  const lang = resolveLanguage(language);
+  if (!decimalSeparators.has(lang)) {
+    decimalSeparators.set(lang, new Intl.NumberFormat(lang).formatToParts(1.5).find((part) => part.type === "decimal").value);
+  }
+  return decimalSeparators.get(lang);
+}
+
+/**
+ * Cents in a matched number. The last separator is the decimal point when
+ * it's the language's own or only one or two digits follow it (groups of
+ * thousands always have three); every other separator groups thousands.
+ */
+function priceCents(number, decimal) {
+  const digits = number.replace(/[\u00a0\u202f]/g, "");
+  const last = Math.max(digits.lastIndexOf("."), digits.lastIndexOf(","));
+  const point = last !== -1 && (digits[last] === decimal || digits.length - last - 1 <= 2) ? last : digits.length;
+  const whole = digits.slice(0, point).replace(/[.,]/g, "");
+  return Math.round(Number(`${whole}.${digits.slice(point + 1) || 0}`) * 100);
+}
+
+/**
+ * @param {string} text
+ * @param {{ amounts?: Iterable<number>, language?: string }} [options]
+ *   `amounts` are further amounts the reply may quote (see amountsIn);
+ *   `language` is the reply's, for its decimal separator ("41,99 €")
+ * @returns {{ blocked: boolean, category?: string, match?: string }}
+ */
+export function screenOutput(text, { amounts = [], language } = {}) {
+  const reply = String(text || "");
+  const rule = matchRules(reply, OUTPUT_RULES);
+  if (rule) return rule;
+
+  const known = new Set([...amounts].map((amount) => Math.round(amount * 100)));
+  const decimal = decimalSeparator(language);
+  for (const [price, before, after] of reply.matchAll(PRICE)) {
+    const cents = priceCents(before ?? after, decimal);
+    if (!allowedCents.has(cents) && !known.has(cents)) return { blocked: true, category: "off_catalog_price", match: price };
+  }
+
+  const notStocked = NOT_STOCKED.exec(reply);
+  if (notStocked) return { blocked: true, category: "off_catalog_product", match: notStocked[0] };
+  for (const [name] of reply.matchAll(CODE_NAME)) {
+    const upper = name.toUpperCase();
+    if (!catalogNames.has(upper) && !GENERIC_NAMES.has(upper)) {
+      return { blocked: true, category: "off_catalog_product", match: name };
+    }
+  }
+  return { blocked: false };
+}
+
+/**
+ * Screens a streamed reply as it arrives. Text is released to `emit` a
+ * sentence at a time, only after everything so far has passed
+ * screenOutput; once something fails nothing more is released.
+ *
+ * @param {(text: string) => void} emit
+ * @param {{ amounts?: Set<number>, language?: string }} [options]   passed on to screenOutput;
+ *   the set is read at every check, so amounts added later count
+ * @returns {{ push(delta: string): void, finish(): { text: string, verdict: object } }}
+ */
+export function createOutputGuard(emit, options = {}) {
+  let text = "";
+  let released = 0;
+  let verdict = { blocked: false };
+
+  function release(upTo) {
+    if (verdict.blocked || upTo <= released) return;
+    verdict = screenOutput(text.slice(0, upTo), options);
+    if (verdict.blocked) return;
+    emit(text.slice(released, upTo));
+    released = upTo;
+  }
+
+  return {
+    push(delta) {
+      text += delta;
+      const boundary = Math.max(text.lastIndexOf(". "), text.lastIndexOf("! "), text.lastIndexOf("? "), text.lastIndexOf("\n"));
+      if (boundary >= released) release(boundary + 1);
+    },
+    finish() {
+      release(text.length);
+      if (!verdict.blocked) verdict = screenOutput(text, options);
+      return { text, verdict };
+    },
+  };
+}
+
+/**
+ * Records a blocked exchange for review.
+ *
+ * @param {{ surface: "chat"|"bot", stage: "input"|"output", userId?, category, match, message, reply? }} entry
+ */
+export async function recordBlock({ surface, stage, userId, category, match, message, reply }) {
+  const at = new Date().toISOString();
+  const id = `GA-${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 5).toUpperCase()}`;
+  console.warn(`[Guardrails] Blocked ${stage} on ${surface} (${category}): ${JSON.stringify(match)}`);
+  return getStore().set(AUDIT_COLLECTION, id, {
+    id,
+    at,
+    surface,
+    stage,
+    userId: userId ? String(userId) : null,
+    category,
+    match,
+    message: String(message || "").slice(0, 2000),
+    reply: reply ? String(reply).slice(0, 4000) : null,
+    reviewed: false,
+    reviewedBy: null,
+    note: null,
+  });
+}
+
+/** Audit entries, newest first, optionally since an ISO date. */
+export async function listAudit({ since } = {}) {
+  const entries = await getStore().list(AUDIT_COLLECTION);
+  return entries
+    .filter((e) => !since || e.at >= since)
+    .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+export async function markReviewed(id, { reviewedBy, note } = {}) {
+  return getStore().update(AUDIT_COLLECTION, id, (current) =>
+    current ? { ...current, reviewed: true, reviewedBy: reviewedBy || "admin", note: note || current.note } : undefined
+  );
+}
+
+/** CSV export of audit entries for staff review. */
+export function auditCsv(entries) {
+  const columns = ["id", "at", "surface", "stage", "userId", "category", "match", "message", "reply", "reviewed", "reviewedBy", "note"];
+  const cell = (v) => {
+    // Customer text can start with =, +, - or @; don't let spreadsheets run it
+    const s = v == null ? "" : String(v).replace(/^[=+\-@]/, "'$&");
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns.join(","), ...entries.map((e) => columns.map((c) => cell(e[c])).join(","))].join("\n");
+}
@@ -0,0 +1,218 @@
+/**
+ * Human handoff: moves a customer from the AI assistant to staff in the
+ * Telegram group.
+ *
+ * A ticket is opened by /human in the bot, the "Talk to a human" button in
+ * the mini app chat, or the assistant's escalate_to_human tool. Opening one
+ * posts the conversation transcript to the staff group and pauses AI replies
+ * for that customer. While it's open, customer messages are forwarded to the
+ * group, and staff answer by replying to any forwarded message. Replies go
+ * back to the customer as a bot DM and show up in the mini app chat. Staff
+ * end the ticket by replying /close (or sending /close <ticket id>). The bot's
+ * messages to the customer use the language stored on the ticket.
+ *
+ * Tickets and the ticket index live in lib/store.js: group message id →
+ * ticket, and open-ticket:<userId> → the customer's open ticket, set when
+ * it opens and cleared on /close.
+ *
+ * Environment variables:
+ *   TELEGRAM_GROUP_CHAT_ID   staff group that receives tickets
+ */
+
+import { getStore } from "./store.js";
+import { telegramName } from "./auth.js";
+import { resolveLanguage, t } from "./i18n.js";
+import { appendTurns, getConversation } from "./conversations.js";
+import { sendTelegramMessage } from "./telegram.js";
+
+const COLLECTION = "handoff_tickets";
+const THREADS_COLLECTION = "handoff_threads";
+
+// Transcript lines posted to the group when a ticket opens
+const TRANSCRIPT_MESSAGES = 12;
+const TELEGRAM_TEXT_LIMIT = 4000;
+
+export class HandoffError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "HandoffError";
+    this.status = status;
+  }
+}
+
+function groupChatId() {
+  return process.env.TELEGRAM_GROUP_CHAT_ID || null;
+}
+
+export function isStaffGroup(chatId) {
+  return Boolean(groupChatId()) && String(chatId) === String(groupChatId());
+}
+
+const openKey = (telegramUserId) => `open-ticket:${telegramUserId}`;
+
+/** The customer's open ticket, if any; AI replies are paused while there is one. */
+export async function openTicketFor(telegramUserId) {
+  const store = getStore();
+  const entry = await store.get(THREADS_COLLECTION, openKey(telegramUserId));
+  const ticket = entry && (await store.get(COLLECTION, entry.ticketId));
+  return ticket?.status === "open" ? ticket : null;
+}
+
+/** Sends a message to the staff group and indexes it so replies find the ticket. */
+async function postToGroup(ticket, text) {
+  const result = await sendTelegramMessage(groupChatId(), text.slice(0, TELEGRAM_TEXT_LIMIT));
+  if (result.ok && result.result?.message_id) {
+    await getStore().set(THREADS_COLLECTION, result.result.message_id, { ticketId: ticket.id });
+  }
+  return result;
+}
+
+function customerLabel(ticket) {
+  return `${ticket.name || "Customer"}${ticket.username ? ` (@${ticket.username})` : ""} · id ${ticket.userId}`;
+}
+
+/**
+ * Opens a ticket (or returns the customer's open one) and forwards the
+ * transcript to the staff group.
+ *
+ * @param {object} user     verified Telegram user ({ id, first_name, username, … })
+ * @param {{ via: "bot"|"app"|"assistant", reason?: string, language?: string }} options
+ *   `language` is the customer's language, defaulting to their Telegram one
+ * @returns {Promise<{ ticket: object, created: boolean }>}
+ * @throws {HandoffError} when there's no staff group to hand off to
+ */
+export async function openTicket(user, { via, reason = "", language } = {}) {
+  if (!groupChatId()) throw new HandoffError("Human support isn't available right now", 503);
+
+  const now = new Date().toISOString();
+  const ticket = {
+    id: `HT-${(Date.now().toString(36) + Math.random().toString(36).slice(2, 4)).toUpperCase()}`,
+    userId: String(user.id),
+    name: telegramName(user),
+    username: user.username || null,
+    language: resolveLanguage(language || user.language_code),
+    via,
+    reason: String(reason).slice(0, 300),
+    status: "open",
+    openedAt: now,
+    closedAt: null,
+    closedBy: null,
+    messages: [],
+  };
+  // Claimed under the store lock, so /human and the app button at once open one ticket
+  const store = getStore();
+  let existing = null;
+  await store.update(THREADS_COLLECTION, openKey(ticket.userId), async (current) => {
+    existing = await openTicketFor(ticket.userId);
+    if (existing) return current;
+    await store.set(COLLECTION, ticket.id, ticket);
+    return { ticketId: ticket.id };
+  });
+  if (existing) return { ticket: existing, created: false };
+
+  const conversation = await getConversation(user.id);
+  const transcript = (conversation?.messages || [])
+    .slice(-TRANSCRIPT_MESSAGES)
+    .map((m) => `${m.role === "user" ? "👤" : "🤖"} ${m.content}`)
+    .join("\n\n");
+
+  await postToGroup(
+    ticket,
+    [
+      `🙋 Handoff ${ticket.id} — ${customerLabel(ticket)}`,
+      `Opened from: ${via === "assistant" ? "assistant escalation" : via === "app" ? "mini app" : "bot /human"}`,
+      ticket.reason ? `Reason: ${ticket.reason}` : null,
+      conversation?.summary ? `\nEarlier (summary):\n${conversation.summary}` : null,
+      `\n${transcript || "(no conversation yet)"}`,
+      `\n↩️ Reply to this message to answer the customer. Reply /close when done.`,
+    ]
+      .filter((line) => line !== null)
+      .join("\n")
+  );
+
+  return { ticket, created: true };
+}
+
+/** Forwards a customer message to the group while their ticket is open. */
+export async function forwardCustomerMessage(ticket, text, source) {
+  const at = new Date().toISOString();
+  await getStore().update(COLLECTION, ticket.id, (current) =>
+    current ? { ...current, messages: [...current.messages, { from: "customer", text, at }] } : undefined
+  );
+  await appendTurns(ticket.userId, [{ role: "user", content: text }], { source });
+  await postToGroup(ticket, `👤 ${customerLabel(ticket)} [${ticket.id}]:\n${text}`);
+}
+
+async function closeTicket(ticket, staff) {
+  const closed = await getStore().update(COLLECTION, ticket.id, (current) =>
+    current && current.status === "open"
+      ? { ...current, status: "closed", closedAt: new Date().toISOString(), closedBy: telegramName(staff) || String(staff?.id || "") }
+      : undefined
+  );
+  const entry = await getStore().get(THREADS_COLLECTION, openKey(ticket.userId));
+  if (entry?.ticketId === ticket.id) await getStore().delete(THREADS_COLLECTION, openKey(ticket.userId));
+  await sendTelegramMessage(ticket.userId, t(ticket.language, "bot.handoff.closed"));
+  return closed;
+}
+
+/**
+ * Handles a message posted in the staff group.
+ *
+ * @returns {Promise<string|null>} confirmation to post back in the group, or
+ *   null when the message wasn't meant for a ticket
+ */
+export async function handleStaffMessage(message) {
+  const text = message.text.trim();
+  const store = getStore();
+
+  // "/close HT-…" works without replying
+  const closeById = /^\/close(?:@\w+)?\s+(HT-[A-Z0-9]+)$/i.exec(text);
+  if (closeById) {
+    const ticket = await store.get(COLLECTION, closeById[1].toUpperCase());
+    if (!ticket || ticket.status !== "open") return `No open ticket ${closeById[1].toUpperCase()}.`;
+    await closeTicket(ticket, message.from);
+    return `✅ ${ticket.id} closed.`;
+  }
+
+  const repliedTo = message.reply_to_message?.message_id;
+  if (!repliedTo) return null;
+  const thread = await store.get(THREADS_COLLECTION, repliedTo);
+  if (!thread) return null;
+  const ticket = await store.get(COLLECTION, thread.ticketId);
+  if (!ticket) return null;
+  if (ticket.status !== "open") return `${ticket.id} is already closed.`;
+
+  if (/^\/close(?:@\w+)?$/i.test(text)) {
+    await closeTicket(ticket, message.from);
+    return `✅ ${ticket.id} closed.`;
+  }
+
+  const staffName = message.from?.first_name || "Support";
+  const at = new Date().toISOString();
+  await store.update(COLLECTION, ticket.id, (current) =>
+    current ? { ...current, messages: [...current.messages, { from: "staff", staff: staffName, text, at }] } : undefined
+  );
+  await appendTurns(ticket.userId, [{ role: "assistant", content: `(${staffName}, support team) ${text}` }], {
+    source: "staff",
+  });
+  const dm = await sendTelegramMessage(ticket.userId, t(ticket.language, "bot.handoff.reply", { name: staffName, text }));
+  // The bot can't DM customers who never started it; they still see it in the mini app
+  return dm.ok ? null : `ℹ️ Couldn't DM the customer; they'll see the reply in the mini app chat.`;
+}
+
+/** The part of a ticket the customer's mini app sees. */
+export function publicTicket(ticket) {
+  if (!ticket) return null;
+  return {
+    id: ticket.id,
+    status: ticket.status,
+    openedAt: ticket.openedAt,
+    messages: ticket.messages.filter((m) => m.from === "staff").map(({ staff, text, at }) => ({ staff, text, at })),
+  };
+}
+
+/** The customer's open ticket, or their most recent one, for the mini app. */
+export async function latestTicketFor(telegramUserId) {
+  const tickets = (await getStore().list(COLLECTION)).filter((t) => t.userId === String(telegramUserId));
+  return tickets.sort((a, b) => b.openedAt.localeCompare(a.openedAt))[0] || null;
+}
@@ -0,0 +1,64 @@
+/**
+ * Translation bundles for the bot, the assistants and the mini app.
+ *
+ * Each language is a flat key → string map in lib/locales/. English is the
+ * complete bundle; the others may leave keys out, and t() falls back to
+ * English (then to the key itself) so a missing translation never breaks a
+ * reply. Strings use {name} placeholders. The mini app gets its "app.*" keys
+ * from /api/i18n.
+ *
+ * The language is resolved from the Telegram user's language_code
+ * ("de", "pt-br", …) or the mini app's selector.
+ */
+
+import en from "./locales/en.js";
+import de from "./locales/de.js";
+import fr from "./locales/fr.js";
+import es from "./locales/es.js";
+
+const BUNDLES = { en, de, fr, es };
+
+export const DEFAULT_LANGUAGE = "en";
+
+// Shown in the mini app's selector and named in the assistants' prompts
+export const LANGUAGES = {
+  en: { name: "English", native: "English" },
+  de: { name: "German", native: "Deutsch" },
+  fr: { name: "French", native: "Français" },
+  es: { name: "Spanish", native: "Español" },
+};
+
+/** @returns {string} a language we have a bundle for ("de-AT" → "de", "ja" → "en") */
+export function resolveLanguage(code) {
+  const base = String(code || "").trim().toLowerCase().split(/[-_]/)[0];
+  return BUNDLES[base] ? base : DEFAULT_LANGUAGE;
+}
+
+/** English name of a language, for "Reply in German." in system prompts. */
+export function languageName(lang) {
+  return LANGUAGES[resolveLanguage(lang)].name;
+}
+
+function interpolate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match).toString());
+}
+
+/**
+ * @param {string} lang   language code, resolved with resolveLanguage()
+ * @param {string} key    e.g. "bot.help"
+ * @param {Record<string, string|number>} [vars]   {placeholder} values
+ */
+export function t(lang, key, vars = {}) {
+  const text = BUNDLES[resolveLanguage(lang)][key] ?? en[key] ?? key;
+  return interpolate(text, vars);
+}
+
+/** The mini app's strings for a language, English filled in where missing. */
+export function appStrings(lang) {
+  const bundle = BUNDLES[resolveLanguage(lang)];
+  const strings = {};
+  for (const key of Object.keys(en)) {
+    if (key.startsWith("app.")) strings[key.slice(4)] = bundle[key] ?? en[key];
+  }
+  return strings;
+}
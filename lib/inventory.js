@@ -0,0 +1,179 @@
+/**
+ * Stock on hand per catalog variant, persisted through lib/store.js.
+ *
+ * Variants without a stock record are treated as untracked (always
+ * available) so new catalog entries don't sell out by accident.
+ *
+ * While a Stripe Checkout Session is open its quantities are held, so two
+ * customers can't both pay for the last vial. reserveStock() checks what's
+ * available and places the hold under one store lock, so two checkouts
+ * starting together can't both hold it either. Holds are released when the
+ * session is paid (and stock is decremented), expires or its delayed payment
+ * fails; each hold also carries an expiry so a lost webhook can't pin stock
+ * forever.
+ *
+ * Optional environment variables:
+ *   LOW_STOCK_THRESHOLD   available units at or below which an item shows
+ *                         as low stock (default 5)
+ */
+
+import { getStore } from "./store.js";
+import { ITEMS } from "./catalog.js";
+
+const COLLECTION = "inventory";
+const HOLDS_COLLECTION = "stock_holds";
+// One record whose update() lock serializes reservations
+const RESERVATIONS_COLLECTION = "stock_reservations";
+
+export function lowStockThreshold() {
+  return Number(process.env.LOW_STOCK_THRESHOLD) || 5;
+}
+
+/** @returns {Promise<{ variantId, onHand, updatedAt, updatedBy? } | null>} */
+export async function getStock(variantId) {
+  return getStore().get(COLLECTION, Number(variantId));
+}
+
+export async function listStock() {
+  return getStore().list(COLLECTION);
+}
+
+export async function setStock(variantId, onHand, { actor } = {}) {
+  if (!Number.isInteger(onHand) || onHand < 0) {
+    throw new Error("Stock must be a whole number of at least 0");
+  }
+  return getStore().update(COLLECTION, Number(variantId), (current) => ({
+    ...(current || {}),
+    variantId: Number(variantId),
+    onHand,
+    updatedAt: new Date().toISOString(),
+    ...(actor ? { updatedBy: actor } : {}),
+  }));
+}
+
+async function activeHolds(now = Date.now()) {
+  const holds = await getStore().list(HOLDS_COLLECTION);
+  return holds.filter((h) => h && new Date(h.expiresAt).getTime() > now);
+}
+
+/**
+ * Availability of every catalog variant.
+ *
+ * @returns {Promise<Map<number, { state: "in_stock"|"low_stock"|"sold_out", available: number|null }>>}
+ *   `available` is null for untracked variants.
+ */
+export async function availabilityMap({ excludeHold } = {}) {
+  const [stock, holds] = await Promise.all([listStock(), activeHolds()]);
+  const held = new Map();
+  for (const hold of holds) {
+    if (hold.sessionId === excludeHold) continue;
+    for (const line of hold.lines) held.set(line.id, (held.get(line.id) || 0) + line.qty);
+  }
+
+  const byId = new Map(stock.filter(Boolean).map((s) => [s.variantId, s]));
+  const result = new Map();
+  for (const item of ITEMS) {
+    const record = byId.get(item.id);
+    if (!record) {
+      result.set(item.id, { state: "in_stock", available: null });
+      continue;
+    }
+    const available = Math.max(0, record.onHand - (held.get(item.id) || 0));
+    result.set(item.id, {
+      state: available === 0 ? "sold_out" : available <= lowStockThreshold() ? "low_stock" : "in_stock",
+      available,
+    });
+  }
+  return result;
+}
+
+/**
+ * Lines that can't be filled right now.
+ *
+ * @param {Array<{ id, name, conc, qty }>} lines
+ * @param {{ excludeHold?: string }} [options]  ignore this checkout's own hold
+ * @returns {Promise<Array<{ line, available: number }>>}
+ */
+export async function unavailableLines(lines, { excludeHold } = {}) {
+  const availability = await availabilityMap({ excludeHold });
+  return lines
+    .map((line) => ({ line, available: availability.get(line.id)?.available ?? null }))
+    .filter(({ line, available }) => available !== null && line.qty > available);
+}
+
+/**
+ * Holds stock for an open checkout until `expiresAt`, if the shelf can still
+ * fill it once other checkouts' holds are counted (the checkout's own earlier
+ * hold isn't).
+ *
+ * @param {string} holdId   session or invoice id
+ * @param {Array<{ id, qty }>} lines
+ * @param {number} expiresAt   ms since the epoch
+ * @returns {Promise<Array<{ line, available: number }>>} the lines that
+ *   couldn't be filled; nothing is held unless this is empty
+ */
+export async function reserveStock(holdId, lines, expiresAt) {
+  let short = [];
+  await getStore().update(RESERVATIONS_COLLECTION, "all", async (current) => {
+    short = await unavailableLines(lines, { excludeHold: holdId });
+    if (short.length) return undefined;
+    await holdStock(holdId, lines, expiresAt);
+    return { ...(current || {}), lastHold: holdId, at: new Date().toISOString() };
+  });
+  return short;
+}
+
+/**
+ * Holds stock for an open Checkout Session until `expiresAt`, whatever is
+ * available. For extending a hold that reserveStock() placed.
+ */
+export async function holdStock(sessionId, lines, expiresAt) {
+  return getStore().set(HOLDS_COLLECTION, sessionId, {
+    sessionId,
+    lines: lines.map(({ id, qty }) => ({ id, qty })),
+    expiresAt: new Date(expiresAt).toISOString(),
+    createdAt: new Date().toISOString(),
+  });
+}
+
+export async function releaseHold(sessionId) {
+  return getStore().delete(HOLDS_COLLECTION, sessionId);
+}
+
+/**
+ * Takes paid quantities off the shelf and drops the checkout's hold.
+ * Untracked variants are skipped.
+ */
+export async function commitStock(sessionId, lines) {
+  const store = getStore();
+  for (const { id, qty } of lines) {
+    await store.update(COLLECTION, Number(id), (current) =>
+      current ? { ...current, onHand: Math.max(0, current.onHand - qty), updatedAt: new Date().toISOString() } : undefined
+    );
+  }
+  await releaseHold(sessionId);
+}
+
+/**
+ * Puts taken quantities back on the shelf, for an order whose stock was
+ * committed but which was never paid. Untracked variants are skipped.
+ */
+export async function returnStock(lines) {
+  const store = getStore();
+  for (const { id, qty } of lines) {
+    await store.update(COLLECTION, Number(id), (current) =>
+      current ? { ...current, onHand: current.onHand + qty, updatedAt: new Date().toISOString() } : undefined
+    );
+  }
+}
+
+/** One-line availability summary per product for the assistants' prompts. */
+export async function availabilityPromptLines() {
+  const availability = await availabilityMap();
+  const label = { in_stock: "in stock", low_stock: "low stock", sold_out: "SOLD OUT" };
+  return ITEMS.map((i) => {
+    const a = availability.get(i.id);
+    const detail = a.state === "low_stock" ? ` (${a.available} left)` : "";
+    return `- ${i.name} ${i.size}: ${label[a.state]}${detail}`;
+  }).join("\n");
+}
@@ -0,0 +1,211 @@
+/**
+ * Chat-completion providers shared by /api/chat and the Telegram bot.
+ *
+ * Every provider has the same two calls:
+ *   complete(request)          → { text, toolCalls }
+ *   stream(request, onText)    → { text, toolCalls }, calling onText(delta)
+ *                                as text arrives
+ * where request = { messages, tools?, user? } in OpenAI message format and
+ * toolCalls = [{ id, type: "function", function: { name, arguments } }].
+ *
+ * Providers:
+ *   openai   any OpenAI-compatible /chat/completions endpoint (OpenAI itself,
+ *            or a self-hosted model behind LLM_BASE_URL)
+ *   stub     scripted replies with no network, for exercising the chat and
+ *            bot flows end-to-end (see stubProvider below)
+ *
+ * Optional environment variables:
+ *   LLM_PROVIDER      openai (default) | stub
+ *   LLM_BASE_URL      default https://api.openai.com/v1
+ *   LLM_API_KEY       falls back to OPENAI_API_KEY; optional when LLM_BASE_URL
+ *                     points somewhere else
+ *   LLM_MODEL         default gpt-4o
+ *   LLM_MAX_TOKENS    default 500
+ *   LLM_TEMPERATURE   default 0.7
+ *   LLM_STUB_SCRIPT   stub rules as JSON, or a path to a JSON file
+ */
+
+import { readFileSync } from "fs";
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+export function llmConfig() {
+  const baseUrl = (process.env.LLM_BASE_URL || OPENAI_BASE_URL).replace(/\/+$/, "");
+  return {
+    provider: (process.env.LLM_PROVIDER || "openai").toLowerCase(),
+    baseUrl,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || "",
+    model: process.env.LLM_MODEL || "gpt-4o",
+    maxTokens: Number(process.env.LLM_MAX_TOKENS) || 500,
+    temperature: process.env.LLM_TEMPERATURE != null && process.env.LLM_TEMPERATURE !== ""
+      ? Number(process.env.LLM_TEMPERATURE)
+      : 0.7,
+    customEndpoint: baseUrl !== OPENAI_BASE_URL,
+  };
+}
+
+/**
+ * The provider selected by the environment, or null when it isn't usable
+ * (e.g. OpenAI without an API key). Callers treat null as "AI not configured".
+ */
+export function getProvider(config = llmConfig()) {
+  if (config.provider === "stub") return stubProvider(loadStubScript());
+  if (config.provider === "openai") {
+    if (!config.apiKey && !config.customEndpoint) return null;
+    return openAICompatibleProvider(config);
+  }
+  console.error(`[LLM] Unknown LLM_PROVIDER "${config.provider}"`);
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// OpenAI-compatible adapter
+
+export function openAICompatibleProvider({ baseUrl, apiKey, model, maxTokens, temperature }) {
+  async function post(request, stream) {
+    const res = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages: request.messages,
+        ...(request.tools?.length ? { tools: request.tools } : {}),
+        stream,
+        ...(request.user ? { user: request.user } : {}),
+        max_tokens: maxTokens,
+        temperature,
+      }),
+    });
+
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.error?.message || `LLM request failed (${res.status})`);
+    }
+    return res;
+  }
+
+  return {
+    name: "openai",
+    model,
+
+    async complete(request) {
+      const data = await (await post(request, false)).json();
+      const message = data.choices?.[0]?.message || {};
+      return { text: message.content || "", toolCalls: message.tool_calls || [] };
+    },
+
+    async stream(request, onText) {
+      const res = await post(request, true);
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      const toolCalls = [];
+      let text = "";
+      let buffered = "";
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        // SSE lines can be split across network chunks
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith("data: ")) continue;
+          const data = line.slice(6);
+          if (data === "[DONE]") continue;
+          try {
+            const delta = JSON.parse(data).choices?.[0]?.delta || {};
+            if (delta.content) {
+              text += delta.content;
+              onText(delta.content);
+            }
+            // Tool call arguments arrive in fragments keyed by index
+            for (const part of delta.tool_calls || []) {
+              const call = (toolCalls[part.index] ??= { id: "", type: "function", function: { name: "", arguments: "" } });
+              if (part.id) call.id = part.id;
+              if (part.function?.name) call.function.name += part.function.name;
+              if (part.function?.arguments) call.function.arguments += part.function.arguments;
+            }
+          } catch (e) {
+            // Skip malformed chunks
+          }
+        }
+      }
+
+      return { text, toolCalls: toolCalls.filter(Boolean) };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Scripted stub
+
+function loadStubScript() {
+  const source = process.env.LLM_STUB_SCRIPT;
+  if (!source) return [];
+  try {
+    return JSON.parse(source.trim().startsWith("[") ? source : readFileSync(source, "utf8"));
+  } catch (err) {
+    console.error("[LLM] Could not load LLM_STUB_SCRIPT:", err.message);
+    return [];
+  }
+}
+
+function lastUserText(messages) {
+  const last = [...messages].reverse().find((m) => m.role === "user");
+  return typeof last?.content === "string" ? last.content : "";
+}
+
+/**
+ * Deterministic provider driven by rules, checked in order against the
+ * latest user message:
+ *
+ *   [{ "match": "add .*10mg", "tool": { "name": "add_to_cart", "arguments": { "item_id": 2 } },
+ *      "reply": "Added GLP-1S 10mg to your cart." },
+ *    { "match": "shipping", "reply": "Orders ship same day before 2PM CST." }]
+ *
+ * A rule with `tool` first answers with that tool call (when tools are
+ * offered), then with `reply` once the tool result is in. With no matching
+ * rule the stub echoes the message, so flows still run unscripted.
+ */
+export function stubProvider(script = []) {
+  function respond({ messages, tools }) {
+    const userText = lastUserText(messages);
+    const rule = script.find((r) => new RegExp(r.match || "", "i").test(userText));
+    const afterTool = messages[messages.length - 1]?.role === "tool";
+
+    if (rule?.tool && tools?.length && !afterTool) {
+      const calls = messages.filter((m) => m.role === "assistant" && m.tool_calls).length;
+      return {
+        text: "",
+        toolCalls: [{
+          id: `stub_call_${calls + 1}`,
+          type: "function",
+          function: { name: rule.tool.name, arguments: JSON.stringify(rule.tool.arguments || {}) },
+        }],
+      };
+    }
+    return { text: rule?.reply ?? `(stub) You said: ${userText}`, toolCalls: [] };
+  }
+
+  return {
+    name: "stub",
+    model: "stub",
+
+    async complete(request) {
+      return respond(request);
+    },
+
+    async stream(request, onText) {
+      const result = respond(request);
+      // Word-sized deltas, like a real stream
+      for (const piece of result.text.match(/\S+\s*/g) || []) onText(piece);
+      return result;
+    },
+  };
+}
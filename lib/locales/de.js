@@ -0,0 +1,231 @@
+/**
+ * German. Missing keys fall back to English (lib/locales/en.js).
+ */
+
+export default {
+  "bot.welcome.greeting": "👋 Hallo {name}! Willkommen bei Rapid Research Co.",
+  "bot.welcome.intro": "Ich bin dein KI-Assistent. Ich helfe dir bei:\n• Produktinformationen & Preisen\n• Reinheitsangaben & Analysezertifikaten (COA)\n• Fragen zu Versand & Bestellungen",
+  "bot.welcome.shop": "Du kannst auch direkt in unserer Mini-App stöbern und bestellen 🧪",
+  "bot.welcome.product": "Tippe unten, um {product} im Shop anzusehen 🧪",
+  "bot.welcome.promo": "Der Code {code} wird auf deinen Warenkorb angewendet.",
+  "bot.welcome.ask": "Wobei kann ich dir heute helfen?",
+  "bot.button.shop": "🛍 Shop öffnen",
+  "bot.button.product": "🛍 {product} ansehen",
+  "bot.button.inline": "🛍 Im Shop öffnen",
+  "bot.button.cart": "🛍 Zurück zum Warenkorb",
+  "bot.products.footer": "Alle Produkte mit ≥97–99 % Reinheit und COA.",
+  "bot.products.order": "Bestellen über die Mini-App: {url}",
+  "bot.help":
+    "ℹ️ Verfügbare Befehle:\n\n/start — Begrüßung\n/products — Vollständiger Katalog mit Preisen\n/coa <Produkt> — Analysezertifikat der aktuellen Charge\n/reset — Neues Gespräch beginnen\n/stop — Keine Warenkorb-Erinnerungen mehr\n/human — Mit einer Person aus unserem Team sprechen\n/help — Diese Hilfe\n\nOder frag mich einfach alles zu unseren Produkten, zum Versand oder zu COAs!",
+  "bot.reset": "🧹 Gespräch gelöscht. Wobei kann ich dir helfen?",
+  "bot.stop": "🔕 Erledigt — du bekommst keine Warenkorb-Erinnerungen mehr.",
+  "bot.coa.which": "Welches Produkt? Zum Beispiel: /coa GHK-Cu 100mg",
+  "bot.coa.noMatch": "Kein Produkt passt zu „{query}“. Sende /products für den Katalog.",
+  "bot.coa.none": "Für die aktuelle Charge von {product} liegt noch kein COA vor. Sende /human, dann meldet sich unser Team.",
+  "bot.coa.caption": "📄 COA — {item}\nCharge {lot} · {purity} % Reinheit ({method})",
+  "bot.handoff.opened": "🙋 Ich habe dich an unser Support-Team weitergeleitet — eine Person antwortet dir hier. Der KI-Assistent pausiert so lange.",
+  "bot.handoff.alreadyOpen": "Du bist bereits mit unserem Team verbunden — es antwortet dir hier in Kürze.",
+  "bot.handoff.failed": "Entschuldigung — {error}. Bitte versuche es später noch einmal.",
+  "bot.handoff.closed": "✅ Unser Team hat dieses Gespräch beendet. Der KI-Assistent ist wieder da — sende jederzeit /human, um wieder mit einem Menschen zu sprechen.",
+  "bot.handoff.reply": "👤 {name} (Rapid Research Support):\n{text}",
+  "bot.aiUnavailable": "Der KI-Assistent ist leider vorübergehend nicht verfügbar. Schau in unserer Mini-App vorbei oder versuche es später noch einmal.",
+  "bot.inline.soldOut": "ausverkauft",
+  "bot.inline.researchOnly": "Nur für die Laborforschung.",
+  "bot.reminder.title": "🛒 In deinem Warenkorb liegt noch etwas:",
+  "bot.reminder.subtotal": "Zwischensumme: {amount}",
+  "bot.reminder.cta": "Tippe unten, um dort weiterzumachen, wo du aufgehört hast. Sende /stop, wenn du keine Erinnerungen mehr möchtest.",
+  "bot.payment.confirmed": "✅ Vielen Dank! Bestellung {id} ist bestätigt ({total}). Wir melden uns hier, sobald sie versendet wird.",
+  "bot.order.shipped": "📦 Deine Bestellung {id} wurde versendet!",
+  "bot.order.tracking": "Versanddienst: {carrier}\nSendungsnummer: {number}",
+  "bot.order.trackLink": "Sendung verfolgen: {url}",
+  "bot.order.inTransit": "🚚 Deine Bestellung {id} ist unterwegs.",
+  "bot.order.inTransitWith": "🚚 Deine Bestellung {id} ist mit {carrier} unterwegs ({number}).",
+  "bot.order.delivered": "✅ Deine Bestellung {id} wurde zugestellt. Danke, dass du dich für Rapid Research Co entschieden hast!",
+
+  "assistant.refusal":
+    "Dabei kann ich nicht helfen. Alle Produkte von Rapid Research sind ausschließlich für die Laborforschung bestimmt, daher gebe ich keine Hinweise zu Dosierung, Anwendung oder medizinischen Fragen. Gerne helfe ich bei Produktdaten, Reinheit und COAs, Preisen oder Versand.",
+
+  "cart.currency": "Wir verkaufen nicht in {currency}",
+  "cart.empty": "Dein Warenkorb ist leer",
+  "cart.tooManyLines": "Dein Warenkorb darf höchstens {max} Positionen haben",
+  "cart.unknownProduct": "Unbekannte Produkt-ID: {id}",
+  "cart.quantity": "Die Menge für {item} muss eine ganze Zahl von 1 bis {max} sein",
+  "cart.notInCurrency": "{item} ist in {currency} nicht erhältlich",
+  "cart.soldOut": "{item} ist ausverkauft",
+  "cart.onlyLeft": "Nur noch {available} × {item} auf Lager",
+  "promo.invalid": "Dieser Code ist ungültig.",
+  "promo.notYet": "Dieser Code ist noch nicht aktiv.",
+  "promo.expired": "Dieser Code ist abgelaufen.",
+  "promo.currency": "Dieser Code gilt nicht für Preise in {currency}.",
+  "promo.minSubtotal": "Für diesen Code brauchst du eine Zwischensumme von mindestens {amount}.",
+  "promo.notEligible": "Dieser Code gilt für keinen Artikel in deinem Warenkorb.",
+  "promo.limit": "Dieser Code wurde bereits zu oft eingelöst.",
+  "promo.applied": "{label} angewendet!",
+  "promo.percentOff": "{value} % Rabatt",
+  "promo.amountOff": "{amount} Rabatt",
+  "promo.freeShipping": "Kostenloser Versand",
+  "shipping.free": "Kostenloser Versand",
+  "shipping.standard": "Standardversand",
+  "invoice.title": "Rapid Research Bestellung",
+  "invoice.researchOnly": "Nur für Forschungszwecke.",
+  "invoice.promo": "Gutschein {code}",
+  "invoice.shipping": "Versand",
+  "invoice.expired": "Dieser Checkout ist abgelaufen. Bitte starte erneut über deinen Warenkorb.",
+  "invoice.alreadyPaid": "Diese Bestellung wurde bereits bezahlt.",
+  "invoice.amountMismatch": "Der Betrag passt nicht zu deiner Bestellung. Bitte starte erneut über deinen Warenkorb.",
+  "invoice.priceChanged": "Die Preise haben sich seit dem Start des Checkouts geändert. Bitte prüfe deinen Warenkorb und versuche es erneut.",
+  "invoice.cartProblem": "{error}. Bitte passe deinen Warenkorb an und versuche es erneut.",
+  "invoice.unavailable": "Wir konnten deine Bestellung gerade nicht bestätigen. Bitte versuche es erneut.",
+
+  "app.age.sub": "Forschungsprodukte",
+  "app.age.title": "Willkommen bei Rapid Research",
+  "app.age.text": "Hochwertiger Bedarf für die Peptidforschung. Bitte bestätige Folgendes, um fortzufahren.",
+  "app.age.adult": "Ich bin mindestens <strong>18 Jahre alt</strong>",
+  "app.age.terms": "Ich akzeptiere die <strong>AGB</strong> von Rapid Research Co.",
+  "app.age.research": "Diese Produkte sind <strong>nur für die Laborforschung</strong> bestimmt und nicht zum menschlichen Verzehr.",
+  "app.age.enter": "Shop betreten",
+  "app.nav.shop": "Shop",
+  "app.nav.orders": "Bestellungen",
+  "app.banner.tagline": "FORSCHUNGSPRODUKTE",
+  "app.banner.inStock": "Auf Lager",
+  "app.banner.restocking": "Wird nachgefüllt",
+  "app.stat.pure": "Rein",
+  "app.stat.quality": "Qualität",
+  "app.stat.fast": "Schnell",
+  "app.stat.shipping": "Versand",
+  "app.stat.eco": "Öko",
+  "app.stat.friendly": "Freundlich",
+  "app.search.placeholder": "Suche z. B. GHK-Cu, TB500",
+  "app.sort.featured": "Empfohlen",
+  "app.sort.priceAsc": "Preis: aufsteigend",
+  "app.sort.priceDesc": "Preis: absteigend",
+  "app.sort.popular": "Beliebt",
+  "app.sort.newest": "Neueste",
+  "app.price.under": "Unter {amount}",
+  "app.price.between": "{from}–{to}",
+  "app.price.over": "ab {amount}",
+  "app.filter.grouped": "Größen gruppieren",
+  "app.section.all": "Alle",
+  "app.section.results": "Ergebnisse",
+  "app.count.one": "{n} Artikel",
+  "app.count.other": "{n} Artikel",
+  "app.empty.title": "Keine Treffer",
+  "app.empty.text": "Versuche eine andere Suche oder {clear}",
+  "app.empty.clear": "setze die Filter zurück",
+  "app.badge.soldOut": "AUSVERKAUFT",
+  "app.badge.left": "NUR NOCH {n}",
+  "app.badge.new": "NEU",
+  "app.badge.popular": "BELIEBT",
+  "app.card.purity": "Reinheit: {purity} % {method}",
+  "app.card.quality": "Qualität: {purity}",
+  "app.orders.loading": "Bestellungen werden geladen…",
+  "app.orders.empty": "Noch keine Bestellungen",
+  "app.orders.emptyText": "Hier erscheinen deine Bestellungen",
+  "app.orders.confirming": "Bestellung wird bestätigt…",
+  "app.orders.pending": "Bestellung {id} wird bestätigt und erscheint gleich hier",
+  "app.orders.paidStripe": "Bezahlt über Stripe",
+  "app.orders.lot": "Charge {lot}",
+  "app.step.confirmed": "Bestätigt",
+  "app.step.shipped": "Versendet",
+  "app.step.inTransit": "Unterwegs",
+  "app.step.delivered": "Zugestellt",
+  "app.status.processing": "⏳ In Bearbeitung",
+  "app.status.awaitingPayment": "⏳ Zahlung ausstehend",
+  "app.status.shipped": "📦 Versendet",
+  "app.status.inTransit": "🚚 Unterwegs",
+  "app.status.delivered": "✅ Zugestellt",
+  "app.status.paymentFailed": "❌ Zahlung fehlgeschlagen",
+  "app.status.refunded": "↩️ Erstattet",
+  "app.status.partiallyRefunded": "↩️ Teilweise erstattet",
+  "app.status.disputed": "⚠️ In Prüfung",
+  "app.cart.view": "Warenkorb ({n})",
+  "app.cart.title": "Deine Bestellung",
+  "app.cart.changed": "Seit dem Speichern geändert",
+  "app.cart.removed": "{name} ist nicht mehr erhältlich und wurde entfernt.",
+  "app.cart.anItem": "Ein Artikel",
+  "app.cart.soldOut": "{name} ist ausverkauft und wurde entfernt.",
+  "app.cart.repriced": "{name} kostet jetzt {price} (vorher {was}).",
+  "app.cart.lowered": "Nur noch {n} × {name} verfügbar, deshalb wurde die Menge reduziert.",
+  "app.close": "Schließen",
+  "app.ok": "OK",
+  "app.promo.placeholder": "Gutscheincode",
+  "app.promo.apply": "Einlösen",
+  "app.promo.remove": "Entfernen",
+  "app.ship.title": "Versanddaten",
+  "app.ship.back": "‹ Zurück zum Warenkorb",
+  "app.ship.name": "Vollständiger Name",
+  "app.ship.email": "E-Mail",
+  "app.ship.country": "Land",
+  "app.ship.address": "Straße und Hausnummer",
+  "app.ship.address2": "Adresszusatz (optional)",
+  "app.ship.city": "Ort",
+  "app.ship.state": "Bundesland",
+  "app.ship.zip": "Postleitzahl",
+  "app.ship.errName": "Gib den vollständigen Namen des Empfängers ein",
+  "app.ship.errEmail": "Gib eine gültige E-Mail-Adresse ein",
+  "app.ship.errAddress": "Gib Straße und Hausnummer ein",
+  "app.ship.errCity": "Gib einen Ort ein",
+  "app.ship.errRegion": "Bitte auswählen: {region}",
+  "app.ship.errPostal": "{label} ist ungültig",
+  "app.ship.errCountry": "In dieses Land liefern wir noch nicht",
+  "app.ship.errCheck": "Bitte prüfe deine Lieferdaten",
+  "app.sum.subtotal": "Zwischensumme",
+  "app.sum.discount": "Rabatt ({code})",
+  "app.sum.shipping": "Versand",
+  "app.sum.free": "KOSTENLOS",
+  "app.sum.toFree": "Noch {amount} bis zum kostenlosen Versand",
+  "app.sum.total": "Gesamt",
+  "app.researchOnly": "<strong>NUR FÜR FORSCHUNGSZWECKE</strong> — Alle Produkte ausschließlich für die Laborforschung. Nicht zum menschlichen Verzehr.",
+  "app.checkout.calculating": "Wird berechnet…",
+  "app.checkout.continue": "Weiter zum Versand — {total}",
+  "app.pay.openInTelegram": "Öffne den Shop in Telegram, um zu bezahlen",
+  "app.pay.telegram": "{total} in Telegram bezahlen",
+  "app.pay.card": "Mit Karte bezahlen (Stripe)",
+  "app.pay.total": "{total} bezahlen",
+  "app.pay.processing": "Wird verarbeitet…",
+  "app.detail.soldOutSize": "ausverkauft",
+  "app.detail.lot": "Charge",
+  "app.detail.purity": "Reinheit",
+  "app.detail.updated": "Aktualisiert",
+  "app.detail.coa": "📄 COA herunterladen",
+  "app.detail.coaSoon": "COA für diese Charge folgt in Kürze — frag den Assistenten",
+  "app.detail.lotSoon": "Chargendaten folgen in Kürze — frag den Assistenten nach dem aktuellen COA",
+  "app.detail.inCart": "{n} im Warenkorb",
+  "app.detail.soldOut": "Ausverkauft",
+  "app.detail.add": "In den Warenkorb — {price}",
+  "app.detail.researchOnly": "<strong>NUR FÜR FORSCHUNGSZWECKE</strong> — Nicht zum menschlichen Verzehr.",
+  "app.settings.currency": "Währung",
+  "app.settings.language": "Sprache",
+  "app.toast.soldOut": "{name} ist ausverkauft",
+  "app.toast.onlyLeft": "Nur noch {n} auf Lager",
+  "app.toast.checkShipping": "Bitte prüfe deine Versanddaten",
+  "app.toast.paid": "Zahlung bestätigt! Deine Bestellung wird bearbeitet.",
+  "app.toast.paymentFailed": "Zahlung fehlgeschlagen. Bitte versuche es erneut.",
+  "app.toast.paymentCancelled": "Zahlung abgebrochen. Dein Warenkorb bleibt gespeichert.",
+  "app.toast.orderCancelled": "Bestellung abgebrochen. Dein Warenkorb bleibt gespeichert.",
+  "app.toast.redirecting": "Weiterleitung zur sicheren Kasse...",
+  "app.toast.checkoutUnavailable": "Die Kasse ist nicht verfügbar. Bitte versuche es erneut.",
+  "app.toast.cartChanged": "Einige Artikel in deinem gespeicherten Warenkorb haben sich geändert — bitte prüfe ihn.",
+  "app.toast.cartBack": "Dein Warenkorb ist wieder da — bezahle, wann immer du bereit bist.",
+  "app.toast.promoLater": "Der Code {code} wird angewendet, sobald du etwas in den Warenkorb legst.",
+  "app.toast.catalogError": "Produkte konnten nicht geladen werden. Bitte versuche es erneut.",
+  "app.toast.promoError": "Der Code konnte nicht geprüft werden.",
+  "app.toast.quoteError": "Der Warenkorb konnte nicht berechnet werden.",
+  "app.toast.ordersError": "Deine Bestellungen konnten nicht geladen werden.",
+  "app.toast.teamInTelegram": "Öffne den Shop in Telegram, um unser Team zu erreichen",
+  "app.toast.teamError": "Unser Team ist gerade nicht erreichbar. Bitte versuche es erneut.",
+  "app.chat.title": "Forschungsassistent",
+  "app.chat.clear": "Leeren",
+  "app.chat.needPerson": "Lieber mit einer Person sprechen?",
+  "app.chat.human": "🙋 Mit einem Menschen sprechen",
+  "app.chat.greeting": "Hallo! Ich bin dein Rapid-Research-Assistent. Wie kann ich dir heute helfen?",
+  "app.chat.placeholder": "Stell eine Frage...",
+  "app.chat.summarized": "…frühere Nachrichten zusammengefasst…",
+  "app.chat.connected": "🟢 Mit unserem Team verbunden · {id}",
+  "app.chat.closed": "✅ Unser Team hat dieses Gespräch beendet. Ich bin wieder für dich da — tippe jederzeit auf „Mit einem Menschen sprechen“.",
+  "app.chat.handedOff": "🙋 Ich habe dein Anliegen an unser Support-Team weitergegeben — eine Person antwortet dir hier (und im Bot). Bis dahin pausiere ich.",
+  "app.chat.viewCart": "Warenkorb ansehen",
+  "app.chat.added": "✓ {qty} × {item} hinzugefügt",
+  "app.chat.fallback": "Ich helfe gern! Frag mich zu unseren Forschungsprodukten.",
+  "app.chat.offline": "Entschuldigung, die Verbindung klappt gerade nicht. Bitte versuche es erneut!",
+};
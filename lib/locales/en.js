@@ -0,0 +1,235 @@
+/**
+ * English — the complete bundle every other language falls back to.
+ */
+
+export default {
+  // Bot (/api/telegram)
+  "bot.welcome.greeting": "👋 Hi {name}! Welcome to Rapid Research Co.",
+  "bot.welcome.intro": "I'm your AI assistant. I can help you with:\n• Product information & pricing\n• Purity specs & COA details\n• Shipping & order questions",
+  "bot.welcome.shop": "You can also browse and order directly through our mini app 🧪",
+  "bot.welcome.product": "Tap below to see {product} in the shop 🧪",
+  "bot.welcome.promo": "Code {code} will be applied to your cart.",
+  "bot.welcome.ask": "What can I help you with today?",
+  "bot.button.shop": "🛍 Open the shop",
+  "bot.button.product": "🛍 View {product}",
+  "bot.button.inline": "🛍 Open in shop",
+  "bot.button.cart": "🛍 Return to my cart",
+  "bot.products.footer": "All products ≥97–99% purity with COA.",
+  "bot.products.order": "Order via the mini app: {url}",
+  "bot.help":
+    "ℹ️ Available commands:\n\n/start — Welcome message\n/products — Full product catalog with pricing\n/coa <product> — Certificate of analysis for the current lot\n/reset — Start a fresh conversation\n/stop — No more cart reminders\n/human — Talk to a person on our team\n/help — This help message\n\nOr just ask me anything about our products, shipping, or COA details!",
+  "bot.reset": "🧹 Conversation cleared. What can I help you with?",
+  "bot.stop": "🔕 Done — we won't send you any more cart reminders.",
+  "bot.coa.which": "Which product? For example: /coa GHK-Cu 100mg",
+  "bot.coa.noMatch": "No product matches \"{query}\". Send /products for the catalog.",
+  "bot.coa.none": "We don't have a COA on file for the current {product} lot yet. Send /human and our team will follow up.",
+  "bot.coa.caption": "📄 COA — {item}\nLot {lot} · {purity}% purity ({method})",
+  "bot.handoff.opened": "🙋 I've passed this to our support team — a person will reply right here. The AI assistant is paused until they're done.",
+  "bot.handoff.alreadyOpen": "You're already connected to our team — they'll reply here shortly.",
+  "bot.handoff.failed": "Sorry — {error}. Please try again later.",
+  "bot.handoff.closed": "✅ Our team has closed this conversation. The AI assistant is back — send /human any time to reach a person again.",
+  "bot.handoff.reply": "👤 {name} (Rapid Research support):\n{text}",
+  "bot.aiUnavailable": "I'm sorry, the AI assistant is temporarily unavailable. Please visit our mini app or try again later.",
+  "bot.inline.soldOut": "sold out",
+  "bot.inline.researchOnly": "For laboratory research use only.",
+  "bot.reminder.title": "🛒 You left a few things in your cart:",
+  "bot.reminder.subtotal": "Subtotal: {amount}",
+  "bot.reminder.cta": "Tap below to pick up where you left off. Send /stop if you'd rather not get these reminders.",
+  "bot.payment.confirmed": "✅ Thank you! Order {id} is confirmed ({total}). We'll message you here when it ships.",
+  "bot.order.shipped": "📦 Your order {id} has shipped!",
+  "bot.order.tracking": "Carrier: {carrier}\nTracking: {number}",
+  "bot.order.trackLink": "Track it: {url}",
+  "bot.order.inTransit": "🚚 Your order {id} is in transit.",
+  "bot.order.inTransitWith": "🚚 Your order {id} is in transit with {carrier} ({number}).",
+  "bot.order.delivered": "✅ Your order {id} has been delivered. Thank you for choosing Rapid Research Co!",
+
+  // Assistant (/api/chat and the bot)
+  "assistant.refusal":
+    "I can't help with that. All Rapid Research products are for laboratory research use only, so I can't give dosing, administration or medical advice. I'm happy to help with product specs, purity and COAs, pricing or shipping.",
+
+  // Checkout (lib/cart.js, lib/promo.js, lib/shipping.js, lib/payments.js)
+  "cart.currency": "We don't sell in {currency}",
+  "cart.empty": "Your cart is empty",
+  "cart.tooManyLines": "Your cart can't have more than {max} lines",
+  "cart.unknownProduct": "Unknown product id: {id}",
+  "cart.quantity": "Quantity for {item} must be a whole number from 1 to {max}",
+  "cart.notInCurrency": "{item} isn't available in {currency}",
+  "cart.soldOut": "{item} is sold out",
+  "cart.onlyLeft": "Only {available} of {item} left in stock",
+  "promo.invalid": "That code isn't valid.",
+  "promo.notYet": "That code isn't active yet.",
+  "promo.expired": "That code has expired.",
+  "promo.currency": "That code can't be used with {currency} prices.",
+  "promo.minSubtotal": "That code needs a subtotal of at least {amount}.",
+  "promo.notEligible": "That code doesn't apply to anything in your cart.",
+  "promo.limit": "That code has reached its usage limit.",
+  "promo.applied": "{label} applied!",
+  "promo.percentOff": "{value}% off",
+  "promo.amountOff": "{amount} off",
+  "promo.freeShipping": "Free shipping",
+  "shipping.free": "Free shipping",
+  "shipping.standard": "Standard shipping",
+  "invoice.title": "Rapid Research order",
+  "invoice.researchOnly": "Research use only.",
+  "invoice.promo": "Promo {code}",
+  "invoice.shipping": "Shipping",
+  "invoice.expired": "This checkout has expired. Please start again from your cart.",
+  "invoice.alreadyPaid": "This order has already been paid.",
+  "invoice.amountMismatch": "The amount doesn't match your order. Please start again from your cart.",
+  "invoice.priceChanged": "Prices have changed since you opened checkout. Please review your cart and try again.",
+  "invoice.cartProblem": "{error}. Please update your cart and try again.",
+  "invoice.unavailable": "We couldn't confirm your order right now. Please try again.",
+
+  // Mini app (served by /api/i18n)
+  "app.age.sub": "Research Products",
+  "app.age.title": "Welcome to Rapid Research",
+  "app.age.text": "Premium peptide research supplies. Please confirm the following to continue.",
+  "app.age.adult": "I am at least <strong>18 years of age</strong>",
+  "app.age.terms": "I agree to the <strong>Terms &amp; Conditions</strong> of Rapid Research Co.",
+  "app.age.research": "These products are for <strong>laboratory research use only</strong> and not for human consumption.",
+  "app.age.enter": "Enter Store",
+  "app.nav.shop": "Shop",
+  "app.nav.orders": "Orders",
+  "app.banner.tagline": "RESEARCH PRODUCTS",
+  "app.banner.inStock": "In Stock",
+  "app.banner.restocking": "Restocking",
+  "app.stat.pure": "Pure",
+  "app.stat.quality": "Quality",
+  "app.stat.fast": "Fast",
+  "app.stat.shipping": "Shipping",
+  "app.stat.eco": "Eco",
+  "app.stat.friendly": "Friendly",
+  "app.search.placeholder": "Search e.g. GHK-Cu, TB500",
+  "app.sort.featured": "Featured",
+  "app.sort.priceAsc": "Price: low to high",
+  "app.sort.priceDesc": "Price: high to low",
+  "app.sort.popular": "Popular",
+  "app.sort.newest": "Newest",
+  "app.price.under": "Under {amount}",
+  "app.price.between": "{from}–{to}",
+  "app.price.over": "{amount}+",
+  "app.filter.grouped": "Group sizes",
+  "app.section.all": "All",
+  "app.section.results": "Results",
+  "app.count.one": "{n} item",
+  "app.count.other": "{n} items",
+  "app.empty.title": "No matches",
+  "app.empty.text": "Try another search or {clear}",
+  "app.empty.clear": "clear filters",
+  "app.badge.soldOut": "SOLD OUT",
+  "app.badge.left": "ONLY {n} LEFT",
+  "app.badge.new": "NEW",
+  "app.badge.popular": "POPULAR",
+  "app.card.purity": "Purity: {purity}% {method}",
+  "app.card.quality": "Quality: {purity}",
+  "app.orders.loading": "Loading Orders…",
+  "app.orders.empty": "No Orders Yet",
+  "app.orders.emptyText": "Your order history will appear here",
+  "app.orders.confirming": "Confirming Your Order…",
+  "app.orders.pending": "Order {id} is being confirmed and will show up here in a moment",
+  "app.orders.paidStripe": "Paid via Stripe",
+  "app.orders.lot": "Lot {lot}",
+  "app.step.confirmed": "Confirmed",
+  "app.step.shipped": "Shipped",
+  "app.step.inTransit": "In Transit",
+  "app.step.delivered": "Delivered",
+  "app.status.processing": "⏳ Processing",
+  "app.status.awaitingPayment": "⏳ Awaiting Payment",
+  "app.status.shipped": "📦 Shipped",
+  "app.status.inTransit": "🚚 In Transit",
+  "app.status.delivered": "✅ Delivered",
+  "app.status.paymentFailed": "❌ Payment Failed",
+  "app.status.refunded": "↩️ Refunded",
+  "app.status.partiallyRefunded": "↩️ Partially Refunded",
+  "app.status.disputed": "⚠️ Under Review",
+  "app.cart.view": "View Cart ({n})",
+  "app.cart.title": "Your Order",
+  "app.cart.changed": "Changed since you saved it",
+  "app.cart.removed": "{name} is no longer available and was removed.",
+  "app.cart.anItem": "An item",
+  "app.cart.soldOut": "{name} is sold out and was removed.",
+  "app.cart.repriced": "{name} is now {price} (was {was}).",
+  "app.cart.lowered": "Only {n} {name} left, so your quantity was lowered.",
+  "app.close": "Close",
+  "app.ok": "OK",
+  "app.promo.placeholder": "Promo code",
+  "app.promo.apply": "Apply",
+  "app.promo.remove": "Remove",
+  "app.ship.title": "Shipping Details",
+  "app.ship.back": "‹ Back to cart",
+  "app.ship.name": "Full name",
+  "app.ship.email": "Email",
+  "app.ship.country": "Country",
+  "app.ship.address": "Street address",
+  "app.ship.address2": "Apt, suite (optional)",
+  "app.ship.city": "City",
+  "app.ship.state": "State",
+  "app.ship.zip": "ZIP code",
+  "app.ship.errName": "Enter the recipient's full name",
+  "app.ship.errEmail": "Enter a valid email address",
+  "app.ship.errAddress": "Enter a street address",
+  "app.ship.errCity": "Enter a city",
+  "app.ship.errRegion": "Choose a {region}",
+  "app.ship.errPostal": "{label} is not valid",
+  "app.ship.errCountry": "We don't ship to that country yet",
+  "app.ship.errCheck": "Please check your shipping details",
+  "app.sum.subtotal": "Subtotal",
+  "app.sum.discount": "Discount ({code})",
+  "app.sum.shipping": "Shipping",
+  "app.sum.free": "FREE",
+  "app.sum.toFree": "Add {amount} more for free shipping",
+  "app.sum.total": "Total",
+  "app.researchOnly": "<strong>RESEARCH USE ONLY</strong> — All products for laboratory research exclusively. Not for human consumption.",
+  "app.checkout.calculating": "Calculating…",
+  "app.checkout.continue": "Continue to Shipping — {total}",
+  "app.pay.openInTelegram": "Open the shop in Telegram to pay",
+  "app.pay.telegram": "Pay {total} in Telegram",
+  "app.pay.card": "Pay with card (Stripe)",
+  "app.pay.total": "Pay {total}",
+  "app.pay.processing": "Processing…",
+  "app.detail.soldOutSize": "sold out",
+  "app.detail.lot": "Lot",
+  "app.detail.purity": "Purity",
+  "app.detail.updated": "Updated",
+  "app.detail.coa": "📄 Download COA",
+  "app.detail.coaSoon": "COA for this lot coming soon — ask the assistant",
+  "app.detail.lotSoon": "Lot details coming soon — ask the assistant for the latest COA",
+  "app.detail.inCart": "{n} in cart",
+  "app.detail.soldOut": "Sold Out",
+  "app.detail.add": "Add to Cart — {price}",
+  "app.detail.researchOnly": "<strong>RESEARCH USE ONLY</strong> — Not for human consumption.",
+  "app.settings.currency": "Currency",
+  "app.settings.language": "Language",
+  "app.toast.soldOut": "{name} is sold out",
+  "app.toast.onlyLeft": "Only {n} left in stock",
+  "app.toast.checkShipping": "Please check your shipping details",
+  "app.toast.paid": "Payment confirmed! Your order is being processed.",
+  "app.toast.paymentFailed": "Payment failed. Please try again.",
+  "app.toast.paymentCancelled": "Payment cancelled. Your cart is still saved.",
+  "app.toast.orderCancelled": "Order cancelled. Your cart is still saved.",
+  "app.toast.redirecting": "Redirecting to secure checkout...",
+  "app.toast.checkoutUnavailable": "Checkout unavailable. Please try again.",
+  "app.toast.cartChanged": "Some items in your saved cart have changed — check your cart.",
+  "app.toast.cartBack": "Your cart is back — checkout whenever you're ready.",
+  "app.toast.promoLater": "Code {code} will be applied when you add something to your cart.",
+  "app.toast.catalogError": "Could not load products. Please try again.",
+  "app.toast.promoError": "Could not check that code.",
+  "app.toast.quoteError": "Could not price your cart.",
+  "app.toast.ordersError": "Could not load your orders.",
+  "app.toast.teamInTelegram": "Open the shop from Telegram to reach our team",
+  "app.toast.teamError": "Could not reach our team. Please try again.",
+  "app.chat.title": "Research Assistant",
+  "app.chat.clear": "Clear",
+  "app.chat.needPerson": "Need a person?",
+  "app.chat.human": "🙋 Talk to a human",
+  "app.chat.greeting": "Hello! I'm your Rapid Research assistant. How can I help you today?",
+  "app.chat.placeholder": "Ask a question...",
+  "app.chat.summarized": "…earlier messages summarized…",
+  "app.chat.connected": "🟢 Connected to our team · {id}",
+  "app.chat.closed": "✅ Our team has closed this conversation. I'm back to help — tap \"Talk to a human\" any time.",
+  "app.chat.handedOff": "🙋 I've passed this to our support team — a person will reply right here (and in the bot). I'm paused until they're done.",
+  "app.chat.viewCart": "View cart",
+  "app.chat.added": "✓ Added {qty} × {item}",
+  "app.chat.fallback": "I'm here to help! Ask me about our research products.",
+  "app.chat.offline": "Sorry, having trouble connecting. Please try again!",
+};
@@ -0,0 +1,231 @@
+/**
+ * Spanish. Missing keys fall back to English (lib/locales/en.js).
+ */
+
+export default {
+  "bot.welcome.greeting": "👋 ¡Hola, {name}! Bienvenido a Rapid Research Co.",
+  "bot.welcome.intro": "Soy tu asistente de IA. Puedo ayudarte con:\n• Información de productos y precios\n• Pureza y certificados de análisis (COA)\n• Preguntas sobre envíos y pedidos",
+  "bot.welcome.shop": "También puedes ver el catálogo y pedir directamente en nuestra mini app 🧪",
+  "bot.welcome.product": "Toca abajo para ver {product} en la tienda 🧪",
+  "bot.welcome.promo": "El código {code} se aplicará a tu carrito.",
+  "bot.welcome.ask": "¿En qué puedo ayudarte hoy?",
+  "bot.button.shop": "🛍 Abrir la tienda",
+  "bot.button.product": "🛍 Ver {product}",
+  "bot.button.inline": "🛍 Abrir en la tienda",
+  "bot.button.cart": "🛍 Volver a mi carrito",
+  "bot.products.footer": "Todos los productos con pureza ≥97–99 % y COA.",
+  "bot.products.order": "Pide desde la mini app: {url}",
+  "bot.help":
+    "ℹ️ Comandos disponibles:\n\n/start — Mensaje de bienvenida\n/products — Catálogo completo con precios\n/coa <producto> — Certificado de análisis del lote actual\n/reset — Empezar una conversación nueva\n/stop — No más recordatorios del carrito\n/human — Hablar con una persona de nuestro equipo\n/help — Este mensaje de ayuda\n\n¡O pregúntame lo que quieras sobre nuestros productos, envíos o COA!",
+  "bot.reset": "🧹 Conversación borrada. ¿En qué puedo ayudarte?",
+  "bot.stop": "🔕 Listo — no te enviaremos más recordatorios del carrito.",
+  "bot.coa.which": "¿Qué producto? Por ejemplo: /coa GHK-Cu 100mg",
+  "bot.coa.noMatch": "Ningún producto coincide con «{query}». Envía /products para ver el catálogo.",
+  "bot.coa.none": "Todavía no tenemos el COA del lote actual de {product}. Envía /human y nuestro equipo te responderá.",
+  "bot.coa.caption": "📄 COA — {item}\nLote {lot} · pureza {purity} % ({method})",
+  "bot.handoff.opened": "🙋 He pasado tu consulta a nuestro equipo de soporte — una persona te responderá aquí. El asistente de IA queda en pausa mientras tanto.",
+  "bot.handoff.alreadyOpen": "Ya estás en contacto con nuestro equipo — te responderán aquí en breve.",
+  "bot.handoff.failed": "Lo siento — {error}. Inténtalo de nuevo más tarde.",
+  "bot.handoff.closed": "✅ Nuestro equipo ha cerrado esta conversación. El asistente de IA ha vuelto — envía /human cuando quieras para hablar de nuevo con una persona.",
+  "bot.handoff.reply": "👤 {name} (soporte de Rapid Research):\n{text}",
+  "bot.aiUnavailable": "Lo siento, el asistente de IA no está disponible en este momento. Visita nuestra mini app o inténtalo más tarde.",
+  "bot.inline.soldOut": "agotado",
+  "bot.inline.researchOnly": "Solo para investigación de laboratorio.",
+  "bot.reminder.title": "🛒 Dejaste algunos productos en tu carrito:",
+  "bot.reminder.subtotal": "Subtotal: {amount}",
+  "bot.reminder.cta": "Toca abajo para continuar donde lo dejaste. Envía /stop si prefieres no recibir estos recordatorios.",
+  "bot.payment.confirmed": "✅ ¡Gracias! El pedido {id} está confirmado ({total}). Te escribiremos aquí cuando se envíe.",
+  "bot.order.shipped": "📦 ¡Tu pedido {id} ha sido enviado!",
+  "bot.order.tracking": "Transportista: {carrier}\nSeguimiento: {number}",
+  "bot.order.trackLink": "Síguelo aquí: {url}",
+  "bot.order.inTransit": "🚚 Tu pedido {id} está en camino.",
+  "bot.order.inTransitWith": "🚚 Tu pedido {id} está en camino con {carrier} ({number}).",
+  "bot.order.delivered": "✅ Tu pedido {id} ha sido entregado. ¡Gracias por elegir Rapid Research Co!",
+
+  "assistant.refusal":
+    "No puedo ayudarte con eso. Todos los productos de Rapid Research son solo para investigación de laboratorio, así que no doy indicaciones de dosis, administración ni consejos médicos. Con gusto te ayudo con especificaciones, pureza y COA, precios o envíos.",
+
+  "cart.currency": "No vendemos en {currency}",
+  "cart.empty": "Tu carrito está vacío",
+  "cart.tooManyLines": "Tu carrito no puede tener más de {max} líneas",
+  "cart.unknownProduct": "ID de producto desconocido: {id}",
+  "cart.quantity": "La cantidad de {item} debe ser un número entero del 1 al {max}",
+  "cart.notInCurrency": "{item} no está disponible en {currency}",
+  "cart.soldOut": "{item} está agotado",
+  "cart.onlyLeft": "Solo quedan {available} de {item} en stock",
+  "promo.invalid": "Ese código no es válido.",
+  "promo.notYet": "Ese código aún no está activo.",
+  "promo.expired": "Ese código ha caducado.",
+  "promo.currency": "Ese código no se puede usar con precios en {currency}.",
+  "promo.minSubtotal": "Ese código requiere un subtotal de al menos {amount}.",
+  "promo.notEligible": "Ese código no se aplica a nada de tu carrito.",
+  "promo.limit": "Ese código ha alcanzado su límite de usos.",
+  "promo.applied": "¡{label} aplicado!",
+  "promo.percentOff": "{value} % de descuento",
+  "promo.amountOff": "{amount} de descuento",
+  "promo.freeShipping": "Envío gratis",
+  "shipping.free": "Envío gratis",
+  "shipping.standard": "Envío estándar",
+  "invoice.title": "Pedido de Rapid Research",
+  "invoice.researchOnly": "Solo para investigación.",
+  "invoice.promo": "Promo {code}",
+  "invoice.shipping": "Envío",
+  "invoice.expired": "Este pago ha caducado. Vuelve a empezar desde tu carrito.",
+  "invoice.alreadyPaid": "Este pedido ya está pagado.",
+  "invoice.amountMismatch": "El importe no coincide con tu pedido. Vuelve a empezar desde tu carrito.",
+  "invoice.priceChanged": "Los precios han cambiado desde que abriste el pago. Revisa tu carrito e inténtalo de nuevo.",
+  "invoice.cartProblem": "{error}. Actualiza tu carrito e inténtalo de nuevo.",
+  "invoice.unavailable": "No hemos podido confirmar tu pedido ahora mismo. Inténtalo de nuevo.",
+
+  "app.age.sub": "Productos de investigación",
+  "app.age.title": "Bienvenido a Rapid Research",
+  "app.age.text": "Suministros premium para la investigación con péptidos. Confirma lo siguiente para continuar.",
+  "app.age.adult": "Tengo al menos <strong>18 años</strong>",
+  "app.age.terms": "Acepto los <strong>Términos y condiciones</strong> de Rapid Research Co.",
+  "app.age.research": "Estos productos son <strong>solo para investigación de laboratorio</strong> y no aptos para consumo humano.",
+  "app.age.enter": "Entrar a la tienda",
+  "app.nav.shop": "Tienda",
+  "app.nav.orders": "Pedidos",
+  "app.banner.tagline": "PRODUCTOS DE INVESTIGACIÓN",
+  "app.banner.inStock": "En stock",
+  "app.banner.restocking": "Reponiendo",
+  "app.stat.pure": "Puro",
+  "app.stat.quality": "Calidad",
+  "app.stat.fast": "Rápido",
+  "app.stat.shipping": "Envío",
+  "app.stat.eco": "Eco",
+  "app.stat.friendly": "Sostenible",
+  "app.search.placeholder": "Buscar, p. ej. GHK-Cu, TB500",
+  "app.sort.featured": "Destacados",
+  "app.sort.priceAsc": "Precio: de menor a mayor",
+  "app.sort.priceDesc": "Precio: de mayor a menor",
+  "app.sort.popular": "Populares",
+  "app.sort.newest": "Novedades",
+  "app.price.under": "Menos de {amount}",
+  "app.price.between": "{from}–{to}",
+  "app.price.over": "Más de {amount}",
+  "app.filter.grouped": "Agrupar tamaños",
+  "app.section.all": "Todo",
+  "app.section.results": "Resultados",
+  "app.count.one": "{n} artículo",
+  "app.count.other": "{n} artículos",
+  "app.empty.title": "Sin resultados",
+  "app.empty.text": "Prueba otra búsqueda o {clear}",
+  "app.empty.clear": "borra los filtros",
+  "app.badge.soldOut": "AGOTADO",
+  "app.badge.left": "SOLO QUEDAN {n}",
+  "app.badge.new": "NUEVO",
+  "app.badge.popular": "POPULAR",
+  "app.card.purity": "Pureza: {purity} % {method}",
+  "app.card.quality": "Calidad: {purity}",
+  "app.orders.loading": "Cargando pedidos…",
+  "app.orders.empty": "Aún no hay pedidos",
+  "app.orders.emptyText": "Tu historial de pedidos aparecerá aquí",
+  "app.orders.confirming": "Confirmando tu pedido…",
+  "app.orders.pending": "El pedido {id} se está confirmando y aparecerá aquí en un momento",
+  "app.orders.paidStripe": "Pagado con Stripe",
+  "app.orders.lot": "Lote {lot}",
+  "app.step.confirmed": "Confirmado",
+  "app.step.shipped": "Enviado",
+  "app.step.inTransit": "En tránsito",
+  "app.step.delivered": "Entregado",
+  "app.status.processing": "⏳ En preparación",
+  "app.status.awaitingPayment": "⏳ Pago pendiente",
+  "app.status.shipped": "📦 Enviado",
+  "app.status.inTransit": "🚚 En tránsito",
+  "app.status.delivered": "✅ Entregado",
+  "app.status.paymentFailed": "❌ Pago fallido",
+  "app.status.refunded": "↩️ Reembolsado",
+  "app.status.partiallyRefunded": "↩️ Reembolsado en parte",
+  "app.status.disputed": "⚠️ En revisión",
+  "app.cart.view": "Ver carrito ({n})",
+  "app.cart.title": "Tu pedido",
+  "app.cart.changed": "Ha cambiado desde que lo guardaste",
+  "app.cart.removed": "{name} ya no está disponible y se ha quitado.",
+  "app.cart.anItem": "Un artículo",
+  "app.cart.soldOut": "{name} está agotado y se ha quitado.",
+  "app.cart.repriced": "{name} ahora cuesta {price} (antes {was}).",
+  "app.cart.lowered": "Solo quedan {n} × {name}, así que se ha reducido la cantidad.",
+  "app.close": "Cerrar",
+  "app.ok": "Aceptar",
+  "app.promo.placeholder": "Código promocional",
+  "app.promo.apply": "Aplicar",
+  "app.promo.remove": "Quitar",
+  "app.ship.title": "Datos de envío",
+  "app.ship.back": "‹ Volver al carrito",
+  "app.ship.name": "Nombre completo",
+  "app.ship.email": "Correo electrónico",
+  "app.ship.country": "País",
+  "app.ship.address": "Dirección",
+  "app.ship.address2": "Piso, puerta (opcional)",
+  "app.ship.city": "Ciudad",
+  "app.ship.state": "Provincia",
+  "app.ship.zip": "Código postal",
+  "app.ship.errName": "Introduce el nombre completo del destinatario",
+  "app.ship.errEmail": "Introduce un correo electrónico válido",
+  "app.ship.errAddress": "Introduce una dirección",
+  "app.ship.errCity": "Introduce una ciudad",
+  "app.ship.errRegion": "Elige: {region}",
+  "app.ship.errPostal": "{label} no es válido",
+  "app.ship.errCountry": "Todavía no enviamos a ese país",
+  "app.ship.errCheck": "Revisa tus datos de envío",
+  "app.sum.subtotal": "Subtotal",
+  "app.sum.discount": "Descuento ({code})",
+  "app.sum.shipping": "Envío",
+  "app.sum.free": "GRATIS",
+  "app.sum.toFree": "Añade {amount} más para el envío gratis",
+  "app.sum.total": "Total",
+  "app.researchOnly": "<strong>SOLO PARA INVESTIGACIÓN</strong> — Todos los productos son exclusivamente para investigación de laboratorio. No aptos para consumo humano.",
+  "app.checkout.calculating": "Calculando…",
+  "app.checkout.continue": "Continuar al envío — {total}",
+  "app.pay.openInTelegram": "Abre la tienda en Telegram para pagar",
+  "app.pay.telegram": "Pagar {total} en Telegram",
+  "app.pay.card": "Pagar con tarjeta (Stripe)",
+  "app.pay.total": "Pagar {total}",
+  "app.pay.processing": "Procesando…",
+  "app.detail.soldOutSize": "agotado",
+  "app.detail.lot": "Lote",
+  "app.detail.purity": "Pureza",
+  "app.detail.updated": "Actualizado",
+  "app.detail.coa": "📄 Descargar COA",
+  "app.detail.coaSoon": "El COA de este lote llegará pronto — pregunta al asistente",
+  "app.detail.lotSoon": "Datos del lote próximamente — pide el último COA al asistente",
+  "app.detail.inCart": "{n} en el carrito",
+  "app.detail.soldOut": "Agotado",
+  "app.detail.add": "Añadir al carrito — {price}",
+  "app.detail.researchOnly": "<strong>SOLO PARA INVESTIGACIÓN</strong> — No apto para consumo humano.",
+  "app.settings.currency": "Moneda",
+  "app.settings.language": "Idioma",
+  "app.toast.soldOut": "{name} está agotado",
+  "app.toast.onlyLeft": "Solo quedan {n} en stock",
+  "app.toast.checkShipping": "Revisa tus datos de envío",
+  "app.toast.paid": "¡Pago confirmado! Estamos procesando tu pedido.",
+  "app.toast.paymentFailed": "El pago ha fallado. Inténtalo de nuevo.",
+  "app.toast.paymentCancelled": "Pago cancelado. Tu carrito sigue guardado.",
+  "app.toast.orderCancelled": "Pedido cancelado. Tu carrito sigue guardado.",
+  "app.toast.redirecting": "Redirigiendo al pago seguro...",
+  "app.toast.checkoutUnavailable": "El pago no está disponible. Inténtalo de nuevo.",
+  "app.toast.cartChanged": "Algunos productos de tu carrito guardado han cambiado — revisa tu carrito.",
+  "app.toast.cartBack": "Tu carrito ha vuelto — paga cuando quieras.",
+  "app.toast.promoLater": "El código {code} se aplicará cuando añadas algo al carrito.",
+  "app.toast.catalogError": "No se pudieron cargar los productos. Inténtalo de nuevo.",
+  "app.toast.promoError": "No se pudo comprobar ese código.",
+  "app.toast.quoteError": "No se pudo calcular tu carrito.",
+  "app.toast.ordersError": "No se pudieron cargar tus pedidos.",
+  "app.toast.teamInTelegram": "Abre la tienda desde Telegram para contactar con nuestro equipo",
+  "app.toast.teamError": "No se pudo contactar con nuestro equipo. Inténtalo de nuevo.",
+  "app.chat.title": "Asistente de investigación",
+  "app.chat.clear": "Borrar",
+  "app.chat.needPerson": "¿Necesitas a una persona?",
+  "app.chat.human": "🙋 Hablar con una persona",
+  "app.chat.greeting": "¡Hola! Soy tu asistente de Rapid Research. ¿En qué puedo ayudarte hoy?",
+  "app.chat.placeholder": "Haz una pregunta...",
+  "app.chat.summarized": "…mensajes anteriores resumidos…",
+  "app.chat.connected": "🟢 Conectado con nuestro equipo · {id}",
+  "app.chat.closed": "✅ Nuestro equipo ha cerrado esta conversación. Vuelvo a estar aquí — toca «Hablar con una persona» cuando quieras.",
+  "app.chat.handedOff": "🙋 He pasado tu consulta a nuestro equipo — una persona te responderá aquí (y en el bot). Quedo en pausa mientras tanto.",
+  "app.chat.viewCart": "Ver carrito",
+  "app.chat.added": "✓ {qty} × {item} añadido",
+  "app.chat.fallback": "¡Estoy aquí para ayudarte! Pregúntame por nuestros productos de investigación.",
+  "app.chat.offline": "Lo siento, hay problemas de conexión. ¡Inténtalo de nuevo!",
+};
@@ -0,0 +1,231 @@
+/**
+ * French. Missing keys fall back to English (lib/locales/en.js).
+ */
+
+export default {
+  "bot.welcome.greeting": "👋 Bonjour {name} ! Bienvenue chez Rapid Research Co.",
+  "bot.welcome.intro": "Je suis votre assistant IA. Je peux vous aider pour :\n• Les informations produits et les prix\n• La pureté et les certificats d'analyse (COA)\n• Les questions de livraison et de commande",
+  "bot.welcome.shop": "Vous pouvez aussi parcourir et commander directement dans notre mini app 🧪",
+  "bot.welcome.product": "Touchez ci-dessous pour voir {product} dans la boutique 🧪",
+  "bot.welcome.promo": "Le code {code} sera appliqué à votre panier.",
+  "bot.welcome.ask": "Comment puis-je vous aider aujourd'hui ?",
+  "bot.button.shop": "🛍 Ouvrir la boutique",
+  "bot.button.product": "🛍 Voir {product}",
+  "bot.button.inline": "🛍 Ouvrir dans la boutique",
+  "bot.button.cart": "🛍 Retrouver mon panier",
+  "bot.products.footer": "Tous les produits ont une pureté ≥97–99 % avec COA.",
+  "bot.products.order": "Commandez via la mini app : {url}",
+  "bot.help":
+    "ℹ️ Commandes disponibles :\n\n/start — Message d'accueil\n/products — Catalogue complet avec les prix\n/coa <produit> — Certificat d'analyse du lot actuel\n/reset — Nouvelle conversation\n/stop — Plus de rappels de panier\n/human — Parler à une personne de notre équipe\n/help — Ce message d'aide\n\nOu posez-moi simplement vos questions sur nos produits, la livraison ou les COA !",
+  "bot.reset": "🧹 Conversation effacée. Comment puis-je vous aider ?",
+  "bot.stop": "🔕 C'est noté — vous ne recevrez plus de rappels de panier.",
+  "bot.coa.which": "Quel produit ? Par exemple : /coa GHK-Cu 100mg",
+  "bot.coa.noMatch": "Aucun produit ne correspond à « {query} ». Envoyez /products pour le catalogue.",
+  "bot.coa.none": "Nous n'avons pas encore de COA pour le lot actuel de {product}. Envoyez /human et notre équipe reviendra vers vous.",
+  "bot.coa.caption": "📄 COA — {item}\nLot {lot} · pureté {purity} % ({method})",
+  "bot.handoff.opened": "🙋 J'ai transmis votre demande à notre équipe — une personne vous répondra ici. L'assistant IA est en pause en attendant.",
+  "bot.handoff.alreadyOpen": "Vous êtes déjà en contact avec notre équipe — elle vous répondra ici sous peu.",
+  "bot.handoff.failed": "Désolé — {error}. Veuillez réessayer plus tard.",
+  "bot.handoff.closed": "✅ Notre équipe a clôturé cette conversation. L'assistant IA est de retour — envoyez /human à tout moment pour parler à nouveau à une personne.",
+  "bot.handoff.reply": "👤 {name} (support Rapid Research) :\n{text}",
+  "bot.aiUnavailable": "Désolé, l'assistant IA est momentanément indisponible. Rendez-vous sur notre mini app ou réessayez plus tard.",
+  "bot.inline.soldOut": "épuisé",
+  "bot.inline.researchOnly": "Réservé à la recherche en laboratoire.",
+  "bot.reminder.title": "🛒 Vous avez laissé des articles dans votre panier :",
+  "bot.reminder.subtotal": "Sous-total : {amount}",
+  "bot.reminder.cta": "Touchez ci-dessous pour reprendre là où vous en étiez. Envoyez /stop si vous ne souhaitez plus recevoir ces rappels.",
+  "bot.payment.confirmed": "✅ Merci ! La commande {id} est confirmée ({total}). Nous vous écrirons ici dès son expédition.",
+  "bot.order.shipped": "📦 Votre commande {id} a été expédiée !",
+  "bot.order.tracking": "Transporteur : {carrier}\nSuivi : {number}",
+  "bot.order.trackLink": "Suivre le colis : {url}",
+  "bot.order.inTransit": "🚚 Votre commande {id} est en cours d'acheminement.",
+  "bot.order.inTransitWith": "🚚 Votre commande {id} est en cours d'acheminement avec {carrier} ({number}).",
+  "bot.order.delivered": "✅ Votre commande {id} a été livrée. Merci d'avoir choisi Rapid Research Co !",
+
+  "assistant.refusal":
+    "Je ne peux pas vous aider sur ce point. Tous les produits Rapid Research sont réservés à la recherche en laboratoire : je ne donne donc aucun conseil de dosage, d'administration ou médical. Je peux volontiers vous renseigner sur les caractéristiques, la pureté et les COA, les prix ou la livraison.",
+
+  "cart.currency": "Nous ne vendons pas en {currency}",
+  "cart.empty": "Votre panier est vide",
+  "cart.tooManyLines": "Votre panier ne peut pas contenir plus de {max} lignes",
+  "cart.unknownProduct": "Identifiant de produit inconnu : {id}",
+  "cart.quantity": "La quantité de {item} doit être un nombre entier de 1 à {max}",
+  "cart.notInCurrency": "{item} n'est pas disponible en {currency}",
+  "cart.soldOut": "{item} est épuisé",
+  "cart.onlyLeft": "Plus que {available} × {item} en stock",
+  "promo.invalid": "Ce code n'est pas valide.",
+  "promo.notYet": "Ce code n'est pas encore actif.",
+  "promo.expired": "Ce code a expiré.",
+  "promo.currency": "Ce code ne peut pas être utilisé avec des prix en {currency}.",
+  "promo.minSubtotal": "Ce code nécessite un sous-total d'au moins {amount}.",
+  "promo.notEligible": "Ce code ne s'applique à aucun article de votre panier.",
+  "promo.limit": "Ce code a atteint sa limite d'utilisation.",
+  "promo.applied": "{label} appliqué !",
+  "promo.percentOff": "{value} % de réduction",
+  "promo.amountOff": "{amount} de réduction",
+  "promo.freeShipping": "Livraison gratuite",
+  "shipping.free": "Livraison gratuite",
+  "shipping.standard": "Livraison standard",
+  "invoice.title": "Commande Rapid Research",
+  "invoice.researchOnly": "Réservé à la recherche.",
+  "invoice.promo": "Code promo {code}",
+  "invoice.shipping": "Livraison",
+  "invoice.expired": "Ce paiement a expiré. Veuillez recommencer depuis votre panier.",
+  "invoice.alreadyPaid": "Cette commande a déjà été payée.",
+  "invoice.amountMismatch": "Le montant ne correspond pas à votre commande. Veuillez recommencer depuis votre panier.",
+  "invoice.priceChanged": "Les prix ont changé depuis l'ouverture du paiement. Veuillez vérifier votre panier et réessayer.",
+  "invoice.cartProblem": "{error}. Veuillez modifier votre panier et réessayer.",
+  "invoice.unavailable": "Nous n'avons pas pu confirmer votre commande pour le moment. Veuillez réessayer.",
+
+  "app.age.sub": "Produits de recherche",
+  "app.age.title": "Bienvenue chez Rapid Research",
+  "app.age.text": "Fournitures haut de gamme pour la recherche sur les peptides. Veuillez confirmer les points suivants pour continuer.",
+  "app.age.adult": "J'ai au moins <strong>18 ans</strong>",
+  "app.age.terms": "J'accepte les <strong>conditions générales</strong> de Rapid Research Co.",
+  "app.age.research": "Ces produits sont <strong>réservés à la recherche en laboratoire</strong> et impropres à la consommation humaine.",
+  "app.age.enter": "Entrer dans la boutique",
+  "app.nav.shop": "Boutique",
+  "app.nav.orders": "Commandes",
+  "app.banner.tagline": "PRODUITS DE RECHERCHE",
+  "app.banner.inStock": "En stock",
+  "app.banner.restocking": "Réassort en cours",
+  "app.stat.pure": "Pur",
+  "app.stat.quality": "Qualité",
+  "app.stat.fast": "Rapide",
+  "app.stat.shipping": "Livraison",
+  "app.stat.eco": "Éco",
+  "app.stat.friendly": "Responsable",
+  "app.search.placeholder": "Rechercher, ex. GHK-Cu, TB500",
+  "app.sort.featured": "Sélection",
+  "app.sort.priceAsc": "Prix croissant",
+  "app.sort.priceDesc": "Prix décroissant",
+  "app.sort.popular": "Populaires",
+  "app.sort.newest": "Nouveautés",
+  "app.price.under": "Moins de {amount}",
+  "app.price.between": "{from}–{to}",
+  "app.price.over": "{amount} et plus",
+  "app.filter.grouped": "Regrouper les tailles",
+  "app.section.all": "Tout",
+  "app.section.results": "Résultats",
+  "app.count.one": "{n} article",
+  "app.count.other": "{n} articles",
+  "app.empty.title": "Aucun résultat",
+  "app.empty.text": "Essayez une autre recherche ou {clear}",
+  "app.empty.clear": "effacez les filtres",
+  "app.badge.soldOut": "ÉPUISÉ",
+  "app.badge.left": "PLUS QUE {n}",
+  "app.badge.new": "NOUVEAU",
+  "app.badge.popular": "POPULAIRE",
+  "app.card.purity": "Pureté : {purity} % {method}",
+  "app.card.quality": "Qualité : {purity}",
+  "app.orders.loading": "Chargement des commandes…",
+  "app.orders.empty": "Aucune commande",
+  "app.orders.emptyText": "Votre historique de commandes apparaîtra ici",
+  "app.orders.confirming": "Confirmation de votre commande…",
+  "app.orders.pending": "La commande {id} est en cours de confirmation et apparaîtra ici dans un instant",
+  "app.orders.paidStripe": "Payé via Stripe",
+  "app.orders.lot": "Lot {lot}",
+  "app.step.confirmed": "Confirmée",
+  "app.step.shipped": "Expédiée",
+  "app.step.inTransit": "En transit",
+  "app.step.delivered": "Livrée",
+  "app.status.processing": "⏳ En préparation",
+  "app.status.awaitingPayment": "⏳ Paiement en attente",
+  "app.status.shipped": "📦 Expédiée",
+  "app.status.inTransit": "🚚 En transit",
+  "app.status.delivered": "✅ Livrée",
+  "app.status.paymentFailed": "❌ Paiement refusé",
+  "app.status.refunded": "↩️ Remboursée",
+  "app.status.partiallyRefunded": "↩️ Partiellement remboursée",
+  "app.status.disputed": "⚠️ En cours d'examen",
+  "app.cart.view": "Voir le panier ({n})",
+  "app.cart.title": "Votre commande",
+  "app.cart.changed": "Modifié depuis votre sauvegarde",
+  "app.cart.removed": "{name} n'est plus disponible et a été retiré.",
+  "app.cart.anItem": "Un article",
+  "app.cart.soldOut": "{name} est épuisé et a été retiré.",
+  "app.cart.repriced": "{name} coûte maintenant {price} (au lieu de {was}).",
+  "app.cart.lowered": "Plus que {n} × {name}, la quantité a donc été réduite.",
+  "app.close": "Fermer",
+  "app.ok": "OK",
+  "app.promo.placeholder": "Code promo",
+  "app.promo.apply": "Appliquer",
+  "app.promo.remove": "Retirer",
+  "app.ship.title": "Livraison",
+  "app.ship.back": "‹ Retour au panier",
+  "app.ship.name": "Nom complet",
+  "app.ship.email": "E-mail",
+  "app.ship.country": "Pays",
+  "app.ship.address": "Adresse",
+  "app.ship.address2": "Complément d'adresse (facultatif)",
+  "app.ship.city": "Ville",
+  "app.ship.state": "Région",
+  "app.ship.zip": "Code postal",
+  "app.ship.errName": "Saisissez le nom complet du destinataire",
+  "app.ship.errEmail": "Saisissez une adresse e-mail valide",
+  "app.ship.errAddress": "Saisissez une adresse",
+  "app.ship.errCity": "Saisissez une ville",
+  "app.ship.errRegion": "Veuillez choisir : {region}",
+  "app.ship.errPostal": "{label} n'est pas valide",
+  "app.ship.errCountry": "Nous ne livrons pas encore ce pays",
+  "app.ship.errCheck": "Veuillez vérifier vos informations de livraison",
+  "app.sum.subtotal": "Sous-total",
+  "app.sum.discount": "Remise ({code})",
+  "app.sum.shipping": "Livraison",
+  "app.sum.free": "GRATUITE",
+  "app.sum.toFree": "Encore {amount} pour la livraison gratuite",
+  "app.sum.total": "Total",
+  "app.researchOnly": "<strong>USAGE RECHERCHE UNIQUEMENT</strong> — Tous les produits sont exclusivement destinés à la recherche en laboratoire. Impropres à la consommation humaine.",
+  "app.checkout.calculating": "Calcul en cours…",
+  "app.checkout.continue": "Continuer vers la livraison — {total}",
+  "app.pay.openInTelegram": "Ouvrez la boutique dans Telegram pour payer",
+  "app.pay.telegram": "Payer {total} dans Telegram",
+  "app.pay.card": "Payer par carte (Stripe)",
+  "app.pay.total": "Payer {total}",
+  "app.pay.processing": "Traitement…",
+  "app.detail.soldOutSize": "épuisé",
+  "app.detail.lot": "Lot",
+  "app.detail.purity": "Pureté",
+  "app.detail.updated": "Mis à jour",
+  "app.detail.coa": "📄 Télécharger le COA",
+  "app.detail.coaSoon": "Le COA de ce lot arrive bientôt — demandez à l'assistant",
+  "app.detail.lotSoon": "Détails du lot bientôt disponibles — demandez le dernier COA à l'assistant",
+  "app.detail.inCart": "{n} dans le panier",
+  "app.detail.soldOut": "Épuisé",
+  "app.detail.add": "Ajouter au panier — {price}",
+  "app.detail.researchOnly": "<strong>USAGE RECHERCHE UNIQUEMENT</strong> — Impropre à la consommation humaine.",
+  "app.settings.currency": "Devise",
+  "app.settings.language": "Langue",
+  "app.toast.soldOut": "{name} est épuisé",
+  "app.toast.onlyLeft": "Plus que {n} en stock",
+  "app.toast.checkShipping": "Veuillez vérifier vos informations de livraison",
+  "app.toast.paid": "Paiement confirmé ! Votre commande est en cours de traitement.",
+  "app.toast.paymentFailed": "Le paiement a échoué. Veuillez réessayer.",
+  "app.toast.paymentCancelled": "Paiement annulé. Votre panier est conservé.",
+  "app.toast.orderCancelled": "Commande annulée. Votre panier est conservé.",
+  "app.toast.redirecting": "Redirection vers le paiement sécurisé...",
+  "app.toast.checkoutUnavailable": "Le paiement est indisponible. Veuillez réessayer.",
+  "app.toast.cartChanged": "Certains articles de votre panier ont changé — vérifiez votre panier.",
+  "app.toast.cartBack": "Votre panier est de retour — finalisez quand vous voulez.",
+  "app.toast.promoLater": "Le code {code} sera appliqué dès que vous ajouterez un article au panier.",
+  "app.toast.catalogError": "Impossible de charger les produits. Veuillez réessayer.",
+  "app.toast.promoError": "Impossible de vérifier ce code.",
+  "app.toast.quoteError": "Impossible de calculer votre panier.",
+  "app.toast.ordersError": "Impossible de charger vos commandes.",
+  "app.toast.teamInTelegram": "Ouvrez la boutique dans Telegram pour contacter notre équipe",
+  "app.toast.teamError": "Impossible de joindre notre équipe. Veuillez réessayer.",
+  "app.chat.title": "Assistant recherche",
+  "app.chat.clear": "Effacer",
+  "app.chat.needPerson": "Besoin d'une personne ?",
+  "app.chat.human": "🙋 Parler à un humain",
+  "app.chat.greeting": "Bonjour ! Je suis votre assistant Rapid Research. Comment puis-je vous aider aujourd'hui ?",
+  "app.chat.placeholder": "Posez une question...",
+  "app.chat.summarized": "…messages précédents résumés…",
+  "app.chat.connected": "🟢 En contact avec notre équipe · {id}",
+  "app.chat.closed": "✅ Notre équipe a clôturé cette conversation. Je suis de retour — touchez « Parler à un humain » à tout moment.",
+  "app.chat.handedOff": "🙋 J'ai transmis votre demande à notre équipe — une personne vous répondra ici (et dans le bot). Je suis en pause en attendant.",
+  "app.chat.viewCart": "Voir le panier",
+  "app.chat.added": "✓ {qty} × {item} ajouté",
+  "app.chat.fallback": "Je suis là pour vous aider ! Posez-moi vos questions sur nos produits de recherche.",
+  "app.chat.offline": "Désolé, problème de connexion. Veuillez réessayer !",
+};
@@ -0,0 +1,87 @@
+/**
+ * Batch (lot) records and certificates of analysis, persisted through
+ * lib/store.js.
+ *
+ * Each catalog variant has at most one current lot — the batch we're
+ * shipping from now — with its tested purity and COA. Staff set it with
+ * /lot in the bot (lib/admin.js) whenever a new batch goes on the shelf.
+ * The mini app shows it on the product sheet, GET /api/coa/:productId
+ * serves the COA and /coa in the bot sends it. Orders record the lot of
+ * each line when they're paid and again when they ship.
+ *
+ * A COA is the https URL of the lab's document, wherever it's hosted; lots
+ * saved with anything else count as having no COA.
+ *
+ * Record shape:
+ *   { variantId, lot, purity, method, coa, updatedAt, updatedBy? }
+ */
+
+import { getStore } from "./store.js";
+import { ITEMS } from "./catalog.js";
+
+const COLLECTION = "lots";
+
+const LOT_PATTERN = /^[A-Z0-9][A-Z0-9-]{1,31}$/;
+const COA_URL_PATTERN = /^https:\/\/\S+$/;
+
+/** @returns {Promise<object|null>} the variant's current lot */
+export async function getLot(variantId) {
+  return getStore().get(COLLECTION, Number(variantId));
+}
+
+/** @returns {Promise<Map<number, object>>} current lot by variant id */
+export async function lotMap() {
+  const lots = await getStore().list(COLLECTION);
+  return new Map(lots.filter(Boolean).map((l) => [l.variantId, l]));
+}
+
+/**
+ * Makes `lot` the variant's current batch.
+ *
+ * @param {number} variantId
+ * @param {{ lot: string, purity: number, coa?: string, method?: string }} fields
+ *   `purity` is the tested percentage; `coa` the document's https URL
+ * @throws {Error} on an unknown variant or a malformed field
+ */
+export async function setLot(variantId, { lot, purity, coa, method = "HPLC" }, { actor } = {}) {
+  if (!ITEMS.some((i) => i.id === Number(variantId))) throw new Error(`No variant #${variantId}`);
+  const lotNumber = String(lot || "").trim().toUpperCase();
+  if (!LOT_PATTERN.test(lotNumber)) throw new Error("Lot numbers are 2–32 letters, digits or dashes");
+  if (!Number.isFinite(purity) || purity <= 0 || purity > 100) throw new Error("Purity must be a percentage above 0 and up to 100");
+  if (coa && !COA_URL_PATTERN.test(coa)) throw new Error("The COA must be an https URL");
+
+  return getStore().set(COLLECTION, Number(variantId), {
+    variantId: Number(variantId),
+    lot: lotNumber,
+    purity: Math.round(purity * 100) / 100,
+    method,
+    coa: coa || null,
+    updatedAt: new Date().toISOString(),
+    ...(actor ? { updatedBy: actor } : {}),
+  });
+}
+
+/** @returns {string|null} the lot's COA URL, if it has one */
+export function coaUrl(lot) {
+  return lot?.coa && COA_URL_PATTERN.test(lot.coa) ? lot.coa : null;
+}
+
+/** The part of a lot the mini app shows. */
+export function publicLot(lot) {
+  if (!lot) return null;
+  return { lot: lot.lot, purity: lot.purity, method: lot.method, updatedAt: lot.updatedAt, hasCoa: Boolean(coaUrl(lot)) };
+}
+
+/**
+ * Adds the current lot number to order items.
+ *
+ * @param {Array<{ id: number }>} items
+ * @param {{ overwrite?: boolean }} [options]  replace lots already recorded
+ *   (at shipment the shelf decides), otherwise only fill in missing ones
+ */
+export async function withLots(items, { overwrite = false } = {}) {
+  const lots = await lotMap();
+  return items.map((item) =>
+    item.lot && !overwrite ? item : { ...item, lot: lots.get(Number(item.id))?.lot || item.lot || null }
+  );
+}
@@ -0,0 +1,307 @@
+/**
+ * Order records, persisted through lib/store.js.
+ *
+ * /api/webhook writes one order per completed Checkout Session and
+ * /api/telegram one per paid Telegram invoice (lib/payments.js); /api/orders
+ * reads a customer's history back for the mini app's Orders tab. The order id
+ * is derived from the whole Stripe session or invoice id, so a redelivered
+ * event rewrites the same record instead of creating a duplicate.
+ *
+ * Statuses: awaiting_payment, processing, shipped, in_transit, delivered,
+ * payment_failed, expired, refunded, partially_refunded, disputed.
+ *
+ * Order shape:
+ *   { id, sessionId, invoiceId?, paymentIntentId, status, livemode, telegramUserId, telegramUsername,
+ *     payment?: { method: "telegram", chargeId, providerChargeId },
+ *     customer: { name, email },
+ *     shippingAddress: { name, line1, line2, city, state, postalCode, country } | null,
+ *     items: [{ id, productId, name, conc, price, qty, lot }],
+ *     subtotal, discount, shippingFee, total, currency, language,
+ *     promo: { code, discount } | null, referral: string | null,
+ *     tracking: { carrier, number, url } | null, settled,
+ *     createdAt, updatedAt, history: [{ status, at, actor?, note? }] }
+ *
+ * Money fields are in the order's `currency`; `language` is the customer's
+ * language (lib/i18n.js) for the bot's messages about the order. `settled`
+ * is true once the order's stock has been taken and its promo redemption
+ * counted (lib/payments.js settleOrder); orders from before it was tracked
+ * don't have it.
+ *
+ * Settled live orders also add their units to per-day sales counters
+ * (countSale), which rank the shop's "Popular" sort without reading every
+ * order. Likewise saveOrder keeps "order_index" keys, user:<telegramUserId>
+ * and pi:<paymentIntentId>, for the Orders tab and the refund and dispute
+ * webhooks.
+ */
+
+import { createHash } from "crypto";
+import { getStore } from "./store.js";
+import { findItem } from "./catalog.js";
+import { addressFromSession } from "./address.js";
+
+const COLLECTION = "orders";
+const INDEX_COLLECTION = "order_index";
+
+// Tracking step shown on the order card for each status
+export const ORDER_STEPS = {
+  processing: 1,
+  shipped: 2,
+  in_transit: 3,
+  delivered: 4,
+};
+
+/**
+ * "RL-" and 64 bits of a hash of the whole session or invoice id, so ids
+ * that only differ early on or in case don't share an order.
+ */
+export function orderIdForSession(sessionId) {
+  const hash = createHash("sha256").update(String(sessionId)).digest();
+  return `RL-${hash.readBigUInt64BE().toString(36).toUpperCase().padStart(13, "0")}`;
+}
+
+/** Compact cart encoding stored in Checkout Session metadata: "id x qty @ price,…" */
+export function encodeCart(lines) {
+  return lines.map((l) => `${l.id}x${l.qty}@${l.price}`).join(",");
+}
+
+export function decodeCart(encoded) {
+  if (!encoded) return [];
+  return encoded.split(",").flatMap((part) => {
+    const match = /^(\d+)x(\d+)@([\d.]+)$/.exec(part.trim());
+    if (!match) return [];
+    const [, id, qty, price] = match;
+    const entry = findItem(id);
+    return [{
+      id: Number(id),
+      productId: entry?.productId || null,
+      name: entry?.name || `Item #${id}`,
+      conc: entry?.conc || "",
+      price: Number(price),
+      qty: Number(qty),
+    }];
+  });
+}
+
+/**
+ * Builds an order record from a Checkout Session.
+ *
+ * @param {object} session   Stripe Checkout Session
+ * @param {string} [status]  defaults to "processing" (paid)
+ */
+export function orderFromSession(session, status = "processing") {
+  const meta = session.metadata || {};
+  const now = new Date().toISOString();
+  // Sessions created before multi-currency used *_usd keys
+  const discount = Number(meta.discount ?? meta.discount_usd ?? 0);
+  const hasPromo = meta.promo_code && meta.promo_code !== "none";
+
+  return {
+    id: orderIdForSession(session.id),
+    sessionId: session.id,
+    paymentIntentId: session.payment_intent || null,
+    status,
+    telegramUserId: meta.telegram_user_id || null,
+    telegramUsername: meta.telegram_username || null,
+    customer: {
+      name: meta.customer_name || "Guest",
+      email: meta.customer_email || session.customer_email || "",
+    },
+    shippingAddress: addressFromSession(session) || meta.shipping_address || null,
+    items: decodeCart(meta.cart),
+    subtotal: Number(meta.subtotal ?? meta.subtotal_usd ?? 0),
+    discount,
+    shippingFee: Number(meta.shipping ?? meta.shipping_usd ?? 0),
+    total: session.amount_total != null ? session.amount_total / 100 : Number(meta.total ?? meta.total_usd ?? 0),
+    currency: session.currency || meta.currency || "usd",
+    language: meta.telegram_language || null,
+    promo: hasPromo ? { code: meta.promo_code, discount } : null,
+    referral: meta.referral || null,
+    livemode: Boolean(session.livemode),
+    settled: false,
+    createdAt: now,
+    updatedAt: now,
+    history: [{ status, at: now }],
+  };
+}
+
+/**
+ * Builds an order record from a paid Telegram invoice (lib/payments.js).
+ *
+ * @param {object} invoice   the stored invoice
+ * @param {object} payment   Bot API SuccessfulPayment
+ */
+export function orderFromInvoice(invoice, payment, status = "processing") {
+  const now = new Date().toISOString();
+  return {
+    id: orderIdForSession(invoice.id),
+    sessionId: null,
+    invoiceId: invoice.id,
+    paymentIntentId: null,
+    payment: {
+      method: "telegram",
+      chargeId: payment.telegram_payment_charge_id,
+      providerChargeId: payment.provider_payment_charge_id || null,
+    },
+    status,
+    telegramUserId: invoice.userId,
+    telegramUsername: invoice.username,
+    customer: invoice.customer,
+    shippingAddress: invoice.address,
+    items: invoice.lines.map(({ id, productId, name, conc, price, qty }) => ({ id, productId, name, conc, price, qty })),
+    subtotal: invoice.subtotal,
+    discount: invoice.discount,
+    shippingFee: invoice.shippingFee,
+    total: payment.total_amount / 100,
+    currency: String(payment.currency).toLowerCase(),
+    language: invoice.language || null,
+    promo: invoice.promo,
+    referral: invoice.referral || null,
+    livemode: invoice.livemode,
+    settled: false,
+    createdAt: now,
+    updatedAt: now,
+    history: [{ status, at: now }],
+  };
+}
+
+export async function saveOrder(order) {
+  const saved = await getStore().set(COLLECTION, order.id, order);
+  await indexOrder(order);
+  return saved;
+}
+
+// Neither changes once an order is created, so only saveOrder indexes
+async function indexOrder(order) {
+  const store = getStore();
+  if (order.telegramUserId) {
+    await store.update(INDEX_COLLECTION, `user:${order.telegramUserId}`, (current) => {
+      const orderIds = current?.orderIds || [];
+      return orderIds.includes(order.id) ? current : { orderIds: [...orderIds, order.id] };
+    });
+  }
+  if (order.paymentIntentId) await store.set(INDEX_COLLECTION, `pi:${order.paymentIntentId}`, { orderId: order.id });
+}
+
+// Orders saved before the index existed are indexed once, on the first lookup
+let indexed = false;
+async function ensureIndexed() {
+  if (indexed) return;
+  const store = getStore();
+  if (!(await store.get(INDEX_COLLECTION, "built"))) {
+    for (const order of await listOrders()) await indexOrder(order);
+    await store.set(INDEX_COLLECTION, "built", { at: new Date().toISOString() });
+  }
+  indexed = true;
+}
+
+export async function getOrder(id) {
+  return getStore().get(COLLECTION, String(id).toUpperCase());
+}
+
+/** Read-modify-write; `fn` receives the current order and returns the new one. */
+export async function updateOrder(id, fn) {
+  return getStore().update(COLLECTION, String(id).toUpperCase(), async (current) => {
+    if (!current) return undefined;
+    return { ...(await fn(current)), updatedAt: new Date().toISOString() };
+  });
+}
+
+export async function listOrders() {
+  const orders = await getStore().list(COLLECTION);
+  return orders.filter(Boolean).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+export async function findOrderByPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  await ensureIndexed();
+  const entry = await getStore().get(INDEX_COLLECTION, `pi:${paymentIntentId}`);
+  const order = entry && (await getOrder(entry.orderId));
+  return order?.paymentIntentId === paymentIntentId ? order : null;
+}
+
+const SALES_COLLECTION = "sales";
+// How many days of sales counts are kept; enough for /api/products' window
+const SALES_DAYS = 60;
+
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Adds a settled order's units to the per-variant sales counters, kept
+ * per day of ordering (lib/payments.js settleOrder); `sign` -1
+ * takes them off again when a settled order's payment fails. Test-mode
+ * orders aren't counted.
+ *
+ * @param {object} order
+ * @param {1|-1} [sign]
+ */
+export async function countSale(order, sign = 1) {
+  if (order.livemode === false) return;
+  const day = dayOf(order.createdAt || Date.now());
+  const oldest = dayOf(Date.now() - SALES_DAYS * 86400000);
+  await getStore().update(SALES_COLLECTION, "daily", (current) => {
+    const days = Object.fromEntries(Object.entries(current?.days || {}).filter(([d]) => d >= oldest));
+    if (day >= oldest) {
+      const units = { ...days[day] };
+      for (const item of order.items) units[item.id] = Math.max(0, (units[item.id] || 0) + sign * item.qty);
+      days[day] = units;
+    }
+    return { days };
+  });
+}
+
+/**
+ * Units sold per variant since `since`, for ranking the shop by popularity.
+ * Read from the counters countSale keeps, so only settled live orders of
+ * the last SALES_DAYS count.
+ *
+ * @param {{ since?: Date }} [options]
+ * @returns {Promise<Map<number, number>>}
+ */
+export async function unitsSold({ since } = {}) {
+  const from = since ? dayOf(since) : "";
+  const units = new Map();
+  const record = await getStore().get(SALES_COLLECTION, "daily");
+  for (const [day, counts] of Object.entries(record?.days || {})) {
+    if (day < from) continue;
+    for (const [id, qty] of Object.entries(counts)) units.set(Number(id), (units.get(Number(id)) || 0) + qty);
+  }
+  return units;
+}
+
+/** A customer's orders; sessions that expired unpaid never show up here. */
+export async function listOrdersForUser(telegramUserId) {
+  if (!telegramUserId) return [];
+  await ensureIndexed();
+  const entry = await getStore().get(INDEX_COLLECTION, `user:${telegramUserId}`);
+  const orders = await Promise.all((entry?.orderIds || []).map(getOrder));
+  return orders
+    .filter((o) => o && o.telegramUserId === String(telegramUserId) && o.status !== "expired")
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+/** Appends a status change to the order's history. */
+export function withStatus(order, status, extra = {}) {
+  return {
+    ...order,
+    status,
+    history: [...(order.history || []), { status, at: new Date().toISOString(), ...extra }],
+  };
+}
+
+/** The subset of an order the customer's mini app gets to see. */
+export function publicOrder(order) {
+  return {
+    id: order.id,
+    status: order.status,
+    step: ORDER_STEPS[order.status] || 0,
+    items: order.items.map(({ name, conc, qty, price, lot }) => ({ name, conc, qty, price, lot: lot || null })),
+    subtotal: order.subtotal,
+    discount: order.discount,
+    shippingFee: order.shippingFee,
+    total: order.total,
+    currency: order.currency || "usd",
+    promo: order.promo,
+    tracking: order.tracking || null,
+    createdAt: order.createdAt,
+  };
+}
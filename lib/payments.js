@@ -0,0 +1,310 @@
+/**
+ * Payment paths the mini app offers, Telegram Payments invoices, and what
+ * happens once an order is placed whichever way the customer paid.
+ *
+ *   stripe     Stripe Checkout in the browser: /api/checkout creates the
+ *              session, /api/webhook records the order
+ *   telegram   a Bot API invoice opened in-app with WebApp.openInvoice:
+ *              /api/invoice creates it, /api/telegram answers the
+ *              pre_checkout_query and records the successful_payment
+ *
+ * Both paths end in announceOrder(), so stock, promo redemptions and the
+ * staff alert work the same. Only paid orders take stock and count their
+ * redemption (settleOrder); a Stripe order awaiting a delayed payment keeps
+ * its hold until the payment clears, or releaseOrder() gives it back when
+ * the payment fails.
+ *
+ * Invoices live in lib/store.js and hold their stock like a Checkout Session
+ * (lib/inventory.js). The invoice payload is the invoice id.
+ *
+ * Environment variables:
+ *   PAYMENT_METHODS                   "stripe", "telegram" or "stripe,telegram"
+ *                                     (default "stripe"); the first is offered first
+ *   TELEGRAM_PAYMENT_PROVIDER_TOKEN   from BotFather → Payments, required for
+ *                                     "telegram"; a test token (…:TEST:…) marks
+ *                                     its orders as test mode
+ */
+
+import { getStore } from "./store.js";
+import { CartError, priceOrder, reserveLines } from "./cart.js";
+import { commitStock, holdStock, releaseHold, returnStock } from "./inventory.js";
+import { recordRedemption, reverseRedemption } from "./promo.js";
+import { formatAddress } from "./address.js";
+import { formatMoney } from "./currency.js";
+import { t } from "./i18n.js";
+import { telegramName } from "./auth.js";
+import { withLots } from "./lots.js";
+import { markRecovered } from "./recovery.js";
+import { countSale, getOrder, orderFromInvoice, orderIdForSession, saveOrder, updateOrder } from "./orders.js";
+import { callTelegram, escapeMarkdown, notifyGroup, sendTelegramMessage } from "./telegram.js";
+
+const INVOICES_COLLECTION = "invoices";
+
+// Stock is held this long after the invoice is created, and again once Telegram asks to charge it
+const INVOICE_HOLD_MS = 30 * 60 * 1000;
+const PRE_CHECKOUT_HOLD_MS = 15 * 60 * 1000;
+// Delayed payments (bank debits and the like) can take several business days to clear
+const DELAYED_PAYMENT_HOLD_MS = 14 * 24 * 60 * 60 * 1000;
+
+export class PaymentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PaymentError";
+    this.status = status;
+  }
+}
+
+function providerToken() {
+  return process.env.TELEGRAM_PAYMENT_PROVIDER_TOKEN || "";
+}
+
+/** @returns {Array<"stripe"|"telegram">} payment paths to offer, in order */
+export function paymentMethods() {
+  const configured = (process.env.PAYMENT_METHODS || "stripe")
+    .split(",")
+    .map((m) => m.trim().toLowerCase())
+    .filter((m) => m === "stripe" || (m === "telegram" && providerToken()));
+  return configured.length ? [...new Set(configured)] : ["stripe"];
+}
+
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Creates a Telegram invoice link for a priced order and holds its stock.
+ *
+ * @param {{ user: object, priced: object, address: object, referral?: string|null, language?: string }} order
+ *   `priced` is the result of priceOrder(), which sets the invoice currency;
+ *   `address` a validated shipping address; `referral` a deep link referral
+ *   tag (lib/deeplinks.js); `language` the customer's language for the
+ *   invoice itself, the pre-checkout answer and the confirmation message
+ *   (lib/i18n.js)
+ * @returns {Promise<{ invoice: object, url: string }>}
+ * @throws {PaymentError} when Telegram Payments isn't offered or the link can't be created
+ * @throws {CartError} when another checkout got the stock first
+ */
+export async function createInvoice({ user, priced, address, referral = null, language = "en" }) {
+  if (!paymentMethods().includes("telegram")) throw new PaymentError("Telegram payments aren't available", 503);
+
+  const { lines, subtotal, discount, shipping, total, promo } = priced;
+  const now = Date.now();
+  const invoice = {
+    id: `tginv_${now.toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    userId: String(user.id),
+    username: user.username || null,
+    customer: { name: address.name || telegramName(user) || "Guest", email: address.email || "" },
+    address,
+    lines: lines.map(({ id, productId, name, conc, price, qty }) => ({ id, productId, name, conc, price, qty })),
+    subtotal,
+    discount,
+    shippingFee: shipping.fee,
+    total,
+    currency: priced.currency,
+    promo: promo?.valid ? { code: promo.code, discount } : null,
+    referral,
+    language,
+    livemode: !providerToken().includes(":TEST:"),
+    createdAt: new Date(now).toISOString(),
+    paidAt: null,
+  };
+
+  const prices = [
+    ...lines.map((l) => ({ label: `${l.name} ${l.conc} ×${l.qty}`.slice(0, 64), amount: toCents(l.price) * l.qty })),
+    ...(discount > 0 ? [{ label: t(language, "invoice.promo", { code: invoice.promo.code }), amount: -toCents(discount) }] : []),
+    ...(shipping.fee > 0 ? [{ label: t(language, "invoice.shipping"), amount: toCents(shipping.fee) }] : []),
+  ];
+  await reserveLines(invoice.id, invoice.lines, now + INVOICE_HOLD_MS, { language });
+  const result = await callTelegram("createInvoiceLink", {
+    title: t(language, "invoice.title"),
+    description: `${lines.map((l) => `${l.name} (${l.conc}) x${l.qty}`).join(", ")}. ${t(language, "invoice.researchOnly")}`.slice(0, 255),
+    payload: invoice.id,
+    provider_token: providerToken(),
+    currency: priced.currency.toUpperCase(),
+    prices,
+  });
+  if (!result.ok) {
+    await releaseHold(invoice.id);
+    throw new PaymentError("Could not start Telegram checkout", 502);
+  }
+
+  await getStore().set(INVOICES_COLLECTION, invoice.id, invoice);
+  return { invoice, url: result.result };
+}
+
+/**
+ * Final check before Telegram charges the customer: the invoice is theirs and
+ * unpaid, the items are still in stock and the price hasn't changed.
+ *
+ * @param {object} query   Bot API PreCheckoutQuery
+ * @returns {Promise<object>} the answerPreCheckoutQuery result
+ */
+export async function answerPreCheckout(query) {
+  const answer = (errorMessage) =>
+    callTelegram("answerPreCheckoutQuery", {
+      pre_checkout_query_id: query.id,
+      ok: !errorMessage,
+      ...(errorMessage ? { error_message: errorMessage } : {}),
+    });
+
+  const invoice = await getStore().get(INVOICES_COLLECTION, query.invoice_payload);
+  if (!invoice || invoice.userId !== String(query.from?.id)) {
+    return answer(t(query.from?.language_code, "invoice.expired"));
+  }
+  const language = invoice.language;
+  if (invoice.paidAt) return answer(t(language, "invoice.alreadyPaid"));
+  // Invoices from before multi-currency were all USD
+  const currency = invoice.currency || "usd";
+  if (query.currency !== currency.toUpperCase() || query.total_amount !== toCents(invoice.total)) {
+    return answer(t(language, "invoice.amountMismatch"));
+  }
+
+  try {
+    const priced = await priceOrder({
+      items: invoice.lines.map(({ id, qty }) => ({ id, qty })),
+      promoCode: invoice.promo?.code || null,
+      excludeHold: invoice.id,
+      currency,
+      language,
+    });
+    if (toCents(priced.total) !== toCents(invoice.total)) {
+      return answer(t(language, "invoice.priceChanged"));
+    }
+    await reserveLines(invoice.id, invoice.lines, Date.now() + PRE_CHECKOUT_HOLD_MS, { language });
+  } catch (err) {
+    if (err instanceof CartError) return answer(t(language, "invoice.cartProblem", { error: err.message }));
+    console.error("[Payments] Pre-checkout check failed:", err);
+    return answer(t(language, "invoice.unavailable"));
+  }
+
+  return answer(null);
+}
+
+/**
+ * Records a successful Telegram payment as an order. A redelivered update
+ * returns the order already recorded, or finishes settling and announcing it
+ * when the earlier delivery failed part-way.
+ *
+ * @param {object} message   Bot API message carrying `successful_payment`
+ * @returns {Promise<object|null>} the order, or null for an unknown invoice
+ */
+export async function completeTelegramPayment(message) {
+  const payment = message.successful_payment;
+  const invoice = await getStore().get(INVOICES_COLLECTION, payment.invoice_payload);
+  if (!invoice) {
+    console.error(`[Payments] Payment for unknown invoice ${payment.invoice_payload} (${payment.telegram_payment_charge_id})`);
+    return null;
+  }
+
+  const existing = await getOrder(orderIdForSession(invoice.id));
+  if (existing && existing.settled !== false) return existing;
+
+  const built = existing ? null : orderFromInvoice(invoice, payment);
+  const order = existing || (await saveOrder({ ...built, items: await withLots(built.items) }));
+  await getStore().update(INVOICES_COLLECTION, invoice.id, (current) =>
+    current ? { ...current, paidAt: new Date().toISOString(), orderId: order.id } : undefined
+  );
+
+  await announceOrder(order, {
+    holdId: invoice.id,
+    paid: true,
+    testMode: !order.livemode,
+    via: "Telegram",
+    reference: `💳 Charge: \`${escapeMarkdown(payment.telegram_payment_charge_id.slice(-12))}\``,
+  });
+  await sendTelegramMessage(
+    message.chat.id,
+    t(order.language, "bot.payment.confirmed", { id: order.id, total: formatMoney(order.total, order.currency) })
+  );
+  return order;
+}
+
+/**
+ * Takes a paid order's items off the shelf, drops its stock hold and counts
+ * its sales (lib/orders.js countSale) and promo redemption. Settled orders are left alone, so a redelivered
+ * payment event doesn't take the stock twice; so are orders from before
+ * `settled` was tracked, which took both when they were placed.
+ *
+ * @param {object} order
+ * @param {string} holdId   the order's stock hold (session or invoice id)
+ * @returns {Promise<object>} the order, marked settled
+ */
+export async function settleOrder(order, holdId) {
+  if (order.settled !== false) return order;
+  await commitStock(holdId, order.items);
+  await countSale(order);
+
+  if (order.promo) {
+    await recordRedemption(order.promo.code, { orderId: order.id, amount: order.discount }).catch((err) =>
+      console.error("[Payments] Could not record promo redemption:", err)
+    );
+  }
+  return (await updateOrder(order.id, (o) => ({ ...o, settled: true }))) || { ...order, settled: true };
+}
+
+/**
+ * Gives back what an order whose payment failed was keeping: its stock hold
+ * and, if it had been settled (or predates `settled`), the stock and the
+ * promo redemption. Only orders settled here had their sales counted.
+ *
+ * @param {object} order
+ * @param {string} holdId
+ * @returns {Promise<object>} the order, marked unsettled
+ */
+export async function releaseOrder(order, holdId) {
+  await releaseHold(holdId);
+  if (order.settled === false) return order;
+  await returnStock(order.items);
+  if (order.settled) await countSale(order, -1);
+
+  if (order.promo) {
+    await reverseRedemption(order.promo.code, { amount: order.discount }).catch((err) =>
+      console.error("[Payments] Could not reverse promo redemption:", err)
+    );
+  }
+  return (await updateOrder(order.id, (o) => ({ ...o, settled: false }))) || { ...order, settled: false };
+}
+
+/**
+ * Everything that follows a new order, for either payment path: settles a
+ * paid order (settleOrder) or keeps holding an unpaid one's stock until its
+ * delayed payment resolves, closes out abandoned carts it recovered and
+ * alerts staff.
+ *
+ * @param {object} order
+ * @param {{ holdId: string, paid: boolean, testMode: boolean, via: string, reference: string, notify?: Function }} details
+ *   `holdId` is the order's stock hold (session or invoice id); `reference`
+ *   a Markdown line identifying the payment; `notify` sends the staff alert
+ *   (default notifyGroup)
+ * @returns {Promise<object>} the order as stored
+ */
+export async function announceOrder(order, { holdId, paid, testMode, via, reference, notify = notifyGroup }) {
+  if (paid) {
+    order = await settleOrder(order, holdId);
+    // An earlier abandoned checkout that ended in this order counts as recovered
+    await markRecovered(order).catch((err) => console.error("[Payments] Could not mark cart recovered:", err));
+  } else if (order.status === "awaiting_payment") {
+    await holdStock(holdId, order.items, Date.now() + DELAYED_PAYMENT_HOLD_MS);
+  }
+
+  await notify([
+    `${testMode ? "🧪 *TEST MODE*\n" : ""}🛒 *New Order Received\\!*`,
+    `🧾 *Order:* \`${order.id}\``,
+    ``,
+    `👤 *Customer:* ${escapeMarkdown(order.customer?.name || "Guest")}`,
+    `📧 *Email:* ${escapeMarkdown(order.customer?.email || "N/A")}`,
+    `📍 *Ship To:* ${escapeMarkdown(formatAddress(order.shippingAddress) || "Not provided")}`,
+    order.promo
+      ? `🏷️ *Promo Code:* \`${escapeMarkdown(order.promo.code)}\`${order.discount > 0 ? ` (−${formatMoney(order.discount, order.currency)})` : ""}`
+      : null,
+    order.referral ? `🔗 *Referral:* \`${escapeMarkdown(order.referral)}\`` : null,
+    ``,
+    `📦 *Items:*`,
+    ...order.items.map((i) => `  • ${escapeMarkdown(`${i.name} (${i.conc}) x${i.qty}`)}`),
+    ``,
+    `🚚 *Shipping:* ${order.shippingFee > 0 ? formatMoney(order.shippingFee, order.currency) : "FREE"}`,
+    `💰 *Total:* ${formatMoney(order.total, order.currency)}`,
+    ``,
+    paid ? `✅ *Payment confirmed via ${via}*` : `⏳ *Awaiting delayed payment — do not ship yet*`,
+    reference,
+  ].filter((line) => line !== null).join("\n"));
+  return order;
+}
@@ -0,0 +1,175 @@
+/**
+ * Promo code engine.
+ *
+ * Codes are validated and priced on the server only; the mini app just sends
+ * the code the customer typed. Supported types:
+ *
+ *   percent        `value`% off eligible lines
+ *   amount         `value` off eligible lines (never below zero)
+ *   free_shipping  waives the flat shipping rate
+ *
+ * Optional rules on any code:
+ *   startsAt / expiresAt   ISO dates; outside the window the code is rejected
+ *   minSubtotal            cart subtotal (before discount) required
+ *   products / categories  limit the discount to these catalog product or
+ *                          category ids; at least one cart line must match
+ *   maxRedemptions         total completed orders allowed to use the code
+ *
+ * Money amounts (`value` of an amount code, `minSubtotal`) are either one
+ * number, used as is in every currency, or per currency like
+ * { "usd": 10, "eur": 9 }; a code with no amount for the cart's currency
+ * doesn't apply to it.
+ *
+ * Extra codes can be supplied without a deploy through the PROMO_CODES
+ * environment variable as a JSON array of the same shape. A code's `label`
+ * is shown as written; without one it's described in the customer's
+ * language (lib/i18n.js), as are the messages.
+ */
+
+import { getStore } from "./store.js";
+import { DEFAULT_CURRENCY, formatMoney } from "./currency.js";
+import { t } from "./i18n.js";
+
+const BUILT_IN_CODES = [
+  { code: "FREESHIP", type: "free_shipping" },
+  { code: "RAPIDSHIP", type: "free_shipping" },
+];
+
+const USAGE_COLLECTION = "promo_usage";
+
+function loadCodes() {
+  let extra = [];
+  if (process.env.PROMO_CODES) {
+    try {
+      extra = JSON.parse(process.env.PROMO_CODES);
+    } catch (err) {
+      console.error("[Promo] PROMO_CODES is not valid JSON:", err.message);
+    }
+  }
+  const byCode = new Map();
+  for (const def of [...BUILT_IN_CODES, ...extra]) {
+    if (def?.code) byCode.set(String(def.code).toUpperCase(), { ...def, code: String(def.code).toUpperCase() });
+  }
+  return byCode;
+}
+
+export function normalizeCode(code) {
+  return typeof code === "string" ? code.trim().toUpperCase() : "";
+}
+
+export function findPromo(code) {
+  return loadCodes().get(normalizeCode(code)) || null;
+}
+
+/** A money rule in `currency`: null when the code has none for it. */
+function amountIn(value, currency) {
+  if (value == null) return null;
+  const amount = typeof value === "object" ? value[currency] : value;
+  return amount == null ? null : Number(amount);
+}
+
+function describe(def, currency, language) {
+  if (def.label) return def.label;
+  if (def.type === "percent") return t(language, "promo.percentOff", { value: def.value });
+  if (def.type === "amount") return t(language, "promo.amountOff", { amount: formatMoney(amountIn(def.value, currency), currency) });
+  return t(language, "promo.freeShipping");
+}
+
+function invalid(code, message) {
+  return { code, valid: false, message, discount: 0, freeShipping: false };
+}
+
+/**
+ * Checks a code against the validated cart lines and prices the discount.
+ *
+ * @param {string} code
+ * @param {Array<{productId: string, cat?: string, price: number, qty: number}>} lines
+ * @param {{ now?: Date, currency?: string, language?: string }} [options]
+ *   `currency` is the lines' currency; `language` the customer's, for the
+ *   message and label
+ * @returns {Promise<{ code, valid, message, label?, type?, discount, freeShipping }>}
+ *   `discount` is in the lines' currency, already capped at the eligible amount.
+ */
+export async function evaluatePromo(code, lines, { now = new Date(), currency = DEFAULT_CURRENCY, language } = {}) {
+  const normalized = normalizeCode(code);
+  const def = findPromo(normalized);
+  if (!def) return invalid(normalized, t(language, "promo.invalid"));
+
+  if (def.startsAt && now < new Date(def.startsAt)) {
+    return invalid(normalized, t(language, "promo.notYet"));
+  }
+  if (def.expiresAt && now > new Date(def.expiresAt)) {
+    return invalid(normalized, t(language, "promo.expired"));
+  }
+
+  const minSubtotal = amountIn(def.minSubtotal, currency);
+  if ((def.type === "amount" && amountIn(def.value, currency) == null) || (def.minSubtotal != null && minSubtotal == null)) {
+    return invalid(normalized, t(language, "promo.currency", { currency: currency.toUpperCase() }));
+  }
+  const subtotalCents = lines.reduce((s, l) => s + Math.round(l.price * 100) * l.qty, 0);
+  if (minSubtotal && subtotalCents < Math.round(minSubtotal * 100)) {
+    return invalid(normalized, t(language, "promo.minSubtotal", { amount: formatMoney(minSubtotal, currency) }));
+  }
+
+  const scoped = def.products?.length || def.categories?.length;
+  const eligible = scoped
+    ? lines.filter((l) => def.products?.includes(l.productId) || def.categories?.includes(l.cat))
+    : lines;
+  if (!eligible.length) {
+    return invalid(normalized, t(language, "promo.notEligible"));
+  }
+
+  if (def.maxRedemptions) {
+    const used = (await getStore().get(USAGE_COLLECTION, normalized))?.count || 0;
+    if (used >= def.maxRedemptions) {
+      return invalid(normalized, t(language, "promo.limit"));
+    }
+  }
+
+  const eligibleCents = eligible.reduce((s, l) => s + Math.round(l.price * 100) * l.qty, 0);
+  let discountCents = 0;
+  if (def.type === "percent") {
+    discountCents = Math.round((eligibleCents * Number(def.value)) / 100);
+  } else if (def.type === "amount") {
+    discountCents = Math.round(amountIn(def.value, currency) * 100);
+  }
+  discountCents = Math.max(0, Math.min(discountCents, eligibleCents));
+
+  return {
+    code: normalized,
+    valid: true,
+    type: def.type,
+    label: describe(def, currency, language),
+    message: t(language, "promo.applied", { label: describe(def, currency, language) }),
+    discount: discountCents / 100,
+    freeShipping: def.type === "free_shipping",
+  };
+}
+
+/** Counts a completed order against the code's usage limit. */
+export async function recordRedemption(code, { orderId, amount } = {}) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return null;
+  return getStore().update(USAGE_COLLECTION, normalized, (current) => ({
+    code: normalized,
+    count: (current?.count || 0) + 1,
+    totalDiscount: Math.round(((current?.totalDiscount || 0) + (amount || 0)) * 100) / 100,
+    lastOrderId: orderId || current?.lastOrderId || null,
+    lastUsedAt: new Date().toISOString(),
+  }));
+}
+
+/** Takes back a redemption whose order was never paid. */
+export async function reverseRedemption(code, { amount } = {}) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return null;
+  return getStore().update(USAGE_COLLECTION, normalized, (current) =>
+    current
+      ? {
+          ...current,
+          count: Math.max(0, (current.count || 0) - 1),
+          totalDiscount: Math.max(0, Math.round(((current.totalDiscount || 0) - (amount || 0)) * 100) / 100),
+        }
+      : undefined
+  );
+}
@@ -0,0 +1,208 @@
+/**
+ * Abandoned checkout recovery, persisted through lib/store.js.
+ *
+ * When a Stripe Checkout Session expires unpaid and it belongs to a verified
+ * Telegram user, /api/webhook records it here. After RECOVERY_DELAY_MINUTES
+ * the /api/cron/recovery job has the bot send one reminder listing the cart,
+ * with a button that opens the mini app with that cart restored. Only the
+ * customer's latest abandoned cart is reminded, and never after they've
+ * ordered since or opted out with /stop.
+ *
+ * Any order the customer pays for afterwards marks their open records
+ * recovered (lib/payments.js), which /recovery in the bot reports on.
+ *
+ * The reminder is written in the customer's language and priced in the
+ * checkout's currency.
+ *
+ * Record shape:
+ *   { id, userId, orderId, items: [{ id, qty }], total, currency, language, abandonedAt, remindAt,
+ *     status: "pending"|"reminded"|"recovered"|"skipped", remindedAt, recoveredAt,
+ *     recoveredOrderId, skipReason }
+ *
+ * Optional environment variables:
+ *   RECOVERY_DELAY_MINUTES   wait after expiry before reminding (default 60)
+ */
+
+import { getStore } from "./store.js";
+import { findItem, itemPrice } from "./catalog.js";
+import { formatMoney, sumByCurrency } from "./currency.js";
+import { t } from "./i18n.js";
+import { availabilityMap } from "./inventory.js";
+import { MINI_APP_URL, callTelegram } from "./telegram.js";
+
+const COLLECTION = "recovery";
+const OPT_OUT_COLLECTION = "recovery_optouts";
+
+// Reminders for carts older than this are dropped rather than sent late
+const MAX_REMINDER_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+function delayMs() {
+  return (Number(process.env.RECOVERY_DELAY_MINUTES) || 60) * 60 * 1000;
+}
+
+export async function isOptedOut(telegramUserId) {
+  return Boolean(await getStore().get(OPT_OUT_COLLECTION, String(telegramUserId)));
+}
+
+/** /stop: no more cart reminders for this customer. */
+export async function optOut(telegramUserId) {
+  const userId = String(telegramUserId);
+  await getStore().set(OPT_OUT_COLLECTION, userId, { userId, at: new Date().toISOString() });
+  const store = getStore();
+  for (const record of await store.list(COLLECTION)) {
+    if (record.userId === userId && record.status === "pending") {
+      await store.set(COLLECTION, record.id, { ...record, status: "skipped", skipReason: "opted_out" });
+    }
+  }
+}
+
+/**
+ * Records an expired checkout for a reminder.
+ *
+ * @param {object} order   the expired order (lib/orders.js)
+ * @param {string} sessionId
+ * @returns {Promise<object|null>} the record, or null when there's nobody to remind
+ */
+export async function recordAbandoned(order, sessionId) {
+  if (!order?.telegramUserId || !order.items?.length) return null;
+  const existing = await getStore().get(COLLECTION, sessionId);
+  if (existing) return existing;
+
+  const now = Date.now();
+  const optedOut = await isOptedOut(order.telegramUserId);
+  return getStore().set(COLLECTION, sessionId, {
+    id: sessionId,
+    userId: order.telegramUserId,
+    orderId: order.id,
+    items: order.items.map(({ id, qty }) => ({ id, qty })),
+    total: order.total,
+    currency: order.currency || "usd",
+    language: order.language || null,
+    abandonedAt: new Date(now).toISOString(),
+    remindAt: new Date(now + delayMs()).toISOString(),
+    status: optedOut ? "skipped" : "pending",
+    remindedAt: null,
+    recoveredAt: null,
+    recoveredOrderId: null,
+    skipReason: optedOut ? "opted_out" : null,
+  });
+}
+
+/** Marks the customer's earlier abandoned carts recovered by a paid order. */
+export async function markRecovered(order) {
+  if (!order?.telegramUserId) return;
+  const store = getStore();
+  for (const record of await store.list(COLLECTION)) {
+    if (
+      record.userId === order.telegramUserId &&
+      (record.status === "pending" || record.status === "reminded") &&
+      record.abandonedAt <= order.createdAt
+    ) {
+      await store.set(COLLECTION, record.id, {
+        ...record,
+        status: "recovered",
+        recoveredAt: order.createdAt,
+        recoveredOrderId: order.id,
+      });
+    }
+  }
+}
+
+/** "1x2.8x1": the cart in the reminder's mini app link */
+export function encodeRecoveryCart(items) {
+  return items.map(({ id, qty }) => `${id}x${qty}`).join(".");
+}
+
+function reminderText(items, { currency, language }) {
+  const amount = ({ item, qty }) => itemPrice(item, currency) * qty;
+  const lines = items.map(
+    (entry) => `• ${entry.item.name} (${entry.item.conc}) ×${entry.qty} — ${formatMoney(amount(entry), currency)}`
+  );
+  const subtotal = items.reduce((s, entry) => s + amount(entry), 0);
+  return [
+    t(language, "bot.reminder.title"),
+    "",
+    ...lines,
+    "",
+    t(language, "bot.reminder.subtotal", { amount: formatMoney(subtotal, currency) }),
+    t(language, "bot.reminder.cta"),
+  ].join("\n");
+}
+
+/**
+ * Sends every reminder that's due. Run by /api/cron/recovery.
+ *
+ * @returns {Promise<{ sent: number, skipped: number }>}
+ */
+export async function sendDueReminders(now = Date.now()) {
+  const store = getStore();
+  const pending = (await store.list(COLLECTION)).filter((r) => r.status === "pending");
+  const due = pending.filter((r) => new Date(r.remindAt).getTime() <= now);
+  if (!due.length) return { sent: 0, skipped: 0 };
+
+  const availability = await availabilityMap();
+  const skip = (record, reason) => store.set(COLLECTION, record.id, { ...record, status: "skipped", skipReason: reason });
+  let sent = 0;
+  let skipped = 0;
+
+  // One reminder per customer, for their latest cart
+  const latest = new Map();
+  for (const record of pending.sort((a, b) => a.abandonedAt.localeCompare(b.abandonedAt))) latest.set(record.userId, record);
+
+  for (const record of due) {
+    let reason = null;
+    if (latest.get(record.userId) !== record) reason = "superseded";
+    else if (now - new Date(record.abandonedAt).getTime() > MAX_REMINDER_AGE_MS) reason = "too_old";
+    else if (await isOptedOut(record.userId)) reason = "opted_out";
+
+    const items = record.items
+      .map(({ id, qty }) => ({ item: findItem(id), qty }))
+      .filter(({ item }) => item && availability.get(item.id)?.state !== "sold_out");
+    if (!reason && !items.length) reason = "unavailable";
+    if (reason) {
+      await skip(record, reason);
+      skipped++;
+      continue;
+    }
+
+    const currency = record.currency || "usd";
+    const cart = encodeRecoveryCart(items.map(({ item, qty }) => ({ id: item.id, qty })));
+    const url = `${MINI_APP_URL}?cart=${cart}&currency=${currency}`;
+    const result = await callTelegram("sendMessage", {
+      chat_id: record.userId,
+      text: reminderText(items, { currency, language: record.language }),
+      reply_markup: { inline_keyboard: [[{ text: t(record.language, "bot.button.cart"), web_app: { url } }]] },
+    });
+    if (!result.ok) {
+      // Usually the customer never started the bot or blocked it
+      await skip(record, "undeliverable");
+      skipped++;
+      continue;
+    }
+    await store.set(COLLECTION, record.id, { ...record, status: "reminded", remindedAt: new Date(now).toISOString() });
+    sent++;
+  }
+  return { sent, skipped };
+}
+
+/**
+ * Recovered-versus-abandoned counts for staff. Values are by currency
+ * (lib/currency.js sumByCurrency).
+ *
+ * @param {{ since?: Date }} [options]
+ */
+export async function recoveryStats({ since } = {}) {
+  const records = (await getStore().list(COLLECTION)).filter((r) => !since || new Date(r.abandonedAt) >= since);
+  const recovered = records.filter((r) => r.status === "recovered");
+  return {
+    abandoned: records.length,
+    abandonedValue: sumByCurrency(records, (r) => r.total),
+    reminded: records.filter((r) => r.remindedAt).length,
+    pending: records.filter((r) => r.status === "pending").length,
+    recovered: recovered.length,
+    recoveredAfterReminder: recovered.filter((r) => r.remindedAt).length,
+    recoveredValue: sumByCurrency(recovered, (r) => r.total),
+    optedOut: records.filter((r) => r.skipReason === "opted_out").length,
+    undeliverable: records.filter((r) => r.skipReason === "undeliverable").length,
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Shipping rules. The mini app's cart sheet and the Stripe Checkout session
+ * both use this module, so the customer is charged what the app showed.
+ *
+ * The flat rate and free-shipping threshold are set per currency in
+ * lib/currency.js. The quote's `label` (also the Stripe shipping option's
+ * name) is in the customer's language.
+ */
+
+import { CURRENCIES, DEFAULT_CURRENCY, normalizeCurrency } from "./currency.js";
+import { t } from "./i18n.js";
+
+/** @returns {{ flatRate: number, freeShippingThreshold: number }} in `currency` */
+export function shippingRates(currency = DEFAULT_CURRENCY) {
+  const { flatRate, freeShippingThreshold } = CURRENCIES[normalizeCurrency(currency) || DEFAULT_CURRENCY];
+  return { flatRate, freeShippingThreshold };
+}
+
+/**
+ * @param {number} subtotal   validated cart subtotal in `currency`, after discounts
+ * @param {{ freeShipping?: boolean, currency?: string, language?: string }} [options]
+ *   `freeShipping` is set by free-shipping promo codes
+ * @returns {{ fee: number, free: boolean, reason: "threshold"|"promo"|null, amountToFree: number, label: string, currency: string }}
+ */
+export function quoteShipping(subtotal, { freeShipping = false, currency = DEFAULT_CURRENCY, language } = {}) {
+  const { flatRate, freeShippingThreshold } = shippingRates(currency);
+  const overThreshold = subtotal >= freeShippingThreshold;
+  const free = overThreshold || freeShipping;
+  return {
+    fee: free ? 0 : flatRate,
+    free,
+    reason: overThreshold ? "threshold" : freeShipping ? "promo" : null,
+    amountToFree: free ? 0 : Math.round((freeShippingThreshold - subtotal) * 100) / 100,
+    label: t(language, free ? "shipping.free" : "shipping.standard"),
+    currency: normalizeCurrency(currency) || DEFAULT_CURRENCY,
+  };
+}
+
+/** Checkout Session `shipping_options` entry for a quote. */
+export function stripeShippingOption(quote) {
+  return {
+    shipping_rate_data: {
+      type: "fixed_amount",
+      display_name: quote.label,
+      fixed_amount: { amount: Math.round(quote.fee * 100), currency: quote.currency },
+    },
+  };
+}
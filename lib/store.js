@@ -0,0 +1,263 @@
+/**
+ * Pluggable key/value storage shared by the API functions.
+ *
+ * Records live in named collections (e.g. "orders", "promo_usage"). Every
+ * driver implements the same async interface:
+ *
+ *   get(collection, key)            → value | null
+ *   set(collection, key, value)     → value
+ *   update(collection, key, fn)     → fn(current | null) stored and returned;
+ *                                     returning undefined leaves it untouched;
+ *                                     updates to one record run one at a time
+ *   delete(collection, key)         → boolean
+ *   list(collection)                → value[]
+ *
+ * Drivers (STORE_DRIVER):
+ *   redis   Redis over HTTP (Vercel KV or Upstash), one hash per collection;
+ *           the default when its URL and token are set. Every serverless
+ *           instance sees the same data, so this is the one for deployments
+ *   memory  default otherwise; per-instance, lost on cold start — for local
+ *           development and tests only
+ *   file    one JSON file per collection under DATA_DIR (default ./.data);
+ *           needs a writable disk, so not on Vercel
+ *
+ * getStore() throws rather than fall back to a driver that would lose data:
+ * memory in production (NODE_ENV or VERCEL_ENV "production") and file on
+ * Vercel are refused.
+ *
+ * Environment variables:
+ *   KV_REST_API_URL, KV_REST_API_TOKEN   set by Vercel KV; or
+ *   UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN
+ *   STORE_PREFIX    key prefix in Redis (default "rr"), to share a database
+ *   STORE_DRIVER
+ *   DATA_DIR
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+
+function createMemoryStore() {
+  const collections = new Map();
+  const bucket = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  // Serialize updates to the same record, as the other drivers' locks do
+  const queues = new Map();
+  const exclusive = (id, fn) => {
+    const run = (queues.get(id) || Promise.resolve()).then(fn, fn);
+    const settled = run.catch(() => {});
+    queues.set(id, settled);
+    settled.then(() => queues.get(id) === settled && queues.delete(id));
+    return run;
+  };
+
+  return {
+    async get(collection, key) {
+      return bucket(collection).get(String(key)) ?? null;
+    },
+    async set(collection, key, value) {
+      bucket(collection).set(String(key), value);
+      return value;
+    },
+    update(collection, key, fn) {
+      return exclusive(`${collection}:${key}`, async () => {
+        const current = bucket(collection).get(String(key)) ?? null;
+        const next = await fn(current);
+        if (next === undefined) return current;
+        bucket(collection).set(String(key), next);
+        return next;
+      });
+    },
+    async delete(collection, key) {
+      return bucket(collection).delete(String(key));
+    },
+    async list(collection) {
+      return [...bucket(collection).values()];
+    },
+  };
+}
+
+function createFileStore(dir) {
+  // Serialize read-modify-write cycles on each collection's file within this
+  // instance; an update() may write to another collection
+  const queues = new Map();
+  const exclusive = (collection, fn) => {
+    const run = (queues.get(collection) || Promise.resolve()).then(fn, fn);
+    queues.set(collection, run.catch(() => {}));
+    return run;
+  };
+
+  const fileFor = (collection) => path.join(dir, `${collection.replace(/[^a-z0-9_-]/gi, "_")}.json`);
+
+  async function load(collection) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(collection), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+  }
+
+  async function save(collection, data) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(collection);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(data, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  return {
+    async get(collection, key) {
+      const data = await load(collection);
+      return data[String(key)] ?? null;
+    },
+    set(collection, key, value) {
+      return exclusive(collection, async () => {
+        const data = await load(collection);
+        data[String(key)] = value;
+        await save(collection, data);
+        return value;
+      });
+    },
+    update(collection, key, fn) {
+      return exclusive(collection, async () => {
+        const data = await load(collection);
+        const current = data[String(key)] ?? null;
+        const next = await fn(current);
+        if (next === undefined) return current;
+        data[String(key)] = next;
+        await save(collection, data);
+        return next;
+      });
+    },
+    delete(collection, key) {
+      return exclusive(collection, async () => {
+        const data = await load(collection);
+        if (!(String(key) in data)) return false;
+        delete data[String(key)];
+        await save(collection, data);
+        return true;
+      });
+    },
+    async list(collection) {
+      return Object.values(await load(collection));
+    },
+  };
+}
+
+// How long an update() holds a record's lock, and how long another waits for it
+const LOCK_TTL_MS = 10000;
+const LOCK_WAIT_MS = 5000;
+
+// Deletes the lock only if it's still ours (it may have expired and been taken)
+const UNLOCK_SCRIPT = `if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end`;
+
+/**
+ * Redis through its REST API (Vercel KV and Upstash speak the same one).
+ * Collections are hashes of JSON values; update() takes a short lock on the
+ * record so read-modify-write cycles from different instances don't
+ * overwrite each other.
+ */
+function createRedisStore({ url, token, prefix = "rr" }) {
+  const base = url.replace(/\/+$/, "");
+  const hash = (collection) => `${prefix}:${collection}`;
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  async function command(...args) {
+    const res = await fetch(base, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args.map(String)),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.error) {
+      throw new Error(`Store ${args[0]} failed: ${data.error || res.status}`);
+    }
+    return data.result;
+  }
+
+  const parse = (value) => (value == null ? null : JSON.parse(value));
+
+  async function withLock(collection, key, fn) {
+    const lock = `${prefix}:lock:${collection}:${key}`;
+    const owner = crypto.randomUUID();
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    while ((await command("SET", lock, owner, "NX", "PX", LOCK_TTL_MS)) !== "OK") {
+      if (Date.now() > deadline) throw new Error(`Store record ${collection}/${key} is locked`);
+      await sleep(25 + Math.random() * 50);
+    }
+    try {
+      return await fn();
+    } finally {
+      await command("EVAL", UNLOCK_SCRIPT, 1, lock, owner).catch((err) =>
+        console.error("[Store] Could not release lock:", err.message)
+      );
+    }
+  }
+
+  return {
+    async get(collection, key) {
+      return parse(await command("HGET", hash(collection), key));
+    },
+    async set(collection, key, value) {
+      await command("HSET", hash(collection), key, JSON.stringify(value));
+      return value;
+    },
+    update(collection, key, fn) {
+      return withLock(collection, String(key), async () => {
+        const current = parse(await command("HGET", hash(collection), key));
+        const next = await fn(current);
+        if (next === undefined) return current;
+        await command("HSET", hash(collection), key, JSON.stringify(next));
+        return next;
+      });
+    },
+    async delete(collection, key) {
+      return (await command("HDEL", hash(collection), key)) > 0;
+    },
+    async list(collection) {
+      return ((await command("HVALS", hash(collection))) || []).map(parse);
+    },
+  };
+}
+
+/**
+ * The driver the environment asks for.
+ *
+ * @throws {Error} when that driver would lose data where we're running
+ */
+export function createStore(env = process.env) {
+  const url = env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL;
+  const token = env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN;
+  const driver = (env.STORE_DRIVER || (url && token ? "redis" : "memory")).toLowerCase();
+  const production = env.NODE_ENV === "production" || env.VERCEL_ENV === "production";
+
+  if (driver === "redis") {
+    if (!url || !token) {
+      throw new Error("STORE_DRIVER=redis needs KV_REST_API_URL and KV_REST_API_TOKEN (or the UPSTASH_REDIS_REST_* pair)");
+    }
+    return createRedisStore({ url, token, prefix: env.STORE_PREFIX || "rr" });
+  }
+  if (driver === "file") {
+    if (env.VERCEL) {
+      throw new Error("STORE_DRIVER=file can't be used on Vercel: the filesystem is read-only and per instance. Connect Vercel KV instead");
+    }
+    return createFileStore(path.resolve(env.DATA_DIR || ".data"));
+  }
+  if (driver !== "memory") {
+    throw new Error(`Unknown STORE_DRIVER "${driver}"`);
+  }
+  if (production) {
+    throw new Error("No shared store configured: set KV_REST_API_URL and KV_REST_API_TOKEN (Vercel KV) — the memory store loses data between instances");
+  }
+  return createMemoryStore();
+}
+
+let store = null;
+
+export function getStore() {
+  if (!store) store = createStore();
+  return store;
+}
@@ -0,0 +1,58 @@
+/**
+ * Telegram Bot API helpers shared by /api/telegram, /api/webhook and the
+ * order workflow. Failures are logged and reported through the return value
+ * rather than thrown — a missed notification must never fail an order.
+ *
+ * Environment variables:
+ *   TELEGRAM_BOT_TOKEN
+ *   TELEGRAM_GROUP_CHAT_ID   staff group that receives order alerts
+ */
+
+export const TELEGRAM_API = "https://api.telegram.org";
+
+export const MINI_APP_URL = "https://rapid-research-miniapp.vercel.app";
+
+/**
+ * Calls a Bot API method.
+ *
+ * @returns {Promise<object>} the Bot API response ({ ok, result } or { ok: false, description })
+ */
+export async function callTelegram(method, payload, token = process.env.TELEGRAM_BOT_TOKEN) {
+  if (!token) {
+    console.warn(`[Telegram] Bot token not configured — skipping ${method}`);
+    return { ok: false, description: "Telegram not configured" };
+  }
+  try {
+    const res = await fetch(`${TELEGRAM_API}/bot${token}/${method}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json();
+    if (!data.ok) {
+      console.error(`[Telegram] ${method} failed:`, data);
+    }
+    return data;
+  } catch (err) {
+    console.error(`[Telegram] ${method} error:`, err);
+    return { ok: false, description: err.message };
+  }
+}
+
+export function sendTelegramMessage(chatId, text, extra = {}) {
+  return callTelegram("sendMessage", { chat_id: chatId, text, ...extra });
+}
+
+/** Posts a Markdown alert to the staff group, if one is configured. */
+export async function notifyGroup(text) {
+  const groupChatId = process.env.TELEGRAM_GROUP_CHAT_ID;
+  if (!groupChatId) {
+    console.warn("[Telegram] Group chat not configured — skipping notification");
+    return { ok: false, description: "Group chat not configured" };
+  }
+  return sendTelegramMessage(groupChatId, text, { parse_mode: "Markdown" });
+}
+
+export function escapeMarkdown(text) {
+  return String(text || "").replace(/[_*[\]()~`>#+\-=|{}.!]/g, "\\$&");
+}
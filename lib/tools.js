@@ -0,0 +1,269 @@
+/**
+ * Tools the shopping assistant can call (OpenAI function-calling format).
+ *
+ * Lookup tools answer from the catalog, live stock and the verified user's
+ * own orders. Action tools (add_to_cart, apply_promo) don't touch any server
+ * state: they validate the request and return an `action` that /api/chat
+ * forwards to the mini app, which applies it to the local cart.
+ * escalate_to_human opens a support ticket (lib/handoff.js); the bot offers
+ * it on its own as ESCALATE_TOOL.
+ *
+ * Prices are in the customer's currency (`context.currency`, default usd).
+ */
+
+import { CATEGORIES, ITEMS, PRODUCTS, findItem, itemPrice, matchItems } from "./catalog.js";
+import { DEFAULT_CURRENCY } from "./currency.js";
+import { MAX_QTY_PER_LINE, CartError, validateCart } from "./cart.js";
+import { availabilityMap } from "./inventory.js";
+import { lotMap, publicLot } from "./lots.js";
+import { evaluatePromo } from "./promo.js";
+import { getOrder, listOrdersForUser, publicOrder } from "./orders.js";
+import { HandoffError, openTicket } from "./handoff.js";
+
+export const ESCALATE_TOOL = {
+  type: "function",
+  function: {
+    name: "escalate_to_human",
+    description:
+      "Hand the customer to a human on the support team. Use when they ask for a person, or have an order problem " +
+      "(missing, damaged, wrong item, refund, payment issue) you can't resolve with your tools.",
+    parameters: {
+      type: "object",
+      properties: { reason: { type: "string", description: "One line for staff on what the customer needs" } },
+      required: ["reason"],
+    },
+  },
+};
+
+export const TOOL_DEFINITIONS = [
+  {
+    type: "function",
+    function: {
+      name: "search_catalog",
+      description: "Search products by name, size or category. Returns matching variants with id, price and stock.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: 'Free text, e.g. "glp-3r 10mg" or "ghk"' },
+          category: { type: "string", enum: CATEGORIES.map((c) => c.id) },
+        },
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "get_product",
+      description: "Description and all variants (sizes, prices, stock, current lot and tested purity) of one product family.",
+      parameters: {
+        type: "object",
+        properties: { product: { type: "string", description: "Product name or id, e.g. GLP-1S" } },
+        required: ["product"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "check_stock",
+      description: "Current availability of specific variants.",
+      parameters: {
+        type: "object",
+        properties: { item_ids: { type: "array", items: { type: "integer" } } },
+        required: ["item_ids"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "order_status",
+      description: "Status and tracking of the customer's own orders. Omit order_id for their recent orders.",
+      parameters: {
+        type: "object",
+        properties: { order_id: { type: "string", description: "e.g. RL-1NLD5IJ3R4Y3X" } },
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "add_to_cart",
+      description: "Add a variant to the customer's cart. Only call when the customer asked for it and the variant is unambiguous.",
+      parameters: {
+        type: "object",
+        properties: {
+          item_id: { type: "integer", description: "Variant id from search_catalog or get_product" },
+          qty: { type: "integer", minimum: 1, maximum: MAX_QTY_PER_LINE },
+        },
+        required: ["item_id"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "apply_promo",
+      description: "Apply a promo code the customer gave you to their cart.",
+      parameters: {
+        type: "object",
+        properties: { code: { type: "string" } },
+        required: ["code"],
+      },
+    },
+  },
+  ESCALATE_TOOL,
+];
+
+const STOCK_LABELS = { in_stock: "in stock", low_stock: "low stock", sold_out: "sold out" };
+
+function describeItem(item, availability, currency) {
+  const a = availability.get(item.id);
+  return {
+    item_id: item.id,
+    name: item.name,
+    size: item.size,
+    conc: item.conc,
+    price: itemPrice(item, currency),
+    currency: currency.toUpperCase(),
+    stock: STOCK_LABELS[a.state],
+    ...(a.available !== null && a.state !== "in_stock" ? { available: a.available } : {}),
+  };
+}
+
+async function searchCatalog({ query, category }, { currency }) {
+  let items = query ? matchItems(query) : ITEMS;
+  if (category) items = items.filter((i) => i.cat === category);
+  const availability = await availabilityMap();
+  return { results: items.slice(0, 12).map((i) => describeItem(i, availability, currency)) };
+}
+
+async function getProduct({ product }, { currency }) {
+  const items = matchItems(product);
+  const productIds = [...new Set(items.map((i) => i.productId))];
+  if (productIds.length !== 1) {
+    return { error: productIds.length ? "More than one product matches; ask which one." : "No such product." };
+  }
+  const family = PRODUCTS.find((p) => p.id === productIds[0]);
+  const [availability, lots] = await Promise.all([availabilityMap(), lotMap()]);
+  return {
+    name: family.name,
+    description: family.description,
+    form: family.form,
+    purity: family.purity,
+    variants: ITEMS.filter((i) => i.productId === family.id).map((i) => {
+      const lot = publicLot(lots.get(i.id));
+      return { ...describeItem(i, availability, currency), ...(lot ? { lot: lot.lot, tested_purity: `${lot.purity}% (${lot.method})`, coa: lot.hasCoa } : {}) };
+    }),
+  };
+}
+
+async function checkStock({ item_ids }, { currency }) {
+  const availability = await availabilityMap();
+  const items = (Array.isArray(item_ids) ? item_ids : []).map(findItem).filter(Boolean);
+  if (!items.length) return { error: "No such item ids." };
+  return { results: items.map((i) => describeItem(i, availability, currency)) };
+}
+
+async function orderStatus({ order_id }, { user }) {
+  if (!user) return { error: "The customer isn't signed in through Telegram, so orders can't be looked up." };
+  if (order_id) {
+    const order = await getOrder(String(order_id).trim().toUpperCase());
+    // Someone else's order looks exactly like a missing one
+    if (!order || order.telegramUserId !== String(user.id)) return { error: `No order ${order_id} on this account.` };
+    return { order: publicOrder(order) };
+  }
+  const orders = await listOrdersForUser(user.id);
+  return { orders: orders.slice(0, 5).map(publicOrder) };
+}
+
+async function addToCart({ item_id, qty = 1 }, { cart, currency }) {
+  const item = findItem(item_id);
+  if (!item) return { error: "No such item id." };
+  const inCart = cart.find((l) => Number(l.id) === item.id)?.qty || 0;
+  if (!Number.isInteger(qty) || qty < 1 || inCart + qty > MAX_QTY_PER_LINE) {
+    return { error: `Quantity must keep the line between 1 and ${MAX_QTY_PER_LINE}; the cart already has ${inCart}.` };
+  }
+  const a = (await availabilityMap()).get(item.id);
+  if (a.state === "sold_out") return { error: `${item.name} ${item.size} is sold out.` };
+  if (a.available !== null && inCart + qty > a.available) {
+    return { error: `Only ${a.available} of ${item.name} ${item.size} available; the cart already has ${inCart}.` };
+  }
+  return {
+    result: { added: { item_id: item.id, name: item.name, size: item.size, qty }, cart_qty: inCart + qty },
+    action: { type: "add_to_cart", id: item.id, qty, name: item.name, size: item.size, price: itemPrice(item, currency) },
+  };
+}
+
+async function applyPromo({ code }, { cart, currency, language }) {
+  let lines;
+  try {
+    ({ lines } = validateCart(cart, { currency }));
+  } catch (err) {
+    if (err instanceof CartError) return { error: "The cart is empty or invalid; add items before applying a code." };
+    throw err;
+  }
+  const promo = await evaluatePromo(code, lines, { currency, language });
+  if (!promo.valid) return { error: promo.message };
+  return {
+    result: { code: promo.code, label: promo.label },
+    action: { type: "apply_promo", code: promo.code, label: promo.label },
+  };
+}
+
+async function escalateToHuman({ reason }, { user, via = "assistant", language }) {
+  if (!user) return { error: "The customer isn't signed in through Telegram, so staff can't reply to them." };
+  try {
+    const { ticket, created } = await openTicket(user, { via, reason, language });
+    return {
+      result: { ticket_id: ticket.id, already_open: !created, note: "AI replies are paused until staff close the ticket." },
+      action: { type: "handoff", ticketId: ticket.id },
+    };
+  } catch (err) {
+    if (err instanceof HandoffError) return { error: err.message };
+    throw err;
+  }
+}
+
+const HANDLERS = {
+  search_catalog: searchCatalog,
+  get_product: getProduct,
+  check_stock: checkStock,
+  order_status: orderStatus,
+  add_to_cart: addToCart,
+  apply_promo: applyPromo,
+  escalate_to_human: escalateToHuman,
+};
+
+/**
+ * Runs one tool call from the model.
+ *
+ * @param {string} name
+ * @param {string} rawArgs   JSON arguments as sent by the model
+ * @param {{ user: object|null, cart: Array<{id, qty}>, currency?: string, language?: string }} context
+ *   `cart` is the client's cart at the time of the request, updated in place
+ *   by add_to_cart so later calls in the same turn see it; `currency` prices
+ *   the results; `language` is the customer's, for promo labels and handoff
+ *   tickets.
+ * @returns {Promise<{ content: string, action?: object }>}
+ *   `content` is the tool message for the model; `action` goes to the client.
+ */
+export async function runTool(name, rawArgs, context) {
+  const handler = HANDLERS[name];
+  if (!handler) return { content: JSON.stringify({ error: `Unknown tool ${name}` }) };
+
+  let args;
+  try {
+    args = rawArgs ? JSON.parse(rawArgs) : {};
+  } catch {
+    return { content: JSON.stringify({ error: "Arguments were not valid JSON" }) };
+  }
+
+  const { result, error, action, ...rest } = await handler(args, { ...context, currency: context.currency || DEFAULT_CURRENCY });
+  if (action?.type === "add_to_cart") {
+    const line = context.cart.find((l) => Number(l.id) === action.id);
+    if (line) line.qty += action.qty;
+    else context.cart.push({ id: action.id, qty: action.qty });
+  }
+  return { content: JSON.stringify(error ? { error } : result ?? rest), action };
+}
@@ -0,0 +1,148 @@
+// The mini app (index.html) in jsdom, served its catalog and strings by the
+// real /api/products and /api/i18n handlers
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { JSDOM } from "jsdom";
+import { call } from "./helpers.mjs";
+
+const { default: products } = await import("../api/products.js");
+const { default: i18n } = await import("../api/i18n.js");
+
+const HANDLERS = { "/api/products": products, "/api/i18n": i18n };
+
+// Changes the next /api/products response before the app sees it
+let tamper = (body) => body;
+
+let window, document;
+const $ = (selector) => document.querySelector(selector);
+const $$ = (selector) => [...document.querySelectorAll(selector)];
+const settle = (ms = 50) => new Promise((resolve) => setTimeout(resolve, ms));
+
+before(async () => {
+  const dom = new JSDOM(await readFile(new URL("../index.html", import.meta.url), "utf8"), {
+    url: "http://localhost/",
+    runScripts: "dangerously",
+    pretendToBeVisual: true,
+    beforeParse(win) {
+      win.fetch = async (url) => {
+        const { pathname, searchParams } = new URL(url, "http://localhost/");
+        const handler = HANDLERS[pathname];
+        if (!handler) return { ok: false, status: 503, json: async () => ({ error: "offline" }) };
+        const res = await call(handler, { query: Object.fromEntries(searchParams) });
+        const body = handler === products ? tamper(structuredClone(res.body)) : res.body;
+        return { ok: res.statusCode < 400, status: res.statusCode, json: async () => body };
+      };
+      win.scrollTo = () => {};
+      win.alert = () => {
+        throw new Error("injected script ran");
+      };
+    },
+  });
+  ({ window } = dom);
+  ({ document } = window);
+  await new Promise((resolve) => window.addEventListener("load", resolve));
+  await settle(300);
+
+  $$(".age-check").forEach((box) => box.click());
+  $(".age-enter-btn").click();
+  await settle();
+});
+
+after(() => window.close());
+
+test("product cards are patched in place across renders, adds and re-sorts", async () => {
+  const card = $('.product-card[data-key="1"]');
+  const other = $('.product-card[data-key="2"]');
+  assert.ok(card && other);
+
+  card.querySelector(".add-btn").click();
+  await settle();
+  window.eval("render()");
+  assert.equal($('.product-card[data-key="1"]'), card);
+  assert.equal(card.querySelector(".qty-value").textContent, "1");
+
+  window.eval("setFilter('sort','price-desc')");
+  await settle();
+  assert.equal($('.product-card[data-key="2"]'), other);
+  const prices = $$(".product-card").map((c) => window.eval(`SHOP.products.find(p=>p.id===${c.dataset.key}).price`));
+  assert.deepEqual(prices, [...prices].sort((a, b) => b - a), "DOM order follows the sort");
+  window.eval("clearFilters()");
+  await settle();
+});
+
+test("a focused input keeps what the customer typed, and its focus, through renders", async () => {
+  window.eval("openSheet()");
+  await settle();
+  window.eval(
+    "S.quote={subtotal:1,discount:0,total:1,shipping:{free:false,fee:1,amountToFree:0},promo:null};goToShipping()"
+  );
+  await settle();
+
+  const name = $(".ship-input");
+  name.focus();
+  name.value = "Ada Lovel";
+  window.eval("render();render()");
+  assert.equal($(".ship-input"), name);
+  assert.equal(name.value, "Ada Lovel");
+  assert.equal(document.activeElement, name);
+
+  // An input that isn't focused is brought back to the state's value
+  const email = $$(".ship-input")[1];
+  email.value = "stale";
+  window.eval("render()");
+  assert.equal(email.value, window.eval("S.shipping.email") || "");
+
+  window.eval("closeSheet()");
+  await settle(400);
+});
+
+test("order cards are kept by order id when the list re-renders", async () => {
+  window.eval("setPage('orders')");
+  await settle();
+  const order = (status, step) =>
+    `{id:'RL-KEEP0001',status:'${status}',step:${step},items:[{name:'GHK-Cu',qty:1}],total:10,currency:'usd',createdAt:new Date().toISOString()}`;
+  window.eval(`S.ordersLoading=false;S.orders=[${order("processing", 1)}];render()`);
+  const card = $('.order-card[data-key="RL-KEEP0001"]');
+  assert.ok(card);
+
+  window.eval(`S.orders=[${order("shipped", 2)}];render()`);
+  assert.equal($('.order-card[data-key="RL-KEEP0001"]'), card);
+  assert.match(card.querySelector(".order-status").className, /shipped/);
+  window.eval("setPage('shop')");
+  await settle();
+});
+
+test("hostile product names, descriptions and tracking links are shown as text", async () => {
+  tamper = (body) => {
+    body.products[0].name = "<img src=x onerror=alert(1)>";
+    body.products[0].description = "<script>alert(2)</script><b>bold</b>";
+    return body;
+  };
+  await window.eval("loadCatalog()");
+  window.eval("render()");
+  await settle(100);
+  const id = window.eval("SHOP.products[0].id");
+
+  assert.ok($$(".product-name").some((n) => n.textContent === "<img src=x onerror=alert(1)>"));
+  window.eval(`openProduct(${id})`);
+  await settle();
+  assert.equal($("#productSheet .sheet-title").textContent, "<img src=x onerror=alert(1)>");
+  assert.equal($("#productSheet .detail-desc").textContent, "<script>alert(2)</script><b>bold</b>");
+  assert.equal($$("script").filter((s) => s.textContent.includes("alert(2)")).length, 0);
+  assert.equal($$("[onerror]").length + $$("img[src='x']").length + $$("#productSheet b").length, 0);
+  window.eval("closeProduct()");
+
+  window.eval("setPage('orders')");
+  await settle();
+  window.eval(
+    "S.ordersLoading=false;S.orders=[{id:'RL-HOSTILE1',status:'shipped',step:2,items:[{name:'<i>x</i>',qty:1}],total:10,currency:'usd',createdAt:new Date().toISOString(),tracking:{carrier:'UPS',number:'<b>1Z</b>',url:'javascript:alert(3)'}}];render()"
+  );
+  const link = $('.order-card[data-key="RL-HOSTILE1"] .order-tracking a');
+  assert.equal(link.getAttribute("href"), "#", "safeUrl drops non-http links");
+  assert.equal(link.textContent, "<b>1Z</b>");
+  assert.ok($(".order-items").textContent.includes("<i>x</i>"));
+
+  window.eval("S.orders[0].tracking.url='https://www.ups.com/track?tracknum=1Z';render()");
+  assert.equal(link.getAttribute("href"), "https://www.ups.com/track?tracknum=1Z");
+});
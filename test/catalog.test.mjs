@@ -0,0 +1,128 @@
+// Every surface that names or prices a product has to agree with lib/catalog.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { BOT_TOKEN, call, mockFetch, signInitData, stubStripe } from "./helpers.mjs";
+
+process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+process.env.STRIPE_SECRET_KEY = "sk_test_stub";
+process.env.LLM_PROVIDER = "openai";
+process.env.LLM_BASE_URL = "https://llm.test/v1";
+
+const { ITEMS, PRODUCTS } = await import("../lib/catalog.js");
+const { CURRENCIES, formatMoney } = await import("../lib/currency.js");
+const { default: products } = await import("../api/products.js");
+const { default: chat } = await import("../api/chat.js");
+const { default: telegram } = await import("../api/telegram.js");
+const { default: checkout } = await import("../api/checkout.js");
+
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+const LANGUAGE_FOR = { usd: "en", eur: "de", gbp: "en-GB" };
+
+// Answers the LLM with a short reply (streamed or not) and keeps every request
+const llmRequests = [];
+const fetchMock = mockFetch(({ url, body }) => {
+  if (!url.startsWith("https://llm.test/")) return { ok: true, result: { message_id: 1 } };
+  llmRequests.push(body);
+  if (!body.stream) return { choices: [{ message: { content: "Happy to help." } }] };
+  const chunk = JSON.stringify({ choices: [{ delta: { content: "Happy to help." } }] });
+  return new Response(`data: ${chunk}\n\ndata: [DONE]\n\n`, { headers: { "Content-Type": "text/event-stream" } });
+});
+after(() => fetchMock.restore());
+
+function lastSystemPrompt() {
+  return llmRequests.at(-1).messages.find((m) => m.role === "system").content;
+}
+
+function assertPromptListsCatalog(prompt, currency) {
+  for (const product of PRODUCTS) {
+    const line = prompt.split("\n").find((l) => l.startsWith(`- ${product.name} (`));
+    assert.ok(line, `${product.name} is in the ${currency} prompt`);
+    for (const item of ITEMS.filter((i) => i.productId === product.id)) {
+      assert.ok(line.includes(`${item.size} = ${formatMoney(item.prices[currency], currency, "en-US")}`), `${item.name} ${item.size} in ${currency}`);
+    }
+  }
+}
+
+const user = { id: 4242, first_name: "Ada", language_code: "en" };
+
+test("/api/products returns the catalog's names and prices in every currency", async () => {
+  for (const currency of CURRENCY_CODES) {
+    const res = await call(products, { query: { currency } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.currency, currency);
+    assert.deepEqual(
+      res.body.products.map(({ id, name, size, price }) => ({ id, name, size, price })),
+      ITEMS.map(({ id, name, size, prices }) => ({ id, name, size, price: prices[currency] }))
+    );
+  }
+});
+
+test("the chat assistant's system prompt lists every variant at its catalog price", async () => {
+  for (const currency of CURRENCY_CODES) {
+    const res = await call(chat, {
+      method: "POST",
+      headers: { "x-telegram-init-data": signInitData(user) },
+      body: { message: "What do you sell?", currency, language: "en" },
+    });
+    assert.equal(res.statusCode, 200);
+    assertPromptListsCatalog(lastSystemPrompt(), currency);
+  }
+});
+
+test("the bot's system prompt and /products listing use the catalog", async () => {
+  let updateId = 0;
+  const send = (text, languageCode) =>
+    call(telegram, {
+      method: "POST",
+      body: {
+        update_id: ++updateId,
+        message: { message_id: updateId, text, chat: { id: 9000 + updateId, type: "private" }, from: { ...user, id: 9000 + updateId, language_code: languageCode } },
+      },
+    });
+
+  for (const currency of CURRENCY_CODES) {
+    const language = LANGUAGE_FOR[currency];
+
+    await send("What do you sell?", language);
+    assertPromptListsCatalog(lastSystemPrompt(), currency);
+
+    const before = fetchMock.telegram().length;
+    await send("/products", language);
+    const listing = fetchMock.telegram().slice(before).find((c) => c.method === "sendMessage").payload.text;
+    for (const product of PRODUCTS) {
+      const line = listing.split("\n").find((l) => l.startsWith(`• ${product.name}:`));
+      assert.ok(line, `${product.name} is listed in ${currency}`);
+      for (const item of ITEMS.filter((i) => i.productId === product.id)) {
+        assert.ok(line.includes(`${item.size}/${formatMoney(item.prices[currency], currency)}`), `${item.name} ${item.size} in ${currency}`);
+      }
+    }
+  }
+});
+
+test("checkout charges the catalog price for each line, whatever the client sends", async () => {
+  let session;
+  const restore = stubStripe({
+    "checkout.sessions.create": async (params) => {
+      session = params;
+      return { id: `cs_test_${Date.now()}`, url: "https://checkout.stripe.test/pay" };
+    },
+    "coupons.create": async () => ({ id: "coupon_test" }),
+  });
+  try {
+    for (const currency of CURRENCY_CODES) {
+      const items = ITEMS.map((i) => ({ id: i.id, qty: 1, price: 0.01, name: "Tampered" }));
+      const res = await call(checkout, {
+        method: "POST",
+        headers: { "x-telegram-init-data": signInitData(user) },
+        body: { items, currency },
+      });
+      assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+      assert.deepEqual(
+        session.line_items.map((l) => ({ currency: l.price_data.currency, name: l.price_data.product_data.name, cents: l.price_data.unit_amount })),
+        ITEMS.map((i) => ({ currency, name: `${i.name} (${i.conc})`, cents: Math.round(i.prices[currency] * 100) }))
+      );
+    }
+  } finally {
+    restore();
+  }
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { call } from "./helpers.mjs";
+import coa from "../api/coa/[productId].js";
+import { ITEMS } from "../lib/catalog.js";
+import { setLot } from "../lib/lots.js";
+import { getStore } from "../lib/store.js";
+
+const [item, other] = ITEMS;
+
+test("a lot's COA URL is served as a redirect", async () => {
+  await setLot(item.id, { lot: "GC2609A", purity: 99.1, coa: "https://lab.example/GC2609A.pdf" });
+
+  const res = await call(coa, { query: { productId: item.productId, variant: String(item.id) } });
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, "https://lab.example/GC2609A.pdf");
+});
+
+test("COAs are URLs only; a lot saved with a file name has none on file", async () => {
+  await assert.rejects(setLot(item.id, { lot: "GC2609A", purity: 99.1, coa: "GC2609A.pdf" }), /https URL/);
+
+  await getStore().set("lots", other.id, { variantId: other.id, lot: "OLD1", purity: 98, method: "HPLC", coa: "OLD1.pdf" });
+  const res = await call(coa, { query: { productId: other.productId, variant: String(other.id) } });
+  assert.equal(res.statusCode, 404);
+});
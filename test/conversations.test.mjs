@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.CONVERSATION_MAX_MESSAGES = "12";
+
+const { appendTurns, getConversation } = await import("../lib/conversations.js");
+
+test("turns appended at once from the bot, the mini app and staff are all kept", async () => {
+  await Promise.all([
+    appendTurns(701, [{ role: "user", content: "from the bot" }, { role: "assistant", content: "bot reply" }], { source: "bot" }),
+    appendTurns(701, [{ role: "user", content: "from the app" }, { role: "assistant", content: "app reply" }], { source: "app" }),
+    appendTurns(701, [{ role: "assistant", content: "(Sam, support team) hello" }], { source: "staff" }),
+  ]);
+
+  const { messages } = await getConversation(701);
+  assert.deepEqual(messages.map((m) => m.content).sort(), ["(Sam, support team) hello", "app reply", "bot reply", "from the app", "from the bot"]);
+});
+
+test("overflow is folded into the summary", async () => {
+  const llm = { complete: async () => ({ text: "- asked about GLP-1S 5mg" }) };
+  for (let i = 0; i < 7; i++) {
+    await appendTurns(702, [{ role: "user", content: `q${i}` }, { role: "assistant", content: `a${i}` }], { source: "bot", llm });
+  }
+
+  const record = await getConversation(702);
+  assert.equal(record.summary, "- asked about GLP-1S 5mg");
+  assert.equal(record.messages.length, 10);
+  assert.equal(record.messages.at(-1).content, "a6");
+});
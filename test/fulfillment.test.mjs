@@ -0,0 +1,32 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { BOT_TOKEN, mockFetch } from "./helpers.mjs";
+
+process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+process.env.TELEGRAM_GROUP_CHAT_ID = "-100200";
+
+const fetchMock = mockFetch(() => ({ ok: true, result: { message_id: 1 } }));
+after(() => fetchMock.restore());
+
+const { FulfillmentError, transitionOrder } = await import("../lib/fulfillment.js");
+const { getOrder, saveOrder } = await import("../lib/orders.js");
+
+test("two staff marking the same order shipped at once: one wins, the customer hears once", async () => {
+  await saveOrder({ id: "RL-SHIPTWICE", status: "processing", items: [{ id: 1, qty: 1 }], telegramUserId: "801", history: [] });
+
+  const results = await Promise.allSettled([
+    transitionOrder("RL-SHIPTWICE", "shipped", { carrier: "ups", trackingNumber: "1Z999AA10123456784", actor: "Sam" }),
+    transitionOrder("RL-SHIPTWICE", "shipped", { carrier: "usps", trackingNumber: "9400100000000000000000", actor: "Kim" }),
+  ]);
+
+  assert.deepEqual(results.map((r) => r.status).sort(), ["fulfilled", "rejected"]);
+  const { reason } = results.find((r) => r.status === "rejected");
+  assert.ok(reason instanceof FulfillmentError);
+  assert.equal(reason.status, 400);
+
+  const order = await getOrder("RL-SHIPTWICE");
+  assert.deepEqual(order.history.map((h) => h.status), ["shipped"]);
+  assert.equal(order.tracking.number, results.find((r) => r.status === "fulfilled").value.tracking.number);
+  const dms = fetchMock.telegram().filter((c) => c.method === "sendMessage" && c.payload.chat_id === "801");
+  assert.equal(dms.length, 1);
+});
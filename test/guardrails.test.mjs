@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BOT_TOKEN, call, signInitData } from "./helpers.mjs";
+
+process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+process.env.LLM_PROVIDER = "stub";
+process.env.LLM_STUB_SCRIPT = JSON.stringify([
+  { match: "cart total", reply: "Your cart comes to $114.98. You're $35.02 away from free shipping." },
+  { match: "free shipping", reply: "You're $105.01 away from free shipping." },
+  { match: "my order", tool: { name: "order_status", arguments: { order_id: "RL-TOTAL1" } }, reply: "Order RL-TOTAL1 came to $54.94 and has shipped." },
+  { match: "discount", reply: "That's a discount of $12.34 on your order." },
+  { match: "dose", reply: "A typical starting dose is 0.25mg once a week." },
+]);
+
+const { screenOutput, amountsIn, refusalFor } = await import("../lib/guardrails.js");
+const { saveOrder } = await import("../lib/orders.js");
+const { default: chat } = await import("../api/chat.js");
+
+const user = { id: 5151, first_name: "Ada", language_code: "en" };
+
+/** Sends a chat message and returns the text the client ends up showing. */
+async function ask(message, body = {}) {
+  const res = await call(chat, {
+    method: "POST",
+    headers: { "x-telegram-init-data": signInitData(user) },
+    body: { message, currency: "usd", language: "en", ...body },
+  });
+  let text = "";
+  for (const line of res.chunks.join("").split("\n")) {
+    if (line.startsWith("0:")) text += JSON.parse(line.slice(2));
+    if (line.startsWith("2:")) {
+      const replaced = JSON.parse(line.slice(2)).find((a) => a.type === "replace_text");
+      if (replaced) text = replaced.text;
+    }
+  }
+  return text;
+}
+
+test("screenOutput allows catalog prices and blocks others unless they were quoted", () => {
+  assert.equal(screenOutput("GLP-1S 5mg is $44.99.").blocked, false);
+  assert.deepEqual(screenOutput("Your total is $54.94."), { blocked: true, category: "off_catalog_price", match: "$54.94" });
+
+  const quote = { subtotal: 44.99, discount: 0, shipping: { fee: 9.95, amountToFree: 105.01 }, total: 54.94 };
+  assert.equal(screenOutput("Your total is $54.94, $105.01 away from free shipping.", { amounts: amountsIn(quote) }).blocked, false);
+  assert.equal(screenOutput("Your total is $99.99.", { amounts: amountsIn(quote) }).blocked, true);
+});
+
+test("screenOutput reads prices with the reply's decimal comma, symbol before or after", () => {
+  assert.equal(screenOutput("GLP-1S 5mg kostet €41,99.", { language: "de" }).blocked, false);
+  assert.equal(screenOutput("GLP-1S 5mg coûte 41,99 €.", { language: "fr" }).blocked, false);
+  assert.deepEqual(screenOutput("Nur 41,98 € heute!", { language: "de" }), { blocked: true, category: "off_catalog_price", match: "41,98 €" });
+
+  const quote = { subtotal: 1234.5, total: 1234.5 };
+  assert.equal(screenOutput("Gesamt: 1.234,50 €.", { amounts: amountsIn(quote), language: "de" }).blocked, false);
+  assert.equal(screenOutput("Total : 1\u202f234,50 €.", { amounts: amountsIn(quote), language: "fr" }).blocked, false);
+  assert.equal(screenOutput("That's $1,234.50 in total.", { amounts: amountsIn(quote), language: "en" }).blocked, false);
+});
+
+test("amountsIn reads money fields from nested tool results, including JSON strings", () => {
+  const result = JSON.stringify({ orders: [{ total: 54.94, items: [{ name: "GLP-1S", qty: 1, price: 44.99 }], shippingFee: 9.95 }] });
+  assert.deepEqual([...amountsIn(result)].sort(), [44.99, 54.94, 9.95].sort());
+  assert.deepEqual([...amountsIn("not json")], []);
+});
+
+test("chat replies may quote the cart's subtotal and distance to free shipping", async () => {
+  assert.equal(
+    await ask("What's my cart total?", { cart: [{ id: 1, qty: 1 }, { id: 2, qty: 1 }] }),
+    "Your cart comes to $114.98. You're $35.02 away from free shipping."
+  );
+  assert.equal(await ask("How far am I from free shipping?", { cart: [{ id: 1, qty: 1 }] }), "You're $105.01 away from free shipping.");
+});
+
+test("chat replies may quote an order total the assistant looked up", async () => {
+  await saveOrder({
+    id: "RL-TOTAL1",
+    status: "shipped",
+    telegramUserId: String(user.id),
+    items: [{ id: 1, name: "GLP-1S", conc: "5mg / vial", qty: 1, price: 44.99 }],
+    subtotal: 44.99,
+    discount: 0,
+    shippingFee: 9.95,
+    total: 54.94,
+    currency: "usd",
+    createdAt: new Date().toISOString(),
+  });
+  assert.equal(await ask("Where is my order?"), "Order RL-TOTAL1 came to $54.94 and has shipped.");
+});
+
+test("made-up amounts and dosing are still refused", async () => {
+  assert.equal(await ask("Can I get a discount?", { cart: [{ id: 1, qty: 1 }] }), refusalFor("en"));
+  assert.equal(await ask("What dose should I use?"), refusalFor("en"));
+});
@@ -0,0 +1,44 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { BOT_TOKEN, mockFetch } from "./helpers.mjs";
+
+process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+process.env.TELEGRAM_GROUP_CHAT_ID = "-100200";
+
+let messageId = 0;
+const fetchMock = mockFetch(() => ({ ok: true, result: { message_id: ++messageId } }));
+after(() => fetchMock.restore());
+
+const { handleStaffMessage, openTicket, openTicketFor } = await import("../lib/handoff.js");
+const { getStore } = await import("../lib/store.js");
+
+const customer = { id: 601, first_name: "Ada" };
+const staff = { id: 9, first_name: "Sam" };
+
+test("a customer has one open ticket, found without listing every ticket", async () => {
+  const [first, second] = await Promise.all([openTicket(customer, { via: "bot" }), openTicket(customer, { via: "app" })]);
+  assert.equal(first.ticket.id, second.ticket.id);
+  assert.deepEqual([first.created, second.created].sort(), [false, true]);
+
+  const store = getStore();
+  const list = store.list;
+  store.list = () => Promise.reject(new Error("tickets listed"));
+  try {
+    assert.equal((await openTicketFor(customer.id)).id, first.ticket.id);
+    assert.equal(await openTicketFor(602), null);
+  } finally {
+    store.list = list;
+  }
+});
+
+test("/close clears the customer's open ticket, and the next handoff opens a new one", async () => {
+  const { ticket } = await openTicket(customer, { via: "bot" });
+
+  assert.equal(await handleStaffMessage({ text: `/close ${ticket.id}`, from: staff }), `✅ ${ticket.id} closed.`);
+  assert.equal(await openTicketFor(customer.id), null);
+  assert.equal(await getStore().get("handoff_threads", `open-ticket:${customer.id}`), null);
+
+  const reopened = await openTicket(customer, { via: "app" });
+  assert.equal(reopened.created, true);
+  assert.notEqual(reopened.ticket.id, ticket.id);
+});
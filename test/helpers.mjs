@@ -0,0 +1,177 @@
+/**
+ * Shared test helpers: a Vercel-style response recorder, signed Telegram
+ * initData and Stripe webhook deliveries, and a fetch stand-in so handlers
+ * can run without the network.
+ */
+
+import crypto from "crypto";
+import { Readable } from "stream";
+import Stripe from "stripe";
+
+export const BOT_TOKEN = "123456:test-token";
+
+/** Records what a handler sends through the Vercel/Express response API. */
+export function mockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    ended: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      res.ended = true;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      res.ended = true;
+      return res;
+    },
+    write(chunk) {
+      res.chunks.push(String(chunk));
+      return true;
+    },
+    end(chunk) {
+      if (chunk !== undefined) res.chunks.push(String(chunk));
+      res.ended = true;
+      return res;
+    },
+  };
+  return res;
+}
+
+/** Runs a handler on a minimal request and returns the recorded response. */
+export async function call(handler, { method = "GET", query = {}, body, headers = {} } = {}) {
+  const res = mockRes();
+  await handler({ method, query, body, headers }, res);
+  return res;
+}
+
+/** initData for `user`, signed the way Telegram signs it (see lib/auth.js). */
+export function signInitData(user, botToken = BOT_TOKEN) {
+  const params = new URLSearchParams({ auth_date: String(Math.floor(Date.now() / 1000)), user: JSON.stringify(user) });
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("\n");
+  const secretKey = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
+  params.set("hash", crypto.createHmac("sha256", secretKey).update(dataCheckString).digest("hex"));
+  return params.toString();
+}
+
+/**
+ * Delivers a signed Stripe event to a webhook handler (api/webhook.js) as a
+ * raw-body request. STRIPE_WEBHOOK_SECRET must be set.
+ */
+export async function deliverStripeEvent(handler, event) {
+  const payload = JSON.stringify(event);
+  const signature = new Stripe("sk_test_stub").webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+  });
+  const req = Readable.from([Buffer.from(payload)]);
+  req.method = "POST";
+  req.headers = { "stripe-signature": signature };
+  const res = mockRes();
+  await handler(req, res);
+  return res;
+}
+
+let eventCount = 0;
+
+/** A Stripe event envelope; each call gets a new event id. */
+export function stripeEvent(type, object, { livemode = false } = {}) {
+  return { id: `evt_test_${++eventCount}`, object: "event", type, livemode, data: { object } };
+}
+
+/**
+ * Replaces globalThis.fetch. `route({ url, init, body })` returns the JSON
+ * body to answer with, or a Response; requests are recorded in `calls`.
+ */
+export function mockFetch(route) {
+  const original = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const request = { url: String(url), init, body: init.body ? JSON.parse(init.body) : undefined };
+    calls.push(request);
+    const answer = await route(request);
+    return answer instanceof Response ? answer : Response.json(answer ?? { ok: true });
+  };
+  return {
+    calls,
+    /** Bot API calls made so far, as { method, payload } */
+    telegram: () =>
+      calls
+        .filter((c) => c.url.startsWith("https://api.telegram.org/"))
+        .map((c) => ({ method: c.url.split("/").pop(), payload: c.body })),
+    restore() {
+      globalThis.fetch = original;
+    },
+  };
+}
+
+/**
+ * Replaces Stripe API methods for every client (they share resource
+ * prototypes), e.g. stubStripe({ "checkout.sessions.create": async (params) => ({ id: "cs_1" }) }).
+ */
+export function stubStripe(methods) {
+  const stripe = new Stripe("sk_test_stub");
+  const saved = [];
+  for (const [path, fn] of Object.entries(methods)) {
+    const parts = path.split(".");
+    const name = parts.pop();
+    const proto = Object.getPrototypeOf(parts.reduce((resource, key) => resource[key], stripe));
+    saved.push([proto, name, proto[name]]);
+    proto[name] = fn;
+  }
+  return () => saved.reverse().forEach(([proto, name, fn]) => (proto[name] = fn));
+}
+
+/**
+ * An in-memory stand-in for the Redis REST API (Vercel KV / Upstash) that
+ * lib/store.js's redis driver talks to. Answers mockFetch requests for
+ * `url`; returns null for anything else.
+ */
+export function fakeRedis(url = "https://kv.test") {
+  const data = new Map();
+  const hash = (key) => {
+    if (!data.has(key)) data.set(key, new Map());
+    return data.get(key);
+  };
+  const commands = {
+    HGET: (key, field) => hash(key).get(field) ?? null,
+    HSET: (key, field, value) => {
+      const added = hash(key).has(field) ? 0 : 1;
+      hash(key).set(field, value);
+      return added;
+    },
+    HDEL: (key, field) => (hash(key).delete(field) ? 1 : 0),
+    HVALS: (key) => [...hash(key).values()],
+    SET: (key, value, ...options) => {
+      if (options.includes("NX") && data.has(key)) return null;
+      data.set(key, value);
+      return "OK";
+    },
+    // Only the compare-and-delete script lib/store.js uses for its locks
+    EVAL: (script, numKeys, key, owner) => (data.get(key) === owner && data.delete(key) ? 1 : 0),
+  };
+  return {
+    url,
+    data,
+    route({ url: requestUrl, body }) {
+      if (!requestUrl.startsWith(url)) return null;
+      const [name, ...args] = body;
+      if (!commands[name]) return new Response(JSON.stringify({ error: `ERR unknown command ${name}` }), { status: 400 });
+      return { result: commands[name](...args) };
+    },
+  };
+}
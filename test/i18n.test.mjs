@@ -0,0 +1,133 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { BOT_TOKEN, call, mockFetch, signInitData } from "./helpers.mjs";
+
+process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+process.env.TELEGRAM_GROUP_CHAT_ID = "-100200";
+process.env.STRIPE_SECRET_KEY = "sk_test_stub";
+process.env.TELEGRAM_PAYMENT_PROVIDER_TOKEN = "284685063:TEST:stub";
+process.env.PAYMENT_METHODS = "stripe,telegram";
+
+let messageId = 0;
+const fetchMock = mockFetch(({ url }) =>
+  url.endsWith("/createInvoiceLink") ? { ok: true, result: "https://t.me/$invoice" } : { ok: true, result: { message_id: ++messageId } }
+);
+after(() => fetchMock.restore());
+
+const { transitionOrder } = await import("../lib/fulfillment.js");
+const { handleStaffMessage, openTicket } = await import("../lib/handoff.js");
+const { validateShippingAddress } = await import("../lib/address.js");
+const { default: checkout } = await import("../api/checkout.js");
+const { default: quote } = await import("../api/quote.js");
+const { default: validatePromo } = await import("../api/promo/validate.js");
+const { priceOrder } = await import("../lib/cart.js");
+const { answerPreCheckout, createInvoice } = await import("../lib/payments.js");
+const { setStock } = await import("../lib/inventory.js");
+const { getStore } = await import("../lib/store.js");
+
+/** Text of the bot's messages to `chatId` since `from` calls ago. */
+function dmsTo(chatId, from = 0) {
+  return fetchMock
+    .telegram()
+    .slice(from)
+    .filter((c) => c.method === "sendMessage" && String(c.payload.chat_id) === String(chatId))
+    .map((c) => c.payload.text);
+}
+
+test("shipping updates reach the customer in the language they ordered in", async () => {
+  await getStore().set("orders", "RL-LANG0001", {
+    id: "RL-LANG0001",
+    status: "processing",
+    items: [{ id: 1, qty: 1 }],
+    telegramUserId: "501",
+    language: "de",
+    history: [],
+  });
+  const before = fetchMock.calls.length;
+
+  await transitionOrder("RL-LANG0001", "shipped", { carrier: "ups", trackingNumber: "1Z999AA10123456784" });
+  await transitionOrder("RL-LANG0001", "delivered");
+
+  const [shipped, delivered] = dmsTo(501, before);
+  assert.match(shipped, /^📦 Deine Bestellung RL-LANG0001 wurde versendet!/);
+  assert.match(shipped, /Sendungsnummer: 1Z999AA10123456784/);
+  assert.match(shipped, /Sendung verfolgen: https:\/\/www\.ups\.com\//);
+  assert.match(delivered, /wurde zugestellt/);
+});
+
+test("staff replies and the closing message use the ticket's language", async () => {
+  const customer = { id: 502, first_name: "Léa", language_code: "en" };
+  const { ticket } = await openTicket(customer, { via: "app", language: "fr" });
+  assert.equal(ticket.language, "fr");
+  const thread = messageId;
+  const before = fetchMock.calls.length;
+
+  await handleStaffMessage({ text: "Bonjour !", from: { id: 9, first_name: "Sam" }, reply_to_message: { message_id: thread } });
+  await handleStaffMessage({ text: "/close", from: { id: 9, first_name: "Sam" }, reply_to_message: { message_id: thread } });
+
+  assert.deepEqual(dmsTo(502, before), [
+    "👤 Sam (support Rapid Research) :\nBonjour !",
+    "✅ Notre équipe a clôturé cette conversation. L'assistant IA est de retour — envoyez /human à tout moment pour parler à nouveau à une personne.",
+  ]);
+});
+
+test("a ticket opened without a language falls back to the customer's Telegram one", async () => {
+  const { ticket } = await openTicket({ id: 503, first_name: "Ana", language_code: "es-MX" }, { via: "bot" });
+  assert.equal(ticket.language, "es");
+});
+
+test("address errors come back in the customer's language", async () => {
+  const { errors } = validateShippingAddress({ country: "CA", state: "XX", zip: "nope" }, { language: "es" });
+  assert.equal(errors.name, "Introduce el nombre completo del destinatario");
+  assert.equal(errors.state, "Elige: province");
+  assert.equal(validateShippingAddress({}).errors.city, "Enter a city");
+
+  const res = await call(checkout, {
+    method: "POST",
+    headers: { "x-telegram-init-data": signInitData({ id: 504, first_name: "Jon", language_code: "de" }) },
+    body: { items: [{ id: 1, qty: 1 }], shippingAddress: { name: "J", country: "US" } },
+  });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "Bitte prüfe deine Lieferdaten");
+  assert.equal(res.body.fields.email, "Gib eine gültige E-Mail-Adresse ein");
+});
+
+test("quotes, promo messages and stock errors come back in the customer's language", async () => {
+  const headers = { "x-telegram-init-data": signInitData({ id: 505, first_name: "Jon" }) };
+
+  const priced = await call(quote, { method: "POST", headers, body: { items: [{ id: 1, qty: 1 }], language: "de" } });
+  assert.equal(priced.body.shipping.label, "Standardversand");
+
+  const applied = await call(validatePromo, { method: "POST", headers, body: { code: "freeship", items: [{ id: 1, qty: 1 }], language: "fr" } });
+  assert.equal(applied.body.message, "Livraison gratuite appliqué !");
+  assert.equal(applied.body.quote.shipping.label, "Livraison gratuite");
+
+  const unknown = await call(validatePromo, { method: "POST", headers, body: { code: "NOPE", items: [{ id: 1, qty: 1 }], language: "es" } });
+  assert.equal(unknown.body.message, "Ese código no es válido.");
+
+  await setStock(2, 0);
+  const soldOut = await call(quote, { method: "POST", headers, body: { items: [{ id: 2, qty: 1 }], language: "de" } });
+  assert.equal(soldOut.statusCode, 400);
+  assert.match(soldOut.body.error, /ist ausverkauft$/);
+
+  const empty = await call(quote, { method: "POST", headers, body: { items: [], language: "fr" } });
+  assert.equal(empty.body.error, "Votre panier est vide");
+});
+
+test("Telegram invoices and pre-checkout answers are in the customer's language", async () => {
+  const user = { id: 506, first_name: "Léa" };
+  const priced = await priceOrder({ items: [{ id: 1, qty: 1 }], currency: "eur", language: "fr" });
+  const address = { name: "Léa Martin", email: "lea@example.com", line1: "1 rue de Rivoli", city: "Paris", postalCode: "75001", country: "FR" };
+  const before = fetchMock.calls.length;
+  const { invoice } = await createInvoice({ user, priced, address, language: "fr" });
+
+  const link = fetchMock.telegram().slice(before).find((c) => c.method === "createInvoiceLink").payload;
+  assert.equal(link.title, "Commande Rapid Research");
+  assert.match(link.description, /Réservé à la recherche\.$/);
+  assert.deepEqual(link.prices.slice(1).map((p) => p.label), ["Livraison"]);
+
+  await answerPreCheckout({ id: "pcq_fr", from: user, currency: "EUR", total_amount: 1, invoice_payload: invoice.id });
+  const answer = fetchMock.telegram().at(-1).payload;
+  assert.equal(answer.ok, false);
+  assert.equal(answer.error_message, "Le montant ne correspond pas à votre commande. Veuillez recommencer depuis votre panier.");
+});
@@ -0,0 +1,72 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { BOT_TOKEN, call, fakeRedis, mockFetch, signInitData, stubStripe } from "./helpers.mjs";
+
+// The shared (redis) store, where concurrent checkouts really meet
+const redis = fakeRedis();
+Object.assign(process.env, {
+  KV_REST_API_URL: redis.url,
+  KV_REST_API_TOKEN: "kv-token",
+  TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+  STRIPE_SECRET_KEY: "sk_test_stub",
+});
+
+const fetchMock = mockFetch((request) => redis.route(request));
+after(() => fetchMock.restore());
+
+const { default: checkout } = await import("../api/checkout.js");
+const { availabilityMap, reserveStock, setStock } = await import("../lib/inventory.js");
+
+const VARIANT = 4;
+const address = { name: "Ada Lovelace", email: "ada@example.com", address: "1 Main St", city: "Austin", state: "TX", zip: "78701", country: "US" };
+
+test("two checkouts for the last unit: one gets it, the other's session is expired", async () => {
+  await setStock(VARIANT, 1);
+  let sessions = 0;
+  const expired = [];
+  const restore = stubStripe({
+    "checkout.sessions.create": async () => {
+      const id = `cs_test_race${++sessions}`;
+      // Both customers get past the stock check before either session exists
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return { id, url: `https://checkout.stripe.test/${id}` };
+    },
+    "checkout.sessions.expire": async (id) => {
+      expired.push(id);
+      return { id, status: "expired" };
+    },
+  });
+  try {
+    const buy = (id) =>
+      call(checkout, {
+        method: "POST",
+        headers: { "x-telegram-init-data": signInitData({ id, first_name: "Ada" }), origin: "http://localhost" },
+        body: { items: [{ id: VARIANT, qty: 1 }], shippingAddress: address },
+      });
+    const results = await Promise.all([buy(701), buy(702)]);
+
+    assert.deepEqual(results.map((r) => r.statusCode).sort(), [200, 400]);
+    const lost = results.find((r) => r.statusCode === 400);
+    assert.match(lost.body.error, /sold out/);
+    assert.equal(expired.length, 1);
+    assert.notEqual(expired[0], results.find((r) => r.statusCode === 200).body.sessionId);
+    assert.equal((await availabilityMap()).get(VARIANT).available, 0);
+  } finally {
+    restore();
+  }
+});
+
+test("concurrent reservations hold no more than the shelf has", async () => {
+  const OTHER = 6;
+  await setStock(OTHER, 2);
+  const reserve = (n) => reserveStock(`cs_test_shared${n}`, [{ id: OTHER, qty: 1 }], Date.now() + 60000);
+
+  const short = await Promise.all([1, 2, 3, 4, 5].map(reserve));
+
+  assert.equal(short.filter((lines) => lines.length === 0).length, 2);
+  assert.equal((await availabilityMap()).get(OTHER).available, 0);
+  assert.equal([...redis.data.keys()].some((key) => key.includes(":lock:")), false, "lock released");
+
+  // A checkout renewing its own hold isn't counted against itself
+  assert.deepEqual(await reserve(1), []);
+});
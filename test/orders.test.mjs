@@ -0,0 +1,95 @@
+// Deployed, the webhook and /api/orders run in different instances; they only
+// agree through the shared (redis) store
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { BOT_TOKEN, call, deliverStripeEvent, fakeRedis, mockFetch, signInitData, stripeEvent } from "./helpers.mjs";
+
+const redis = fakeRedis();
+Object.assign(process.env, {
+  NODE_ENV: "production",
+  VERCEL: "1",
+  KV_REST_API_URL: redis.url,
+  KV_REST_API_TOKEN: "kv-token",
+  STRIPE_SECRET_KEY: "sk_test_stub",
+  STRIPE_WEBHOOK_SECRET: "whsec_test",
+  TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+  TELEGRAM_GROUP_CHAT_ID: "-100200",
+});
+
+const fetchMock = mockFetch((request) => redis.route(request) ?? { ok: true, result: { message_id: 1 } });
+after(() => fetchMock.restore());
+
+const { default: webhook } = await import("../api/webhook.js");
+const { default: orders } = await import("../api/orders.js");
+const { createStore, getStore } = await import("../lib/store.js");
+const { findOrderByPaymentIntent, orderIdForSession } = await import("../lib/orders.js");
+
+const user = { id: 8080, first_name: "Ada" };
+const session = {
+  id: "cs_test_sharedstore01",
+  object: "checkout.session",
+  payment_intent: "pi_test_dstore",
+  payment_status: "paid",
+  amount_total: 5494,
+  currency: "usd",
+  livemode: false,
+  metadata: {
+    customer_name: "Ada",
+    cart: "1x1@44.99",
+    currency: "usd",
+    subtotal: "44.99",
+    discount: "0.00",
+    shipping: "9.95",
+    total: "54.94",
+    promo_code: "none",
+    telegram_user_id: String(user.id),
+  },
+};
+
+test("an order the webhook records is in the shared store and on the customer's Orders tab", async () => {
+  const res = await deliverStripeEvent(webhook, stripeEvent("checkout.session.completed", session));
+  assert.equal(res.statusCode, 200);
+
+  // Another instance, with nothing in memory, reads it from Redis
+  const elsewhere = createStore();
+  const id = orderIdForSession(session.id);
+  assert.equal((await elsewhere.get("orders", id)).total, 54.94);
+
+  const list = await call(orders, { headers: { "x-telegram-init-data": signInitData(user) }, query: { session_id: session.id } });
+  assert.equal(list.statusCode, 200);
+  assert.deepEqual(list.body.orders.map((o) => [o.id, o.total, o.status]), [[id, 54.94, "processing"]]);
+  assert.equal(list.body.orderId, id, "the id the mini app waits for after Stripe's redirect");
+});
+
+test("sessions ending in the same characters get their own orders", async () => {
+  const ids = ["cs_test_a1b2c3d4e5f6g7h8", "cs_test_zzzzzzzzE5F6G7H8"].map(orderIdForSession);
+  assert.notEqual(ids[0], ids[1]);
+  assert.match(ids[0], /^RL-[0-9A-Z]{13}$/);
+});
+
+test("a redelivered event is recognised from the shared store", async () => {
+  const event = stripeEvent("checkout.session.completed", { ...session, id: "cs_test_sharedstore02", payment_intent: "pi_test_dstore2" });
+  await deliverStripeEvent(webhook, event);
+  const alerts = fetchMock.telegram().length;
+
+  const again = await deliverStripeEvent(webhook, event);
+  assert.equal(again.body.duplicate, true);
+  assert.equal(fetchMock.telegram().length, alerts, "no second staff alert");
+  assert.ok(await createStore().get("stripe_events", event.id));
+});
+
+test("the Orders tab and payment intent lookups read the index, not every order", async () => {
+  const store = getStore();
+  const list = store.list;
+  store.list = (collection) => (collection === "orders" ? Promise.reject(new Error("orders listed")) : list.call(store, collection));
+  try {
+    const mine = await call(orders, { headers: { "x-telegram-init-data": signInitData(user) } });
+    assert.equal(mine.body.orders.length, 2);
+    const theirs = await call(orders, { headers: { "x-telegram-init-data": signInitData({ id: 8081, first_name: "Bo" }) } });
+    assert.deepEqual(theirs.body.orders, []);
+    assert.equal((await findOrderByPaymentIntent("pi_test_dstore")).id, orderIdForSession(session.id));
+    assert.equal(await findOrderByPaymentIntent("pi_test_unknown"), null);
+  } finally {
+    store.list = list;
+  }
+});
@@ -0,0 +1,54 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { fakeRedis, mockFetch } from "./helpers.mjs";
+import { createStore } from "../lib/store.js";
+
+const redis = fakeRedis();
+const fetchMock = mockFetch((request) => redis.route(request));
+after(() => fetchMock.restore());
+
+const KV = { KV_REST_API_URL: redis.url, KV_REST_API_TOKEN: "kv-token" };
+
+test("the redis driver is picked when Vercel KV is connected, and instances share its data", async () => {
+  const a = createStore({ ...KV, NODE_ENV: "production", VERCEL: "1" });
+  const b = createStore({ ...KV, NODE_ENV: "production", VERCEL: "1" });
+
+  await a.set("orders", "RL-1", { id: "RL-1", total: 10 });
+  assert.deepEqual(await b.get("orders", "RL-1"), { id: "RL-1", total: 10 });
+  assert.deepEqual(await b.list("orders"), [{ id: "RL-1", total: 10 }]);
+  assert.equal(await b.get("orders", "RL-2"), null);
+  assert.equal(await b.delete("orders", "RL-1"), true);
+  assert.equal(await a.get("orders", "RL-1"), null);
+  assert.equal(fetchMock.calls[0].init.headers.Authorization, "Bearer kv-token");
+});
+
+test("redis updates from different instances don't overwrite each other", async () => {
+  const instances = [createStore(KV), createStore(KV), createStore(KV)];
+  const slowIncrement = (current) =>
+    new Promise((resolve) => setTimeout(() => resolve({ count: (current?.count || 0) + 1 }), 5));
+
+  await Promise.all(instances.flatMap((store) => [1, 2, 3].map(() => store.update("promo_usage", "FREESHIP", slowIncrement))));
+
+  assert.deepEqual(await instances[0].get("promo_usage", "FREESHIP"), { count: 9 });
+  assert.equal([...redis.data.keys()].some((key) => key.includes(":lock:")), false, "locks released");
+  assert.equal(await instances[1].update("promo_usage", "NOPE", () => undefined), null);
+});
+
+test("memory updates to one record run one at a time", async () => {
+  const store = createStore({});
+  const slowIncrement = (current) =>
+    new Promise((resolve) => setTimeout(() => resolve({ count: (current?.count || 0) + 1 }), 5));
+
+  await Promise.all([1, 2, 3, 4, 5].map(() => store.update("promo_usage", "FREESHIP", slowIncrement)));
+  assert.deepEqual(await store.get("promo_usage", "FREESHIP"), { count: 5 });
+});
+
+test("drivers that would lose data are refused instead of used silently", () => {
+  assert.throws(() => createStore({ NODE_ENV: "production" }), /KV_REST_API_URL/);
+  assert.throws(() => createStore({ VERCEL_ENV: "production", STORE_DRIVER: "memory" }), /KV_REST_API_URL/);
+  assert.throws(() => createStore({ VERCEL: "1", STORE_DRIVER: "file" }), /Vercel/);
+  assert.throws(() => createStore({ STORE_DRIVER: "redis" }), /KV_REST_API_URL/);
+  assert.throws(() => createStore({ STORE_DRIVER: "mongo" }), /Unknown STORE_DRIVER/);
+  assert.doesNotThrow(() => createStore({}));
+  assert.doesNotThrow(() => createStore({ UPSTASH_REDIS_REST_URL: redis.url, UPSTASH_REDIS_REST_TOKEN: "t", NODE_ENV: "production" }));
+});
@@ -0,0 +1,130 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { BOT_TOKEN, call, mockFetch, mockRes } from "./helpers.mjs";
+
+Object.assign(process.env, {
+  TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+  TELEGRAM_GROUP_CHAT_ID: "-100200",
+  TELEGRAM_PAYMENT_PROVIDER_TOKEN: "284685063:TEST:stub",
+  PAYMENT_METHODS: "stripe,telegram",
+  ADMIN_USER_IDS: "4242",
+  LLM_PROVIDER: "stub",
+  LLM_STUB_SCRIPT: "[]",
+});
+
+// Set while a test wants to know whether the webhook had answered before a Bot API call
+let pending = null;
+const answeredFirst = [];
+const fetchMock = mockFetch(({ url }) => {
+  if (pending) answeredFirst.push(pending.ended);
+  return url.endsWith("/createInvoiceLink") ? { ok: true, result: "https://t.me/$invoice" } : { ok: true, result: { message_id: 1 } };
+});
+after(() => fetchMock.restore());
+
+const { default: bot } = await import("../api/telegram.js");
+const { priceOrder } = await import("../lib/cart.js");
+const { createInvoice } = await import("../lib/payments.js");
+const { getOrder, orderIdForSession } = await import("../lib/orders.js");
+const { getStock, setStock } = await import("../lib/inventory.js");
+const { getStore } = await import("../lib/store.js");
+
+const VARIANT = 4;
+const user = { id: 9090, first_name: "Ada" };
+const address = { name: "Ada Lovelace", email: "ada@example.com", line1: "1 Main St", city: "Austin", state: "TX", postalCode: "78701", country: "US" };
+
+async function paidUpdate() {
+  const priced = await priceOrder({ items: [{ id: VARIANT, qty: 1 }] });
+  const { invoice } = await createInvoice({ user, priced, address });
+  return {
+    invoice,
+    update: {
+      update_id: 1,
+      message: {
+        message_id: 5,
+        chat: { id: user.id, type: "private" },
+        from: user,
+        successful_payment: {
+          currency: "USD",
+          total_amount: Math.round(invoice.total * 100),
+          invoice_payload: invoice.id,
+          telegram_payment_charge_id: "tg_charge_000000000001",
+        },
+      },
+    },
+  };
+}
+
+test("a payment that can't be recorded is refused, so Telegram delivers it again", async () => {
+  await setStock(VARIANT, 10);
+  const { invoice, update } = await paidUpdate();
+  const id = orderIdForSession(invoice.id);
+  const alerts = () => fetchMock.telegram().filter((c) => c.payload.chat_id === "-100200" && c.payload.text.includes(id)).length;
+
+  const store = getStore();
+  const set = store.set;
+  store.set = function (collection, key, value) {
+    if (collection === "orders") return Promise.reject(new Error("store unavailable"));
+    return set.call(this, collection, key, value);
+  };
+  try {
+    const failed = await call(bot, { method: "POST", body: update });
+    assert.equal(failed.statusCode, 500);
+  } finally {
+    store.set = set;
+  }
+  assert.equal(await getOrder(id), null);
+
+  const redelivered = await call(bot, { method: "POST", body: update });
+  assert.equal(redelivered.statusCode, 200);
+  assert.equal((await getOrder(id)).settled, true);
+  assert.equal((await getStock(VARIANT)).onHand, 9);
+  assert.equal(alerts(), 1);
+
+  // Once recorded, another delivery changes nothing
+  await call(bot, { method: "POST", body: update });
+  assert.equal((await getStock(VARIANT)).onHand, 9);
+  assert.equal(alerts(), 1);
+});
+
+test("the pre-checkout answer is sent before the update is acknowledged", async () => {
+  const { invoice } = await paidUpdate();
+  const before = fetchMock.telegram().length;
+
+  const res = (pending = mockRes());
+  await bot(
+    {
+      method: "POST",
+      headers: {},
+      body: {
+        update_id: 2,
+        pre_checkout_query: {
+          id: "pcq_1",
+          from: user,
+          currency: "USD",
+          total_amount: Math.round(invoice.total * 100),
+          invoice_payload: invoice.id,
+        },
+      },
+    },
+    res
+  );
+  pending = null;
+
+  assert.equal(res.statusCode, 200);
+  const answers = fetchMock.telegram().slice(before).filter((c) => c.method === "answerPreCheckoutQuery");
+  assert.deepEqual(answers.map((c) => c.payload.ok), [true]);
+  assert.equal(answeredFirst.includes(true), false, "webhook still open while Telegram was answered");
+});
+
+test("staff commands only run in a private chat or the staff group", async () => {
+  const admin = { id: 4242, first_name: "Sam" };
+  const send = async (chat) => {
+    const before = fetchMock.telegram().length;
+    await call(bot, { method: "POST", body: { update_id: 3, message: { message_id: 6, chat, from: admin, text: "/stock" } } });
+    return fetchMock.telegram().slice(before).find((c) => c.method === "sendMessage")?.payload.text;
+  };
+
+  assert.match(await send({ id: -100999, type: "supergroup" }), /^⛔ Staff commands only work in a private chat/);
+  assert.doesNotMatch(await send({ id: admin.id, type: "private" }), /^⛔/);
+  assert.doesNotMatch(await send({ id: -100200, type: "supergroup" }), /^⛔/);
+});
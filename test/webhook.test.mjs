@@ -0,0 +1,211 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { BOT_TOKEN, call, deliverStripeEvent, mockFetch, stripeEvent } from "./helpers.mjs";
+
+process.env.STRIPE_SECRET_KEY = "sk_test_stub";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+process.env.TELEGRAM_GROUP_CHAT_ID = "-100200";
+
+const { default: webhook } = await import("../api/webhook.js");
+const { default: products } = await import("../api/products.js");
+const { availabilityMap, getStock, holdStock, setStock } = await import("../lib/inventory.js");
+const { getOrder, orderIdForSession } = await import("../lib/orders.js");
+const { getStore } = await import("../lib/store.js");
+
+const fetchMock = mockFetch(() => ({ ok: true, result: { message_id: 1 } }));
+after(() => fetchMock.restore());
+
+const VARIANT = 4;
+let sessionCount = 0;
+
+/** A completed Checkout Session for 2 × variant 4 with the FREESHIP code, and its stock hold. */
+async function openSession(paymentStatus) {
+  const id = `cs_test_session${String(++sessionCount).padStart(4, "0")}`;
+  await holdStock(id, [{ id: VARIANT, qty: 2 }], Date.now() + 30 * 60 * 1000);
+  return {
+    id,
+    object: "checkout.session",
+    payment_status: paymentStatus,
+    payment_intent: `pi_test_${sessionCount}`,
+    amount_total: 10998,
+    currency: "usd",
+    livemode: false,
+    metadata: {
+      customer_name: "Ada",
+      cart: `${VARIANT}x2@54.99`,
+      currency: "usd",
+      subtotal: "109.98",
+      discount: "0.00",
+      shipping: "0.00",
+      total: "109.98",
+      promo_code: "FREESHIP",
+      telegram_user_id: "77",
+    },
+  };
+}
+
+async function available() {
+  return (await availabilityMap()).get(VARIANT).available;
+}
+
+async function redemptions() {
+  return (await getStore().get("promo_usage", "FREESHIP"))?.count || 0;
+}
+
+async function deliver(type, session) {
+  const res = await deliverStripeEvent(webhook, stripeEvent(type, session));
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return res;
+}
+
+test("a paid checkout takes its stock and counts its promo redemption", async () => {
+  await setStock(VARIANT, 10);
+  const before = await redemptions();
+  const session = await openSession("paid");
+
+  await deliver("checkout.session.completed", session);
+
+  assert.equal((await getStock(VARIANT)).onHand, 8);
+  assert.equal(await available(), 8);
+  assert.equal(await redemptions(), before + 1);
+  assert.equal((await getOrder(orderIdForSession(session.id))).settled, true);
+});
+
+test("an unpaid checkout keeps its hold, and a failed delayed payment gives it back", async () => {
+  await setStock(VARIANT, 10);
+  const before = await redemptions();
+  const session = await openSession("unpaid");
+
+  await deliver("checkout.session.completed", session);
+  let order = await getOrder(orderIdForSession(session.id));
+  assert.equal(order.status, "awaiting_payment");
+  assert.equal(order.settled, false);
+  assert.equal((await getStock(VARIANT)).onHand, 10, "nothing taken off the shelf yet");
+  assert.equal(await available(), 8, "still held for the customer");
+  assert.equal(await redemptions(), before, "promo not counted yet");
+
+  await deliver("checkout.session.async_payment_failed", session);
+  order = await getOrder(orderIdForSession(session.id));
+  assert.equal(order.status, "payment_failed");
+  assert.equal((await getStock(VARIANT)).onHand, 10);
+  assert.equal(await available(), 10, "hold released");
+  assert.equal(await redemptions(), before);
+});
+
+test("a delayed payment that clears takes the stock and counts the promo once", async () => {
+  await setStock(VARIANT, 10);
+  const before = await redemptions();
+  const session = await openSession("unpaid");
+
+  await deliver("checkout.session.completed", session);
+  await deliver("checkout.session.async_payment_succeeded", session);
+  // A second delivery of the same outcome under a new event id
+  await deliver("checkout.session.async_payment_succeeded", session);
+
+  const order = await getOrder(orderIdForSession(session.id));
+  assert.equal(order.status, "processing");
+  assert.equal(order.settled, true);
+  assert.equal((await getStock(VARIANT)).onHand, 8);
+  assert.equal(await available(), 8);
+  assert.equal(await redemptions(), before + 1);
+});
+
+test("a failed payment on an order from before settlement was tracked returns its stock and redemption", async () => {
+  await setStock(VARIANT, 10);
+  const session = await openSession("unpaid");
+  await deliver("checkout.session.completed", session);
+
+  // What the old flow left behind: stock and redemption taken, no `settled` flag
+  const id = orderIdForSession(session.id);
+  const { settled, ...legacy } = await getOrder(id);
+  await getStore().set("orders", id, legacy);
+  await getStore().delete("stock_holds", session.id);
+  await setStock(VARIANT, 8);
+  const before = await redemptions();
+  await getStore().set("promo_usage", "FREESHIP", { code: "FREESHIP", count: before + 1, totalDiscount: 0 });
+
+  await deliver("checkout.session.async_payment_failed", session);
+
+  assert.equal((await getStock(VARIANT)).onHand, 10);
+  assert.equal(await redemptions(), before);
+});
+
+test("settled live orders rank the catalog's popularity; test-mode orders don't", async () => {
+  // The catalog is ranked from the sales counters, never by listing orders
+  const store = getStore();
+  const list = store.list;
+  const popularity = async () => {
+    store.list = (collection) => (collection === "orders" ? Promise.reject(new Error("orders listed")) : list.call(store, collection));
+    try {
+      const res = await call(products, {});
+      return Object.fromEntries(res.body.products.filter((p) => p.popularity).map((p) => [p.id, p.popularity]));
+    } finally {
+      store.list = list;
+    }
+  };
+  await setStock(VARIANT, 10);
+  assert.deepEqual(await popularity(), {});
+
+  await deliver("checkout.session.completed", await openSession("paid"));
+  assert.deepEqual(await popularity(), {}, "test mode");
+
+  const live = { ...(await openSession("paid")), livemode: true };
+  await deliver("checkout.session.completed", live);
+  const single = { ...(await openSession("paid")), livemode: true, metadata: { ...live.metadata, cart: "1x1@44.99" } };
+  await deliver("checkout.session.completed", single);
+  assert.deepEqual(await popularity(), { [VARIANT]: 1, 1: 2 });
+
+  // A redelivery doesn't count the order twice
+  await deliver("checkout.session.async_payment_succeeded", single);
+  assert.deepEqual(await popularity(), { [VARIANT]: 1, 1: 2 });
+});
+
+test("a retry after a delivery failed part-way doesn't alert staff or take stock again", async () => {
+  await setStock(VARIANT, 10);
+  const session = await openSession("paid");
+  const event = stripeEvent("checkout.session.completed", session);
+  const alerts = () => fetchMock.telegram().filter((c) => c.payload.text.includes(orderIdForSession(session.id))).length;
+
+  // The first delivery fails after the alert went out, while marking the event processed
+  const store = getStore();
+  const update = store.update;
+  store.update = function (collection, key, fn) {
+    if (collection !== "stripe_events") return update.call(this, collection, key, fn);
+    return update.call(this, collection, key, (current) => {
+      const next = fn(current);
+      if (next?.processedAt) throw new Error("store unavailable");
+      return next;
+    });
+  };
+  try {
+    const failed = await deliverStripeEvent(webhook, event);
+    assert.equal(failed.statusCode, 500);
+  } finally {
+    store.update = update;
+  }
+  assert.equal(alerts(), 1);
+
+  const redelivered = await deliverStripeEvent(webhook, event);
+  assert.equal(redelivered.statusCode, 200);
+  assert.equal(alerts(), 1, "alert not sent again");
+  assert.equal((await getStock(VARIANT)).onHand, 8, "stock taken once");
+  assert.ok((await store.get("stripe_events", event.id)).processedAt);
+});
+
+test("a redelivery that arrives while the event is being handled is turned away", async () => {
+  const session = await openSession("paid");
+  const event = stripeEvent("checkout.session.completed", session);
+  await getStore().set("stripe_events", event.id, {
+    id: event.id,
+    claimedUntil: new Date(Date.now() + 60000).toISOString(),
+    processedAt: null,
+    sent: [],
+  });
+  const before = fetchMock.telegram().length;
+
+  const res = await deliverStripeEvent(webhook, event);
+  assert.equal(res.statusCode, 409);
+  assert.equal(fetchMock.telegram().length, before);
+  assert.equal(await getOrder(orderIdForSession(session.id)), null);
+});